@@ -0,0 +1,238 @@
+"use strict";
+
+/**
+ * Entity group transactions for Azure Table Storage.
+ *
+ * `fast-azure-storage` doesn't support the `$batch` end-point, so this module
+ * renders the multipart request by hand and uses the authorization logic of
+ * the `azure.Table` client to sign it. Only a single changeset is supported,
+ * as that is all we need for entity group transactions.
+ */
+
+var assert          = require('assert');
+var slugid          = require('slugid');
+var Promise         = require('promise');
+var debug           = require('debug')('base:entity:batch');
+var utils           = require('fast-azure-storage/lib/utils');
+
+/**
+ * Construct entity path on the form:
+ * `/<table>(PartitionKey='<partitionKey>',RowKey='<rowKey>')`.
+ */
+var buildEntityPath = function(table, partitionKey, rowKey) {
+  var pk = encodeURIComponent(partitionKey.replace(/'/g, "''"));
+  var rk = encodeURIComponent(rowKey.replace(/'/g, "''"));
+  return '/' + table + '(PartitionKey=\'' + pk + '\',RowKey=\'' + rk + '\')';
+};
+
+/** Render a single operation as an HTTP request in a changeset */
+var renderOperation = function(baseUrl, table, operation) {
+  var method, path, body, eTag;
+  if (operation.op === 'insert') {
+    method  = 'POST';
+    path    = '/' + table;
+    body    = operation.entity;
+  } else if (operation.op === 'update') {
+    assert(operation.mode === 'replace' || operation.mode === 'merge',
+           "operation.mode must be 'replace' or 'merge'");
+    method  = operation.mode === 'replace' ? 'PUT' : 'MERGE';
+    path    = buildEntityPath(table, operation.entity.PartitionKey,
+                              operation.entity.RowKey);
+    body    = operation.entity;
+    eTag    = operation.eTag;
+  } else if (operation.op === 'delete') {
+    assert(operation.eTag, "operation.eTag must be given for delete");
+    method  = 'DELETE';
+    path    = buildEntityPath(table, operation.partitionKey,
+                              operation.rowKey);
+    eTag    = operation.eTag;
+  } else {
+    throw new Error("Unknown batch operation: " + operation.op);
+  }
+
+  var lines = [
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    '',
+    method + ' ' + baseUrl + path + ' HTTP/1.1',
+    'Accept: application/json;odata=nometadata',
+    'DataServiceVersion: 3.0;'
+  ];
+  if (eTag) {
+    lines.push('If-Match: ' + eTag);
+  }
+  if (body) {
+    lines.push('Content-Type: application/json');
+    lines.push('Prefer: return-no-content');
+    lines.push('');
+    lines.push(JSON.stringify(body));
+  } else {
+    lines.push('');
+  }
+  return lines.join('\r\n');
+};
+
+/**
+ * Parse the multipart response from the `$batch` end-point into a list of
+ * responses on the form `{statusCode, headers, body}`.
+ */
+var parseResponses = function(payload) {
+  var responses = [];
+  var statusLine = /^HTTP\/1\.1 (\d{3})/;
+  var lines = payload.split(/\r?\n/);
+  for (var i = 0; i < lines.length; i++) {
+    var match = statusLine.exec(lines[i]);
+    if (!match) {
+      continue;
+    }
+    var response = {
+      statusCode: parseInt(match[1], 10),
+      headers:    {},
+      body:       ''
+    };
+    // Read headers until the first empty line
+    for (i++; i < lines.length && lines[i] !== ''; i++) {
+      var index = lines[i].indexOf(':');
+      if (index !== -1) {
+        var key = lines[i].slice(0, index).trim().toLowerCase();
+        response.headers[key] = lines[i].slice(index + 1).trim();
+      }
+    }
+    // Read body until the next boundary
+    var body = [];
+    for (i++; i < lines.length && !/^--/.test(lines[i]); i++) {
+      body.push(lines[i]);
+    }
+    response.body = body.join('\n').trim();
+    responses.push(response);
+    i--;
+  }
+  return responses;
+};
+
+/** Construct an error from a failed response within the changeset */
+var makeError = function(response, operations) {
+  var code    = 'InternalErrorWithoutCode';
+  var message = null;
+  try {
+    var details = JSON.parse(response.body)['odata.error'];
+    code    = details.code;
+    message = details.message.value || details.message;
+  } catch (e) {
+    // Ignore parse and extraction errors
+  }
+  if (!message) {
+    message = "No error message given, in payload '" + response.body + "'";
+  }
+
+  var err         = new Error(message);
+  err.name        = code + 'Error';
+  err.code        = code;
+  err.statusCode  = response.statusCode;
+  err.payload     = response.body;
+
+  // Azure prefixes the message with the index of the failed operation, if
+  // the prefix is missing it can only be known if there is one operation
+  var match = /^(\d+):/.exec(message);
+  if (match && parseInt(match[1], 10) < operations.length) {
+    err.operationIndex = parseInt(match[1], 10);
+  } else if (!match && operations.length === 1) {
+    err.operationIndex = 0;
+  }
+  return err;
+};
+
+/**
+ * Render the multipart payload for `operations`, using the boundaries `batch`
+ * and `changeset`.
+ */
+var renderBatch = function(baseUrl, table, operations, batch, changeset) {
+  var parts = operations.map(function(operation) {
+    return '--' + changeset + '\r\n' +
+           renderOperation(baseUrl, table, operation) + '\r\n';
+  });
+  return [
+    '--' + batch,
+    'Content-Type: multipart/mixed; boundary=' + changeset,
+    '',
+    parts.join('') + '--' + changeset + '--',
+    '--' + batch + '--',
+    ''
+  ].join('\r\n');
+};
+
+/**
+ * Submit a list of operations as an entity group transaction using `client`,
+ * see `InMemoryWrapper.prototype.batch` for the format of operations.
+ *
+ * Returns a promise for a list of `eTag`s, one for each operation, `undefined`
+ * for deletions. If an operation fails, the error will have an
+ * `operationIndex` property giving the index of the operation that failed,
+ * unless Azure didn't report it.
+ */
+var submitBatch = function(client, table, operations) {
+  assert(operations.length > 0, "A batch must have at least one operation");
+  assert(operations.length <= 100, "A batch can't have more than 100 operations");
+
+  var baseUrl   = client.endpoint || 'https://' + client.hostname;
+  var batch     = 'batch_' + slugid.v4();
+  var changeset = 'changeset_' + slugid.v4();
+
+  // Render multipart payload
+  var data = renderBatch(baseUrl, table, operations, batch, changeset);
+
+  // Set headers as `azure.Table.prototype.request` does
+  var headers = {
+    'x-ms-date':              new Date().toUTCString(),
+    'x-ms-version':           client.options.version,
+    'dataserviceversion':     client.options.dataServiceVersion,
+    'maxdataserviceversion':  '3.0;NetFx',
+    'x-ms-client-request-id': client.options.clientId,
+    'content-type':           'multipart/mixed; boundary=' + batch,
+    'content-length':         Buffer.byteLength(data, 'utf-8'),
+    'accept':                 'application/json;odata=nometadata'
+  };
+  var query = {timeout: client.timeoutInSeconds};
+
+  return client.authorize('POST', '/$batch', query, headers).then(function(options) {
+    return utils.request(options, data, client.timeout);
+  }).then(function(res) {
+    if (res.statusCode !== 202) {
+      // The batch request itself failed, this is not an operation failure
+      throw makeError({
+        statusCode: res.statusCode,
+        body:       res.payload
+      }, []);
+    }
+    var responses = parseResponses(res.payload);
+    // If an operation fails, Azure returns a single response for that
+    // operation and nothing else
+    var failed = responses.filter(function(response) {
+      return response.statusCode >= 300;
+    })[0];
+    if (failed) {
+      throw makeError(failed, operations);
+    }
+    if (responses.length !== operations.length) {
+      throw new Error("Expected " + operations.length + " responses from " +
+                      "batch, got: " + responses.length);
+    }
+    return responses.map(function(response, index) {
+      if (operations[index].op === 'delete') {
+        return undefined;
+      }
+      return response.headers['etag'];
+    });
+  }).catch(function(err) {
+    debug("Batch of %d operations failed, err: %s", operations.length, err);
+    throw err;
+  });
+};
+
+// Export submitBatch
+exports.submitBatch = submitBatch;
+
+// Export internals for testing
+exports.renderBatch     = renderBatch;
+exports.parseResponses  = parseResponses;
+exports.makeError       = makeError;
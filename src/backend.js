@@ -0,0 +1,112 @@
+"use strict";
+
+/**
+ * Storage backends for `Entity`, a backend is an object holding a single
+ * table, given to `Entity.setup` as `backend`. Azure tables and in-memory
+ * tables are implemented as backends too, see `InMemoryWrapper` in
+ * `inmemory.js` for a reference implementation.
+ *
+ * A backend implements the following methods, returning promises:
+ * ```js
+ * {
+ *   createTable:   function() {...},
+ *   deleteTable:   function() {...},
+ *   getEntity:     function(partitionKey, rowKey, {select}) {...},
+ *   queryEntities: function({select, filter, top, nextPartitionKey,
+ *                            nextRowKey}) {...},
+ *   insertEntity:  function(entity) {...},
+ *   updateEntity:  function(entity, {mode, eTag}) {...},
+ *   deleteEntity:  function(partitionKey, rowKey, {eTag}) {...},
+ *   batch:         function(operations) {...},       // optional
+ *   filterBuilder: function(filter, type, op) {...}, // optional
+ * }
+ * ```
+ *
+ * Entities are given and returned as raw Azure entities, with `PartitionKey`,
+ * `RowKey`, properties, `<property>@odata.type` annotations for types that
+ * can't be inferred from JSON and the ETag as `odata.etag`. ETags are opaque
+ * strings, `insertEntity`, `updateEntity` and `batch` return the new ETags.
+ *
+ * Errors must have the `code` and `statusCode` that Azure would give, as
+ * `Entity` relies on them, in particular:
+ *  * `ResourceNotFound` (404), if the table or entity doesn't exist,
+ *  * `TableAlreadyExists` (409), if `createTable` is called twice,
+ *  * `EntityAlreadyExists` (409), if `insertEntity` is given an existing key,
+ *  * `UpdateConditionNotSatisfied` (412), if an `eTag` doesn't match, and
+ *  * `InvalidInput` (400), if a `filter` is invalid.
+ *
+ * `queryEntities` returns entities ordered by `PartitionKey` and `RowKey`, at
+ * most `top` at a time, with `nextPartitionKey` and `nextRowKey` as opaque
+ * continuation tokens, if there are more entities.
+ *
+ * Filters are built by `filterBuilder(filter, type, op)` which appends the
+ * condition for `op` on a property of the given entity `type` to `filter`,
+ * starting from `null`, and the result is given to `queryEntities`. By default
+ * OData `$filter` strings are built, as given to Azure, see `entityfilters.js`.
+ *
+ * `batch` is given a list of operations to apply atomically, see
+ * `InMemoryWrapper.prototype.batch`, if not implemented `Entity.batch` fails.
+ *
+ * The conformance test suite in `conformance.js` verifies that a backend has
+ * the same semantics as Azure.
+ */
+
+var assert        = require('assert');
+var _             = require('lodash');
+var Promise       = require('promise');
+
+/** Methods every backend must implement */
+var METHODS = [
+  'createTable',
+  'deleteTable',
+  'getEntity',
+  'queryEntities',
+  'insertEntity',
+  'updateEntity',
+  'deleteEntity'
+];
+
+/** Methods a backend may implement */
+var OPTIONAL_METHODS = [
+  'batch',
+  'filterBuilder'
+];
+
+/** Validate that `backend` implements the backend interface */
+var validate = function(backend) {
+  assert(backend instanceof Object, "backend must be an object");
+  METHODS.forEach(function(method) {
+    assert(backend[method] instanceof Function,
+           "backend must implement " + method + "()");
+  });
+  OPTIONAL_METHODS.forEach(function(method) {
+    assert(backend[method] === undefined ||
+           backend[method] instanceof Function,
+           "backend." + method + " must be a function, if given");
+  });
+};
+
+/**
+ * Return the table operations of `backend` bound to it, including `batch`,
+ * which rejects with code `NotImplemented` if the backend doesn't implement
+ * it.
+ */
+var bindMethods = function(backend) {
+  var methods = _.fromPairs(METHODS.map(function(method) {
+    return [method, backend[method].bind(backend)];
+  }));
+  methods.batch = function() {
+    var err = new Error("Batch operations aren't supported by this backend");
+    err.code = 'NotImplemented';
+    err.statusCode = 501;
+    return Promise.reject(err);
+  };
+  if (backend.batch) {
+    methods.batch = backend.batch.bind(backend);
+  }
+  return methods;
+};
+
+exports.METHODS     = METHODS;
+exports.validate    = validate;
+exports.bindMethods = bindMethods;
@@ -0,0 +1,456 @@
+"use strict";
+
+/**
+ * Conformance test suite for storage backends, see `backend.js`, verifying
+ * that a backend has the same semantics as Azure Table Storage, which
+ * `Entity` relies on. Use it from a mocha test file with the `tdd` interface:
+ * ```js
+ * var conformance = require('azure-entities/lib/conformance');
+ *
+ * conformance.suite('MyBackend', function(table) {
+ *   return new MyBackend({table: table, ...});
+ * });
+ * ```
+ *
+ * The `createBackend(table)` function must return a backend (or a promise for
+ * one) holding the table named `table`. The table is created by the suite if
+ * it doesn't exist, and entities are created in new partitions for each test,
+ * so the suite can run against a table that is already in use. Only the
+ * `deleteTable` test creates and deletes a table with a unique name.
+ */
+
+var assert        = require('assert');
+var slugid        = require('slugid');
+var _             = require('lodash');
+var Promise       = require('promise');
+var debug         = require('debug')('base:entity:conformance');
+var types         = require('./entitytypes');
+var op            = require('./entityops');
+var entityfilters = require('./entityfilters');
+
+/** Types of the properties of entities used in the tests */
+var TYPES = {
+  text:   new types.String('text'),
+  count:  new types.Number('count'),
+  flag:   new types.Boolean('flag'),
+  time:   new types.Date('time'),
+  uuid:   new types.UUID('uuid')
+};
+
+/** Create a raw entity with `properties` serialized as the given `TYPES` */
+var makeEntity = function(partitionKey, rowKey, properties) {
+  var entity = {PartitionKey: partitionKey, RowKey: rowKey};
+  _.forIn(properties, function(value, property) {
+    TYPES[property].serialize(entity, value);
+  });
+  return entity;
+};
+
+/** Assert that `entity` has `properties` as serialized by `makeEntity` */
+var assertProperties = function(entity, properties) {
+  _.forIn(properties, function(value, property) {
+    var actual = TYPES[property].deserialize(entity);
+    assert(_.isEqual(actual, value), "expected " + property + " to be " +
+           JSON.stringify(value) + " got " + JSON.stringify(actual));
+  });
+};
+
+/** Assert that `promise` is rejected with `code` and `statusCode` */
+var assertRejects = function(promise, code, statusCode) {
+  return promise.then(function() {
+    assert(false, "expected an error with code " + code);
+  }, function(err) {
+    debug("expected error: %s", err.stack);
+    assert(err.code === code, "expected code " + code + " got " + err.code);
+    assert(err.statusCode === statusCode, "expected statusCode " +
+           statusCode + " got " + err.statusCode);
+    return err;
+  });
+};
+
+/**
+ * Define a suite named `name` testing the backends created by
+ * `createBackend(table)`, see the description of this module.
+ */
+exports.suite = function(name, createBackend) {
+  var table = 'ConformanceEntities';
+  var tableBackend = null;
+  var pk = null;
+
+  // Build a filter with the backend's filter builder from a list of
+  // conditions on the form `[type, op]`
+  var buildFilter = function(conditions) {
+    var appendFilter = entityfilters.appendFilter;
+    if (tableBackend.filterBuilder) {
+      appendFilter = tableBackend.filterBuilder.bind(tableBackend);
+    }
+    return conditions.reduce(function(filter, condition) {
+      return appendFilter(filter, condition[0], condition[1]);
+    }, null);
+  };
+
+  // Query all pages of entities matching `conditions` in partition `pk`
+  var queryAll = function(conditions, options) {
+    var entities = [];
+    var filter = buildFilter([
+      [new types.String('PartitionKey'), op.equal(pk)]
+    ].concat(conditions || []));
+    var fetch = function(continuation) {
+      return tableBackend.queryEntities(_.assign({
+        filter: filter
+      }, options, continuation)).then(function(data) {
+        entities = entities.concat(data.entities);
+        if (data.nextPartitionKey || data.nextRowKey) {
+          return fetch({
+            nextPartitionKey: data.nextPartitionKey,
+            nextRowKey:       data.nextRowKey
+          });
+        }
+        return entities;
+      });
+    };
+    return fetch({});
+  };
+
+  suite(name + " (backend conformance)", function() {
+    suiteSetup(function() {
+      return Promise.resolve(createBackend(table)).then(function(result) {
+        tableBackend = result;
+        return tableBackend.createTable().catch(function(err) {
+          if (err.code !== 'TableAlreadyExists') {
+            throw err;
+          }
+        });
+      });
+    });
+
+    setup(function() {
+      pk = slugid.v4();
+    });
+
+    test("createTable (TableAlreadyExists)", function() {
+      return assertRejects(tableBackend.createTable(),
+                           'TableAlreadyExists', 409);
+    });
+
+    test("insertEntity and getEntity", function() {
+      var properties = {
+        text:   "it's a string",
+        count:  4294967296,
+        flag:   true,
+        time:   new Date('2017-01-01T00:00:00.000Z'),
+        uuid:   '8f3ade1f-d449-4359-a07a-644e56ae8e58'
+      };
+      var eTag;
+      return tableBackend.insertEntity(
+        makeEntity(pk, 'row', properties)
+      ).then(function(result) {
+        eTag = result;
+        assert(typeof(eTag) === 'string', "expected eTag from insertEntity");
+        return tableBackend.getEntity(pk, 'row');
+      }).then(function(entity) {
+        assert(entity.PartitionKey === pk);
+        assert(entity.RowKey === 'row');
+        assert(entity['odata.etag'] === eTag, "expected eTag from insert");
+        assertProperties(entity, properties);
+      });
+    });
+
+    test("insertEntity (EntityAlreadyExists)", function() {
+      var entity = makeEntity(pk, 'row', {count: 1});
+      return tableBackend.insertEntity(entity).then(function() {
+        return assertRejects(tableBackend.insertEntity(entity),
+                             'EntityAlreadyExists', 409);
+      });
+    });
+
+    test("getEntity (ResourceNotFound)", function() {
+      return assertRejects(tableBackend.getEntity(pk, 'missing'),
+                           'ResourceNotFound', 404);
+    });
+
+    test("getEntity with select", function() {
+      return tableBackend.insertEntity(
+        makeEntity(pk, 'row', {text: 'hello', count: 42})
+      ).then(function() {
+        return tableBackend.getEntity(pk, 'row', {select: ['count']});
+      }).then(function(entity) {
+        assert(entity.count === 42);
+        assert(entity.text === undefined, "expected text not selected");
+        assert(entity['odata.etag'], "expected eTag with select");
+      });
+    });
+
+    test("updateEntity (replace)", function() {
+      var eTag;
+      return tableBackend.insertEntity(
+        makeEntity(pk, 'row', {text: 'hello', count: 1})
+      ).then(function(result) {
+        eTag = result;
+        return tableBackend.updateEntity(makeEntity(pk, 'row', {count: 2}), {
+          mode: 'replace',
+          eTag: eTag
+        });
+      }).then(function(result) {
+        assert(typeof(result) === 'string' && result !== eTag,
+               "expected a new eTag from updateEntity");
+        return tableBackend.getEntity(pk, 'row');
+      }).then(function(entity) {
+        assert(entity.count === 2);
+        assert(entity.text === undefined, "expected text to be removed");
+      });
+    });
+
+    test("updateEntity (merge)", function() {
+      return tableBackend.insertEntity(
+        makeEntity(pk, 'row', {text: 'hello', count: 1})
+      ).then(function(eTag) {
+        return tableBackend.updateEntity(makeEntity(pk, 'row', {count: 2}), {
+          mode: 'merge',
+          eTag: eTag
+        });
+      }).then(function(eTag) {
+        return tableBackend.getEntity(pk, 'row');
+      }).then(function(entity) {
+        assertProperties(entity, {text: 'hello', count: 2});
+      });
+    });
+
+    test("updateEntity (UpdateConditionNotSatisfied)", function() {
+      var eTag;
+      var entity = makeEntity(pk, 'row', {count: 1});
+      return tableBackend.insertEntity(entity).then(function(result) {
+        eTag = result;
+        return tableBackend.updateEntity(makeEntity(pk, 'row', {count: 2}), {
+          mode: 'replace',
+          eTag: eTag
+        });
+      }).then(function() {
+        return assertRejects(tableBackend.updateEntity(entity, {
+          mode: 'merge',
+          eTag: eTag
+        }), 'UpdateConditionNotSatisfied', 412);
+      });
+    });
+
+    test("updateEntity with eTag '*' (ResourceNotFound)", function() {
+      return assertRejects(tableBackend.updateEntity(
+        makeEntity(pk, 'missing', {count: 1}),
+        {mode: 'replace', eTag: '*'}
+      ), 'ResourceNotFound', 404);
+    });
+
+    test("updateEntity without eTag inserts or replaces", function() {
+      var entity = makeEntity(pk, 'row', {count: 1});
+      return tableBackend.updateEntity(entity, {
+        mode: 'replace'
+      }).then(function() {
+        return tableBackend.updateEntity(makeEntity(pk, 'row', {count: 2}), {
+          mode: 'merge'
+        });
+      }).then(function() {
+        return tableBackend.getEntity(pk, 'row');
+      }).then(function(entity) {
+        assert(entity.count === 2);
+      });
+    });
+
+    test("deleteEntity", function() {
+      var eTag;
+      return tableBackend.insertEntity(
+        makeEntity(pk, 'row', {count: 1})
+      ).then(function(result) {
+        eTag = result;
+        return tableBackend.updateEntity(makeEntity(pk, 'row', {count: 2}), {
+          mode: 'replace',
+          eTag: '*'
+        });
+      }).then(function() {
+        return assertRejects(tableBackend.deleteEntity(pk, 'row', {
+          eTag: eTag
+        }), 'UpdateConditionNotSatisfied', 412);
+      }).then(function() {
+        return tableBackend.deleteEntity(pk, 'row', {eTag: '*'});
+      }).then(function() {
+        return assertRejects(tableBackend.getEntity(pk, 'row'),
+                             'ResourceNotFound', 404);
+      }).then(function() {
+        return assertRejects(tableBackend.deleteEntity(pk, 'row', {
+          eTag: '*'
+        }), 'ResourceNotFound', 404);
+      });
+    });
+
+    test("queryEntities is ordered by PartitionKey and RowKey", function() {
+      var rows = ['b', 'a!', 'a', 'c', 'B', '0'];
+      return Promise.all(rows.map(function(row) {
+        return tableBackend.insertEntity(makeEntity(pk, row, {count: 1}));
+      })).then(function() {
+        return tableBackend.insertEntity(makeEntity(pk + '~', 'a', {
+          count: 1
+        }));
+      }).then(function() {
+        return tableBackend.queryEntities({filter: buildFilter([
+          [new types.String('PartitionKey'), op.greaterThanOrEqual(pk)],
+          [new types.String('PartitionKey'), op.lessThanOrEqual(pk + '~')]
+        ])});
+      }).then(function(data) {
+        assert(_.isEqual(data.entities.map(function(entity) {
+          return entity.PartitionKey.slice(pk.length) + '/' + entity.RowKey;
+        }), ['/0', '/B', '/a', '/a!', '/b', '/c', '~/a']),
+               "unexpected order");
+      });
+    });
+
+    test("queryEntities with top and continuation", function() {
+      var rows = _.range(7).map(function(i) { return 'row' + i; });
+      return Promise.all(rows.map(function(row) {
+        return tableBackend.insertEntity(makeEntity(pk, row, {count: 1}));
+      })).then(function() {
+        return tableBackend.queryEntities({filter: buildFilter([
+          [new types.String('PartitionKey'), op.equal(pk)]
+        ]), top: 3});
+      }).then(function(data) {
+        assert(data.entities.length === 3);
+        assert(data.nextPartitionKey || data.nextRowKey,
+               "expected continuation tokens");
+        return queryAll([], {top: 3});
+      }).then(function(entities) {
+        assert(_.isEqual(_.map(entities, 'RowKey'), rows));
+      });
+    });
+
+    test("queryEntities with select", function() {
+      return tableBackend.insertEntity(
+        makeEntity(pk, 'row', {text: 'hello', count: 42})
+      ).then(function() {
+        return queryAll([], {select: ['count']});
+      }).then(function(entities) {
+        assert(entities.length === 1);
+        assert(entities[0].count === 42);
+        assert(entities[0].text === undefined, "expected text not selected");
+      });
+    });
+
+    test("queryEntities with filters from types", function() {
+      var values = [
+        {text: 'a', count: 1,           flag: true,  time: new Date(1000),
+         uuid: '8f3ade1f-d449-4359-a07a-644e56ae8e58'},
+        {text: 'b', count: 2.5,         flag: false, time: new Date(2000),
+         uuid: '2d2de7a5-4c37-4e3e-a4f2-44f1cf1dd0a3'},
+        {text: 'c', count: 3,           flag: true,  time: new Date(3000),
+         uuid: '5b3cf0c9-0a8c-4b51-a3ce-dbb6a1e9ed35'},
+        {text: "it's"}
+      ];
+      var rowsMatching = function(conditions) {
+        return queryAll(conditions).then(function(entities) {
+          return _.map(entities, 'RowKey').join(',');
+        });
+      };
+      return Promise.all(values.map(function(properties, i) {
+        return tableBackend.insertEntity(makeEntity(pk, 'row' + i, properties));
+      })).then(function() {
+        return Promise.all([
+          rowsMatching([[TYPES.text, op.equal('b')]]),
+          rowsMatching([[TYPES.text, op.equal("it's")]]),
+          rowsMatching([[TYPES.text, op.notEqual('b')]]),
+          rowsMatching([[TYPES.count, op.greaterThan(2)]]),
+          rowsMatching([[TYPES.count, op.lessThanOrEqual(2.5)]]),
+          rowsMatching([[TYPES.flag, op.equal(true)]]),
+          rowsMatching([[TYPES.time, op.lessThan(new Date(2500))]]),
+          rowsMatching([[TYPES.uuid, op.equal(values[1].uuid)]]),
+          rowsMatching([
+            [TYPES.flag, op.equal(true)],
+            [TYPES.count, op.lessThan(2)]
+          ])
+        ]);
+      }).then(function(results) {
+        assert(_.isEqual(results, [
+          'row1',
+          'row3',
+          'row0,row2,row3',
+          'row1,row2',
+          'row0,row1',
+          'row0,row2',
+          'row0,row1',
+          'row1',
+          'row0'
+        ]), "unexpected results: " + JSON.stringify(results));
+      });
+    });
+
+    test("batch", function() {
+      if (!tableBackend.batch) {
+        return;
+      }
+      var eTag;
+      return Promise.all([
+        tableBackend.insertEntity(makeEntity(pk, 'row0', {count: 0})),
+        tableBackend.insertEntity(makeEntity(pk, 'row2', {count: 0}))
+      ]).then(function(eTags) {
+        eTag = eTags[0];
+        return tableBackend.batch([
+          {op: 'insert', entity: makeEntity(pk, 'row1', {count: 1})},
+          {op: 'update', entity: makeEntity(pk, 'row2', {count: 2}),
+           mode: 'merge', eTag: '*'},
+          {op: 'insert', entity: makeEntity(pk, 'row0', {count: 3})}
+        ]);
+      }).then(function() {
+        assert(false, "expected batch to fail");
+      }, function(err) {
+        assert(err.code === 'EntityAlreadyExists');
+        assert(err.operationIndex === 2, "expected operationIndex 2");
+        return queryAll();
+      }).then(function(entities) {
+        assert(_.isEqual(_.map(entities, 'count'), [0, 0]),
+               "expected no operations applied");
+        return tableBackend.batch([
+          {op: 'insert', entity: makeEntity(pk, 'row1', {count: 1})},
+          {op: 'update', entity: makeEntity(pk, 'row0', {count: 2}),
+           mode: 'merge', eTag: eTag},
+          {op: 'delete', partitionKey: pk, rowKey: 'row2', eTag: '*'}
+        ]);
+      }).then(function(eTags) {
+        assert(eTags.length === 3);
+        assert(typeof(eTags[0]) === 'string');
+        assert(typeof(eTags[1]) === 'string' && eTags[1] !== eTag);
+        assert(eTags[2] === undefined);
+        eTag = eTags[1];
+        return queryAll();
+      }).then(function(entities) {
+        assert(_.isEqual(_.map(entities, 'RowKey'), ['row0', 'row1']));
+        assert(entities[0].count === 2);
+        assert(entities[0]['odata.etag'] === eTag);
+      });
+    });
+
+    test("deleteTable", function() {
+      var otherTable = 'ConformanceTable' + slugid.nice()
+        .replace(/[^a-zA-Z0-9]/g, '');
+      var other = null;
+      return Promise.resolve(createBackend(otherTable)).then(function(result) {
+        other = result;
+        return other.createTable();
+      }).then(function() {
+        return other.insertEntity(makeEntity(pk, 'row', {count: 1}));
+      }).then(function() {
+        return other.deleteTable();
+      }).then(function() {
+        return other.getEntity(pk, 'row').then(function() {
+          assert(false, "expected an error");
+        }, function(err) {
+          assert(err.statusCode === 404, "expected 404 for deleted table");
+        });
+      }).then(function() {
+        return assertRejects(other.deleteTable(), 'ResourceNotFound', 404);
+      });
+    });
+
+    test("deleteTable (ResourceNotFound)", function() {
+      return Promise.resolve(createBackend('ConformanceMissing'))
+        .then(function(other) {
+          return assertRejects(other.deleteTable(), 'ResourceNotFound', 404);
+        });
+    });
+  });
+};
@@ -0,0 +1,154 @@
+"use strict";
+
+/**
+ * Parser for Azure storage connection strings, on the form:
+ * `DefaultEndpointsProtocol=https;AccountName=...;AccountKey=...`.
+ *
+ * Only the settings relevant to table storage are used, others like
+ * `BlobEndpoint` are ignored, so the connection string for a storage account
+ * can be used as is.
+ */
+
+var assert        = require('assert');
+var url           = require('url');
+var _             = require('lodash');
+
+/**
+ * Account, key and table endpoint of the storage emulator (Azurite), the key
+ * is a public constant documented for the emulator.
+ */
+var DEVELOPMENT_STORAGE = {
+  accountName:  'devstoreaccount1',
+  accountKey:   'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I' +
+                '6tq/K1SZFPTOtr/KBHBeksoGMGw==',
+  proxyUri:     'http://127.0.0.1',
+  tablePort:    10002
+};
+
+/**
+ * Parse `connectionString` to settings, returns a map from setting name in
+ * lower case to value, as setting names are case-insensitive.
+ */
+var parseSettings = function(connectionString) {
+  var settings = {};
+  connectionString.split(';').forEach(function(setting) {
+    if (setting.trim() === '') {
+      return;
+    }
+    // Values like SharedAccessSignature may contain '=', so only split once
+    var index = setting.indexOf('=');
+    assert(index > 0, "Invalid setting '" + setting + "' in connection string");
+    var name = setting.slice(0, index).trim().toLowerCase();
+    assert(!settings.hasOwnProperty(name),
+           "Setting '" + name + "' is given twice in connection string");
+    settings[name] = setting.slice(index + 1).trim();
+  });
+  return settings;
+};
+
+/**
+ * Parse and validate the table `endpoint`, returns the normalized endpoint
+ * without trailing slash, on the form `http(s)://host[:port][/path]`.
+ */
+var parseEndpoint = function(endpoint) {
+  assert(typeof(endpoint) === 'string', "endpoint must be a string");
+  var target = url.parse(endpoint);
+  assert(target.protocol === 'https:' || target.protocol === 'http:',
+         "endpoint must be an http or https URL, got: " + endpoint);
+  assert(target.hostname, "endpoint must have a hostname, got: " + endpoint);
+  assert(!target.search && !target.hash,
+         "endpoint can't have a query string, got: " + endpoint);
+  return target.protocol + '//' + target.host +
+         (target.pathname || '').replace(/\/+$/, '');
+};
+
+/**
+ * Find the account name from `endpoint`, this is the first path segment for
+ * path-style endpoints like the emulator, otherwise the first label of the
+ * hostname.
+ */
+var accountFromEndpoint = function(endpoint) {
+  var target = url.parse(endpoint);
+  var segment = (target.pathname || '').split('/')[1];
+  return segment || target.hostname.split('.')[0];
+};
+
+/**
+ * Parse `connectionString`, returns an object on the form:
+ * ```js
+ * {
+ *   accountName:   "...",      // Azure account name
+ *   accountKey:    "...",      // Azure account key (or undefined)
+ *   sas:           "...",      // Shared-access-signature (or undefined)
+ *   endpoint:      "...",      // Table endpoint (undefined for the default)
+ * }
+ * ```
+ *
+ * The endpoint is `TableEndpoint` if given, otherwise it is constructed from
+ * `DefaultEndpointsProtocol`, `AccountName` and `EndpointSuffix`, if any of
+ * the two is given. With `UseDevelopmentStorage=true` the account name and
+ * endpoint are those of the storage emulator, at `DevelopmentStorageProxyUri`
+ * if given, and the emulator's well-known account key is used, unless
+ * `AccountKey` or `SharedAccessSignature` is given.
+ */
+var parse = function(connectionString) {
+  assert(typeof(connectionString) === 'string',
+         "connectionString must be a string");
+  var settings = parseSettings(connectionString);
+
+  var accountName = settings.accountname;
+  var accountKey  = settings.accountkey;
+  var endpoint    = settings.tableendpoint;
+  if (settings.usedevelopmentstorage !== undefined) {
+    assert(settings.usedevelopmentstorage.toLowerCase() === 'true',
+           "UseDevelopmentStorage must be 'true' if given");
+    assert(accountName === undefined && endpoint === undefined,
+           "AccountName and TableEndpoint can't be given with " +
+           "UseDevelopmentStorage=true");
+    var proxyUri = parseEndpoint(
+      settings.developmentstorageproxyuri || DEVELOPMENT_STORAGE.proxyUri
+    );
+    accountName = DEVELOPMENT_STORAGE.accountName;
+    endpoint = url.format(_.assign(_.pick(url.parse(proxyUri), [
+      'protocol', 'hostname'
+    ]), {
+      port:     DEVELOPMENT_STORAGE.tablePort,
+      pathname: '/' + accountName
+    }));
+    if (!accountKey && !settings.sharedaccesssignature) {
+      accountKey = DEVELOPMENT_STORAGE.accountKey;
+    }
+  } else if (endpoint === undefined &&
+             (settings.defaultendpointsprotocol || settings.endpointsuffix)) {
+    assert(accountName, "AccountName must be given in connection string");
+    endpoint = (settings.defaultendpointsprotocol || 'https') + '://' +
+               accountName + '.table.' +
+               (settings.endpointsuffix || 'core.windows.net');
+  }
+  if (endpoint !== undefined) {
+    endpoint = parseEndpoint(endpoint);
+  }
+
+  // A connection string with a SAS often has only endpoints
+  if (accountName === undefined && endpoint !== undefined) {
+    accountName = accountFromEndpoint(endpoint);
+  }
+  assert(accountName, "AccountName or TableEndpoint must be given in " +
+                      "connection string");
+  assert(accountKey || settings.sharedaccesssignature,
+         "AccountKey or SharedAccessSignature must be given in connection " +
+         "string");
+  assert(!(accountKey && settings.sharedaccesssignature),
+         "Don't give both AccountKey and SharedAccessSignature in connection " +
+         "string");
+
+  return {
+    accountName:  accountName,
+    accountKey:   accountKey,
+    sas:          settings.sharedaccesssignature,
+    endpoint:     endpoint
+  };
+};
+
+exports.parse         = parse;
+exports.parseEndpoint = parseEndpoint;
@@ -2,6 +2,7 @@
 
 var assert          = require('assert');
 var util            = require('util');
+var events          = require('events');
 var slugid          = require('slugid');
 var _               = require('lodash');
 var Promise         = require('promise');
@@ -9,8 +10,13 @@ var debug           = require('debug')('base:entity');
 var azure           = require('fast-azure-storage');
 var taskcluster     = require('taskcluster-client');
 var https           = require('https');
+var http            = require('http');
+var url             = require('url');
 var crypto          = require('crypto');
 var entityfilters   = require('./entityfilters');
+var azurebatch      = require('./azurebatch');
+var connectionstring = require('./connectionstring');
+var backend         = require('./backend');
 var inmemory;       // lazy-loaded
 
 // ** Coding Style **
@@ -77,15 +83,75 @@ var RESERVED_PROPERTY_NAMES = [
  */
 var MAX_MODIFY_ATTEMPTS     = 10;
 
-/** Timeout for azure table requests */
+/** Default timeout for azure table requests, see `timeout` in Entity.setup */
 var AZURE_TABLE_TIMEOUT     = 7 * 1000;
 
+/** Default retry policy for transient errors, see `retry` in `Entity.setup` */
+var DEFAULT_RETRY = {
+  maxAttempts:          5,
+  delayFactor:          100,
+  randomizationFactor:  0.25,
+  maxDelay:             30 * 1000,
+  retryableCodes: [
+    // Azure error codes for 5xx errors
+    'InternalError',
+    'InternalErrorWithoutCode',
+    'ServerBusy',
+    'OperationTimedOut',
+    // Error codes from node https module and fast-azure-storage
+    'ETIMEDOUT',
+    'ECONNRESET',
+    'EADDRINUSE',
+    'ESOCKETTIMEDOUT',
+    'ECONNREFUSED',
+    'RequestTimeoutError',
+    'RequestAbortedError',
+    'RequestContentLengthError'
+  ],
+  // Error codes for which a write is known not to have been applied
+  writeRetryableCodes: [
+    'ServerBusy',
+    'ECONNREFUSED'
+  ]
+};
+
+/**
+ * Table operations that don't write entities, these are retried after any of
+ * the `retryableCodes`. Writes may have been applied when a request times out
+ * or the connection is reset, so they are only retried after one of the
+ * `writeRetryableCodes`.
+ */
+var IDEMPOTENT_METHODS = [
+  'createTable',
+  'deleteTable',
+  'getEntity',
+  'queryEntities'
+];
+
+/**
+ * Pattern for key ids in `cryptoKeys`, key ids are stored with the ciphertext
+ * and must be at most 14 bytes, see `EncryptedBaseType`.
+ */
+var VALID_KEY_ID            = /^[a-zA-Z0-9_-]{1,14}$/;
+
+/** Lifecycle hooks that can be given to `Entity.configure` */
+var HOOKS = [
+  'beforeCreate',
+  'afterCreate',
+  'beforeModify',
+  'afterModify',
+  'beforeRemove',
+  'afterRemove'
+];
+
 /**
  * Base class of all entity
  *
- * This constructor will wrap a raw azure-table-node entity.
+ * This constructor will wrap a raw azure-table-node entity. If `select` is
+ * given, only the properties listed are deserialized, and the entity will be a
+ * read-only partial entity.
  */
-var Entity = function(entity) {
+var Entity = function(entity, select) {
   assert(entity.PartitionKey,   "entity is missing 'PartitionKey'");
   assert(entity.RowKey,         "entity is missing 'RowKey'");
   assert(entity['odata.etag'],  "entity is missing 'odata.etag'");
@@ -94,8 +160,11 @@ var Entity = function(entity) {
   this._partitionKey  = entity.PartitionKey;
   this._rowKey        = entity.RowKey;
   this._version       = entity.Version;
-  this._properties    = this.__deserialize(entity);
+  this._properties    = this.__deserialize(entity, select);
   this._etag          = entity['odata.etag'];
+  if (select) {
+    this._select      = select.slice();
+  }
 };
 
 // Built-in type handlers
@@ -107,6 +176,24 @@ Entity.keys   = require('./entitykeys');
 // Built-in operator definitions
 Entity.op     = require('./entityops');
 
+// Store for in-memory tables, see `Entity.setup`, lazy-loaded with inmemory
+Object.defineProperty(Entity, 'InMemoryStore', {
+  get: function() {
+    if (!inmemory) {
+      inmemory = require('./inmemory'); // lazy-loaded
+    }
+    return inmemory.InMemoryStore;
+  }
+});
+
+// Backend storing tables in a SQLite file, see `Entity.setup`, lazy-loaded as
+// it requires the `sqlite3` package
+Object.defineProperty(Entity, 'SQLiteBackend', {
+  get: function() {
+    return require('./sqlite').SQLiteBackend; // lazy-loaded
+  }
+});
+
 // Define properties set in the first configure call only
 Entity.prototype.__partitionKeyDefinition     = undefined;
 Entity.prototype.__rowKeyDefinition           = undefined;
@@ -123,17 +210,22 @@ Entity.prototype.__rowKey       = undefined;  // RowKey builder
 Entity.prototype.__sign         = undefined;  // Method to compute signature
 Entity.prototype.__hasSigning   = false;      // Some version has signing
 Entity.prototype.__hasEncrypted = false;      // Some type has encryption
+Entity.prototype.__encryptedTypes = {};       // Encrypted types by version
+Entity.prototype.__hooks        = {};         // Lifecycle hooks by name
 
 // Define properties set in setup
 Entity.prototype.__client       = undefined;  // Azure table client
 Entity.prototype.__aux          = undefined;  // Azure table client wrapper
-Entity.prototype.__appendFilter = undefined;  // Filter builder
+Entity.prototype.__filterBuilder = undefined; // Filter builder
 Entity.prototype.__table        = undefined;  // Azure table name
 Entity.prototype.__signingKey   = undefined;  // Secret key for signing entities
-Entity.prototype.__cryptoKey    = undefined;  // Key for encrypted properties
+Entity.prototype.__signingKeys  = undefined;  // Keys accepted for signatures
+Entity.prototype.__cryptoKeys   = undefined;  // Keys for encrypted properties
+Entity.prototype.__modifyOptions = {};        // Default options for modify
 
 // Define properties set in constructor
 Entity.prototype._properties    = undefined;  // Deserialized shadow object
+Entity.prototype._select        = undefined;  // Selected properties, if partial
 Entity.prototype._partitionKey  = undefined;  // Entity partition key
 Entity.prototype._rowKey        = undefined;  // Entity row key
 Entity.prototype._version       = undefined;  // Schema version of remote entity
@@ -155,12 +247,428 @@ var rethrowDebug = function() {
 
 /**
  * Create a promise handler that will wrap the resulting entity in `Class`.
- * This is useful as handler for .then()
+ * This is useful as handler for .then(), see `Entity` for `select`.
  */
-var wrapEntityClass = function(Class) {
+var wrapEntityClass = function(Class, select) {
   return function(entity) {
-    return new Class(entity);
+    return new Class(entity, select);
+  };
+};
+
+/**
+ * Call the lifecycle hook `name` of `Class` with `args` and `Class` as `this`,
+ * returns a promise for when it's done, see `Entity.configure`.
+ */
+var callHook = function(Class, name, args) {
+  var hook = Class.prototype.__hooks[name];
+  if (!hook) {
+    return Promise.resolve();
+  }
+  return Promise.resolve().then(function() {
+    return hook.apply(Class, args);
+  });
+};
+
+/**
+ * Emit `event` with `args` on `Class`, see `Entity.setup`. Errors thrown by
+ * listeners are logged and ignored, as the entity has already been written.
+ */
+var emitEvent = function(Class, event, args) {
+  try {
+    Class.emit.apply(Class, [event].concat(args));
+  } catch (err) {
+    debug("Listener for '%s' failed, err: %s", event, err, err.stack);
+  }
+};
+
+/**
+ * Find the properties of `item` that differ from `previous`, returns an object
+ * on the form `{property: {before, after}}`.
+ */
+var diffProperties = function(item, previous) {
+  var diff = {};
+  _.forIn(item.__mapping, function(type, property) {
+    var after = item._properties[property];
+    if (!type.equal(previous[property], after)) {
+      diff[property] = {before: previous[property], after: after};
+    }
+  });
+  return diff;
+};
+
+/** Pick the properties covered by the partition and row keys */
+var keyProperties = function(ClassProps, properties) {
+  return _.pick(properties, ClassProps.__partitionKey.covers.concat(
+    ClassProps.__rowKey.covers
+  ));
+};
+
+/**
+ * Find columns to `$select` when loading the properties in `select`, this
+ * includes all columns used by buffer types, as well as keys and version.
+ */
+var selectColumns = function(ClassProps, select) {
+  assert(select instanceof Array && select.length > 0,
+         "select must be a non-empty array of property names");
+  assert(!ClassProps.__sign, "select can't be used with signEntities, as " +
+         "signatures can't be validated without all properties");
+  var columns = ['PartitionKey', 'RowKey', 'Version'];
+  select.forEach(function(property) {
+    var type = ClassProps.__mapping[property];
+    assert(type, "Property: '" + property + "' in select is not defined!");
+    columns = columns.concat(type.columns());
+  });
+  return _.uniq(columns);
+};
+
+/**
+ * Resolve `op` for the property of `type` to a `{type, op}` pair for the filter
+ * builder. `type` is `null` for composite operators given outside a property,
+ * whose operands must then be conditions objects or composite operators.
+ */
+var resolveCondition = function(ClassProps, type, op) {
+  // Ensure that we have an operator, we just assume anything specified
+  // without an operator is equality
+  if (!(op instanceof Entity.op)) {
+    if (type === null && _.isPlainObject(op)) {
+      return resolveConditions(ClassProps, op);
+    }
+    op = Entity.op.equal(op);
+  }
+  if (!(op instanceof Entity.op.Composite)) {
+    assert(type, "Operator '" + op.operator + "' must be given for a " +
+           "property, only and, or and not can combine conditions objects");
+    assert(!(op instanceof Entity.op.Range) ||
+           type instanceof Entity.types.String,
+           "Operator '" + op.operator + "' is only supported for String " +
+           "properties, property '" + type.property + "' isn't a String");
+    return {type: type, op: op};
+  }
+  var conditions = op.operand.map(function(operand) {
+    return resolveCondition(ClassProps, type, operand);
+  });
+  return {type: new Entity.op.Conditions(conditions), op: op};
+};
+
+/**
+ * Resolve a conditions object mapping properties to operators to a `{type, op}`
+ * pair, that holds if all conditions hold.
+ */
+var resolveConditions = function(ClassProps, conditions) {
+  assert(!_.isEmpty(conditions), "conditions objects can't be empty");
+  var resolved = _.map(conditions, function(op, property) {
+    // Find and check that we have a type
+    var type = ClassProps.__mapping[property];
+    if (!type) {
+      throw new Error("Property: '" + property +
+                      "' used in query is not defined!");
+    }
+    return resolveCondition(ClassProps, type, op);
+  });
+  return {
+    type: new Entity.op.Conditions(resolved),
+    op:   new Entity.op.Composite('and', _.values(conditions))
+  };
+};
+
+/**
+ * Load `entity` in full, if it was loaded with `$select` but written with an
+ * older version, as migrations need all properties, using the table client
+ * wrapper `aux`. Returns a promise, which
+ * is resolved with `null` if `ignoreIfNotExists` is true and the entity was
+ * deleted after it was loaded with `$select`.
+ */
+var loadOutdated = function(ClassProps, aux, entity, ignoreIfNotExists) {
+  if (entity.Version >= ClassProps.__version) {
+    return Promise.resolve(entity);
+  }
+  var loaded = aux.getEntity(entity.PartitionKey, entity.RowKey);
+  return loaded.catch(function(err) {
+    if (ignoreIfNotExists && err && err.code === 'ResourceNotFound') {
+      return null;
+    }
+    throw err;
+  });
+};
+
+/**
+ * Compute delay in ms before retry number `attempt` with exponential backoff,
+ * given `policy` on the form `{delayFactor, randomizationFactor, maxDelay}`.
+ */
+var backoffDelay = function(policy, attempt) {
+  var delay = Math.pow(2, attempt) * policy.delayFactor;
+  var rf    = policy.randomizationFactor;
+  delay = delay * (Math.random() * 2 * rf + 1 - rf);
+  return Math.min(delay, policy.maxDelay);
+};
+
+/** Return a promise that is resolved after `delay` ms */
+var sleep = function(delay) {
+  return new Promise(function(accept) {
+    setTimeout(accept, delay);
+  });
+};
+
+/**
+ * Return a promise for the result of `f(checkCancelled)`, rejected with an
+ * error with code `'TimeoutError'` if not settled within `options.timeout` ms,
+ * or with code `'AbortError'` when `options.signal` (an `AbortSignal`) is
+ * aborted. Requests in progress can't be cancelled, so `f` should call
+ * `checkCancelled()`, which throws once cancelled, before starting more work.
+ */
+var withDeadline = function(options, f) {
+  var timeout = options.timeout;
+  var signal  = options.signal;
+  assert(timeout === undefined || timeout === null ||
+         (typeof(timeout) === 'number' && timeout > 0),
+         "timeout must be a positive number of ms");
+  assert(!signal || signal.addEventListener instanceof Function,
+         "signal must be an AbortSignal");
+  var cancelled = null;
+  var checkCancelled = function() {
+    if (cancelled) {
+      throw cancelled;
+    }
+  };
+  var abortError = function() {
+    var err = new Error("Operation was aborted");
+    err.code = 'AbortError';
+    return err;
+  };
+  if (signal && signal.aborted) {
+    return Promise.reject(abortError());
+  }
+  var result = Promise.resolve(f(checkCancelled));
+  if (!timeout && !signal) {
+    return result;
+  }
+
+  var timer   = null;
+  var onAbort = null;
+  var deadline = new Promise(function(accept, reject) {
+    if (timeout) {
+      timer = setTimeout(function() {
+        cancelled = new Error("Operation timed out after " + timeout + " ms");
+        cancelled.code = 'TimeoutError';
+        reject(cancelled);
+      }, timeout);
+    }
+    if (signal) {
+      onAbort = function() {
+        cancelled = abortError();
+        reject(cancelled);
+      };
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+  var cleanup = function() {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+  return Promise.race([result, deadline]).then(function(value) {
+    cleanup();
+    return value;
+  }, function(err) {
+    cleanup();
+    throw err;
+  });
+};
+
+/**
+ * Route requests from the azure table `client` to `endpoint`, instead of the
+ * public `<account>.table.core.windows.net`. The `fast-azure-storage` client
+ * has no option for this, so the request options from `client.authorize` are
+ * rewritten. Paths are prefixed with the path of `endpoint` before signing,
+ * as path-style endpoints like the emulator's include the account name.
+ */
+var useEndpoint = function(client, endpoint) {
+  var target    = url.parse(endpoint);
+  var prefix    = (target.pathname || '').replace(/\/+$/, '');
+  var authorize = client.authorize;
+  client.authorize = function(method, path, query, headers) {
+    return authorize.call(client, method, prefix + path, query, headers)
+      .then(function(request) {
+        request.protocol  = target.protocol;
+        request.host      = target.hostname;
+        request.port      = target.port || undefined;
+        return request;
+      });
+  };
+  client.hostname = target.host;
+  client.endpoint = endpoint;
+};
+
+/**
+ * Create an azure table client from the `options` given to `Entity.setup`,
+ * either fetching SAS from auth.taskcluster.net for `options.account` or
+ * using the azure credentials given.
+ */
+var createClient = function(options) {
+  // Create an azure table client, if we retry transient errors in the table
+  // client wrapper, we don't want the client to retry them too
+  var client = null;
+  var clientRetries = options.retry ? 0 : undefined;
+  if (options.account) {
+    // If we're setting up to fetch credentials for auth.taskcluster.net
+    assert(typeof(options.account) === 'string',
+           "Expected options.account to be a string, or undefined");
+    // Create auth client to fetch SAS from auth.taskcluster.net
+    var auth = new taskcluster.Auth({
+      credentials:    options.credentials,
+      baseUrl:        options.authBaseUrl
+    });
+    // Create azure table client with logic for fetch SAS
+    client = new azure.Table({
+      timeout:          options.timeout,
+      agent:            options.agent,
+      retries:          clientRetries,
+      accountId:        options.account,
+      minSASAuthExpiry: options.minSASAuthExpiry,
+      sas: function() {
+        return auth.azureTableSAS(
+          options.account,
+          options.table,
+          'read-write'  // TODO: If we need it, we can make this an option
+        ).then(function(result) {
+          return result.sas;
+        });
+      }
+    });
+  } else {
+    // Create client using credentials already present
+    assert(options.credentials.accountName, "Missing accountName");
+    assert(options.credentials.accountKey ||
+           options.credentials.sas,         "Missing accountKey or sas");
+    // Create azure table client with accessKey
+    client = new azure.Table({
+      timeout:      options.timeout,
+      agent:        options.agent,
+      retries:      clientRetries,
+      accountId:    options.credentials.accountName,
+      accessKey:    options.credentials.accountKey,
+      sas:          options.credentials.sas
+    });
+  }
+
+  // Route requests to the endpoint, if not the public Azure endpoint
+  if (options.endpoint) {
+    useEndpoint(client, options.endpoint);
+  }
+
+  return client;
+};
+
+/**
+ * Create a backend for the Azure table `table` using the azure table `client`,
+ * see `backend.js` for the interface.
+ */
+var azureBackend = function(client, table) {
+  var tableBackend = {
+    batch: azurebatch.submitBatch.bind(null, client, table)
+  };
+  backend.METHODS.forEach(function(name) {
+    // Bind table name
+    tableBackend[name] = client[name].bind(client, table);
+  });
+  return tableBackend;
+};
+
+/**
+ * Create table client wrapper from `methods` returning promises, the wrapper
+ * records statistics to `options.monitor` and retries transient errors as
+ * given in `options.retry` (if any).
+ *
+ * Use `aux.cancellable(checkCancelled)` from `withDeadline` to get a wrapper
+ * that stops retrying once the operation is cancelled.
+ */
+var wrapAux = function(methods, options) {
+  var monitor = options.monitor;
+  var retry   = options.retry || {maxAttempts: 1};
+  var aux = {};
+  _.forIn(methods, function(method, name) {
+    var retryableCodes = _.includes(IDEMPOTENT_METHODS, name) ?
+                         retry.retryableCodes : retry.writeRetryableCodes;
+    aux[name] = function() {
+      var args    = arguments;
+      var attempt = 0;
+      var checkCancelled = (this && this.checkCancelled) || _.noop;
+      var call = function() {
+        attempt += 1;
+        var start = process.hrtime();
+        return method.apply(null, args).then(function(result) {
+          var d = process.hrtime(start);
+          if (monitor) {
+            monitor.measure(name + '.success', d[0] * 1000 + (d[1] / 1000000));
+            monitor.count(name + '.success');
+          }
+          return result;
+        }, function(err) {
+          var d = process.hrtime(start);
+          if (monitor) {
+            monitor.measure(name + '.error', d[0] * 1000 + (d[1] / 1000000));
+            monitor.count(name + '.error');
+          }
+          if (!err || attempt >= retry.maxAttempts ||
+              retryableCodes.indexOf(err.code) === -1) {
+            throw err;
+          }
+          checkCancelled();
+          var delay = backoffDelay(retry, attempt);
+          debug("Retrying %s in %s ms after error: %s", name, delay, err.code);
+          if (monitor) {
+            monitor.count(name + '.retry');
+          }
+          return sleep(delay).then(function() {
+            // Don't make further attempts, if cancelled while sleeping
+            checkCancelled();
+            return call();
+          });
+        });
+      };
+      return call();
+    };
+  });
+  aux.cancellable = function(checkCancelled) {
+    var cancellable = Object.create(aux);
+    cancellable.checkCancelled = checkCancelled;
+    return cancellable;
+  };
+  return aux;
+};
+
+/**
+ * Call `f` for each element in `list` with at most `concurrency` calls in
+ * progress at any time. Returns a promise for the list of results, if a call
+ * fails no further calls are started and the promise is rejected.
+ */
+var mapWithConcurrency = function(list, concurrency, f) {
+  var results = new Array(list.length);
+  var next    = 0;
+  var failed  = false;
+  var worker  = function() {
+    if (failed || next >= list.length) {
+      return Promise.resolve();
+    }
+    var index = next++;
+    return Promise.resolve().then(function() {
+      return f(list[index], index);
+    }).then(function(result) {
+      results[index] = result;
+      return worker();
+    }, function(err) {
+      failed = true;
+      throw err;
+    });
   };
+  var workers = [];
+  for (var i = 0; i < Math.min(concurrency, list.length); i++) {
+    workers.push(worker());
+  }
+  return Promise.all(workers).then(function() {
+    return results;
+  });
 };
 
 /** Fixed time comparison of two buffers */
@@ -200,6 +708,14 @@ var fixedTimeComparison = function(b1, b2) {
  *   migrate: function(itemV1) {              // Migration function, if not v1
  *     return // transform item from version 1 to version 2
  *   },
+ *   hooks: {                                 // Lifecycle hooks (optional)
+ *     beforeCreate: function(properties) {...},
+ *     afterCreate:  function(item) {...},
+ *     beforeModify: function(item) {...},
+ *     afterModify:  function(item, previous) {...},
+ *     beforeRemove: function(item) {...},
+ *     afterRemove:  function(keys) {...}
+ *   }
  * }
  *
  * When creating a subclass of `Entity` using this method, you must provide all
@@ -282,6 +798,29 @@ var fixedTimeComparison = function(b1, b2) {
  * a list of property names. These property names must then be specified with
  * `Entity.setup({context: {myProp: ...}})`. This is a good way to inject
  * configuration keys and constants for use in Entity instance methods.
+ *
+ * Lifecycle `hooks` are called with the setup class as `this` and may return
+ * a promise. Hooks are inherited by newer versions, which can replace them
+ * individually, or remove them by giving `null`.
+ *  * `beforeCreate(properties)` is called by `Entity.create` with a copy of
+ *    the properties given, which it may change, before they are serialized.
+ *  * `afterCreate(item)` is called with the created item.
+ *  * `beforeModify(item)` is called by `Entity.prototype.modify` after the
+ *    modifier on each attempt, with the item holding the modified properties,
+ *    so it may validate them. Properties are read-only on items, so changes
+ *    must be made by the modifier.
+ *  * `afterModify(item, previous)` is called with the modified item and its
+ *    `previous` properties, if the entity was updated.
+ *  * `beforeRemove(item)` is called by `Entity.prototype.remove` with the item,
+ *    and by `Entity.remove`, which loads the entity if this hook is given.
+ *  * `afterRemove(keys)` is called with the key properties of the removed
+ *    entity, if an entity was removed.
+ *
+ * If a `before` hook fails, the operation is rejected with its error without
+ * writing the entity. If an `after` hook fails, the operation is rejected
+ * with its error, though the entity has been written. Classes with hooks can't
+ * use `Entity.batch`, and hooks aren't called when entities are upgraded,
+ * re-encrypted or re-signed.
  */
 Entity.configure = function(options) {
   // Identify the parent class, that is always `this` so we can use it on
@@ -298,15 +837,22 @@ Entity.configure = function(options) {
          "specify this property explicitly (there is no good default value)");
   options = _.defaults({}, options, {
     context:      [],
-    signEntities: false
+    signEntities: false,
+    hooks:        {}
   });
   assert(options.context instanceof Array,        "context must be an array");
+  assert(typeof(options.hooks) === 'object',      "hooks must be an object");
+  _.forIn(options.hooks, function(hook, name) {
+    assert(HOOKS.indexOf(name) !== -1, "Unknown hook: '" + name + "'");
+    assert(hook === null || hook instanceof Function,
+           "hook '" + name + "' must be a function or null");
+  });
 
 
   // Create a subclass of Parent
-  var subClass = function(entity) {
+  var subClass = function(entity, select) {
     // Always pass down the entity we're initializing from
-    Parent.call(this, entity);
+    Parent.call(this, entity, select);
   };
   util.inherits(subClass, Parent);
 
@@ -327,6 +873,11 @@ Entity.configure = function(options) {
   // Store context for validation of context given in Entity.setup()
   subClass.prototype.__context = options.context.slice();
 
+  // Inherit hooks from previous versions, unless replaced
+  subClass.prototype.__hooks = _.omitBy(_.assign(
+    {}, Parent.prototype.__hooks, options.hooks
+  ), _.isNull);
+
   // Validate property names
   _.forIn(options.properties, function(Type, property) {
     assert(RESERVED_PROPERTY_NAMES.indexOf(property) === -1,
@@ -413,13 +964,19 @@ Entity.configure = function(options) {
     subClass.prototype.__hasEncrypted = true;
   }
 
+  // Remember encrypted types for each version, so we can tell which key was
+  // used to encrypt an entity, regardless of the version it was written with
+  var encryptedTypes = _.clone(subClass.prototype.__encryptedTypes);
+  encryptedTypes[options.version] = _.filter(mapping, 'isEncrypted');
+  subClass.prototype.__encryptedTypes = encryptedTypes;
+
   // Create sign method
   var sign = null;
   if (options.signEntities === true) {
     // Order keys for consistency
     var keys = _.keys(mapping).sort();
-    sign = function(properties) {
-      var hash  = crypto.createHmac('sha512', this.__signingKey);
+    sign = function(properties, signingKey) {
+      var hash  = crypto.createHmac('sha512', signingKey || this.__signingKey);
       var buf   = new Buffer(4);
       var n     = keys.length;
       for (var i = 0; i < n; i++) {
@@ -458,21 +1015,31 @@ Entity.configure = function(options) {
     subClass.prototype.__sign = undefined;
   }
 
+  // Validate signature of entity, accepting any key in __signingKeys
+  var verify = function(entity, properties) {
+    var signature = new Buffer(entity.Signature, 'base64');
+    var valid = this.__signingKeys.some(function(signingKey) {
+      return fixedTimeComparison(signature, sign.call(this, properties, signingKey));
+    }, this);
+    if (!valid) {
+      throw new Error("Signature validation failed!");
+    }
+  };
+
   // define __deserialize in two ways
   if (options.version === 1) {
     // If version is 1, we just assert that an deserialize properties
-    subClass.prototype.__deserialize = function(entity) {
+    subClass.prototype.__deserialize = function(entity, select) {
       assert(entity.Version === 1, "entity.Version isn't 1");
-      var cryptoKey  = this.__cryptoKey;
+      var cryptoKeys = this.__cryptoKeys;
       var properties = {};
       _.forIn(mapping, function(type, property) {
-        properties[property] = type.deserialize(entity, cryptoKey);
+        if (!select || select.indexOf(property) !== -1) {
+          properties[property] = type.deserialize(entity, cryptoKeys);
+        }
       });
       if (sign) {
-        var signature = new Buffer(entity.Signature, 'base64');
-        if (!fixedTimeComparison(signature, sign.call(this, properties))) {
-          throw new Error("Signature validation failed!");
-        }
+        verify.call(this, entity, properties);
       }
       return properties;
     };
@@ -483,7 +1050,7 @@ Entity.configure = function(options) {
     // if version of the entity we get is < version, then we call the old
     // `deserialize` method (hence, why we keep a reference to it).
     var deserialize = subClass.prototype.__deserialize;
-    subClass.prototype.__deserialize = function(entity) {
+    subClass.prototype.__deserialize = function(entity, select) {
       // Validate version
       assert(entity.Version <= options.version,
              "entity.Version is greater than configured version!");
@@ -493,19 +1060,18 @@ Entity.configure = function(options) {
         if (!migrated) {
           throw new Error('migration must return value');
         }
-        return migrated;
+        return select ? _.pick(migrated, select) : migrated;
       }
       // Deserialize properties, if not migrated
-      var cryptoKey  = this.__cryptoKey;
+      var cryptoKeys = this.__cryptoKeys;
       var properties = {};
       _.forIn(mapping, function(type, property) {
-        properties[property] = type.deserialize(entity, cryptoKey);
+        if (!select || select.indexOf(property) !== -1) {
+          properties[property] = type.deserialize(entity, cryptoKeys);
+        }
       });
       if (sign) {
-        var signature = new Buffer(entity.Signature, 'base64');
-        if (!fixedTimeComparison(signature, sign.call(this, properties))) {
-          throw new Error("Signature validation failed!");
-        }
+        verify.call(this, entity, properties);
       }
       return properties;
     };
@@ -521,9 +1087,9 @@ Entity.configure = function(options) {
       RowKey:       subClass.prototype.__rowKey.exact(properties),
       Version:      subClass.prototype.__version
     };
-    var cryptoKey = this.__cryptoKey;
+    var cryptoKeys = this.__cryptoKeys;
     _.forIn(mapping, function(type, property) {
-      type.serialize(entity, properties[property], cryptoKey);
+      type.serialize(entity, properties[property], cryptoKeys);
     });
     if (sign) {
       entity['Signature@odata.type'] = 'Edm.Binary';
@@ -550,10 +1116,30 @@ Entity.configure = function(options) {
  *     accessToken:     "...",              // TaskCluster accessToken
  *   },
  *   agent:             https.Agent,        // Agent to use (default a global)
+ *   endpoint:          "https://...",      // Table endpoint (optional)
  *   authBaseUrl:       "...",              // baseUrl for auth (optional)
  *   signingKey:        "...",              // Key for HMAC signing entities
+ *   signingKeys:       ["...", "..."],     // Primary and secondary signing keys
  *   cryptoKey:         "...",              // Key for encrypted properties
+ *   cryptoKeys: [                          // Key ring for encrypted properties
+ *     {id: "...", key: "..."},             // Current key
+ *     {id: "...", key: "..."},             // Retired keys (for decryption)
+ *   ],
  *   monitor:           await require('taskcluster-lib-monitor')({...}),
+ *   modify: {                              // Options for modify (optional)
+ *     maxAttempts:     10,                 // Max attempts on conflicts
+ *     backoff:         {...},              // Backoff strategy on conflicts
+ *     onConflict:      function(current, attempted) {...}
+ *   },
+ *   timeout:           7 * 1000,           // Timeout for requests in ms
+ *   retry: {                               // Retry policy (optional)
+ *     maxAttempts:         5,              // Max attempts, including the first
+ *     delayFactor:         100,            // Delay before retry n: 2^n * factor
+ *     randomizationFactor: 0.25,           // Jitter, delay * (1 +/- factor)
+ *     maxDelay:            30 * 1000,      // Max delay between attempts
+ *     retryableCodes:      [...],          // Error codes to retry
+ *     writeRetryableCodes: [...],          // Error codes to retry writes
+ *   },
  *   context:           {...}               // Extend prototype (optional)
  * }
  *
@@ -575,6 +1161,21 @@ Entity.configure = function(options) {
  *   },
  * }
  *
+ * Or as a standard Azure storage connection string, where only the settings
+ * for table storage are used:
+ * {
+ *   table:             "AzureTableName",   // Azure table name
+ *   connectionString:  "DefaultEndpointsProtocol=https;AccountName=...;...",
+ * }
+ *
+ * Requests go to `https://<accountName>.table.core.windows.net`, unless an
+ * `endpoint` like `"https://<accountName>.table.core.chinacloudapi.cn"` is
+ * given, or the connection string has `TableEndpoint` or `EndpointSuffix`.
+ * Path-style endpoints, like `"http://127.0.0.1:10002/devstoreaccount1"` for
+ * the storage emulator, are supported too. `UseDevelopmentStorage=true` is
+ * short for the emulator's account name, key and endpoint, see
+ * `connectionstring.js`.
+ *
  * To use an in-memory, testing-oriented table, use the special accountName
  * `inMemory`.  Credentials are not required.
  * {
@@ -585,7 +1186,60 @@ Entity.configure = function(options) {
  *
  * This implementation is largely true to Azure, but is intended only for
  * testing, and only in combination with integration tests against Azure to
- * reveal any unknown inconsistencies.
+ * reveal any unknown inconsistencies. Queries are given the same `$filter`
+ * strings as Azure, which are evaluated in-memory.
+ *
+ * For local development in-memory tables can be persisted to a JSON file by
+ * giving `persistTo: './data/entities.json'`. Tables are loaded from the file
+ * when setup, and a snapshot of all tables in the file is written after each
+ * mutation.
+ *
+ * In-memory tables are shared by all classes, unless a `store` created with
+ * `new Entity.InMemoryStore()` is given. A store can be cleared with
+ * `store.reset()`, and `store.restore(store.snapshot())` restores the tables
+ * to the state they had when the snapshot was taken. To test error handling,
+ * failures and latency can be injected with `store.injectFault(options)`, see
+ * `InMemoryStore.prototype.injectFault` in `inmemory.js`. The store used
+ * when no `store` is given is `Entity.InMemoryStore.defaultStore`.
+ *
+ * Other storage can be used by giving a `backend` implementing the interface
+ * in `backend.js`, instead of `account`, `credentials` or `connectionString`.
+ * {
+ *   table:       "AzureTableName",
+ *   backend:     {createTable: function() {...}, ...},
+ * }
+ * Tables can be stored in a local SQLite file with
+ * `backend: new Entity.SQLiteBackend(table, {file: './data/entities.sqlite'})`,
+ * which requires the `sqlite3` package, see `sqlite.js`.
+ *
+ * Instead of `signingKey` a list of `signingKeys` can be given, entities are
+ * signed with the first key, while signatures from any of the keys are
+ * accepted. Use `Entity.resignAll` to sign all entities with the first key,
+ * before removing secondary keys.
+ *
+ * Encrypted properties are encrypted with the first key in `cryptoKeys`, and
+ * the key id is stored with the ciphertext, such that retired keys can be used
+ * for decryption while rotating keys. Key ids must be 1 to 14 characters
+ * matching `[a-zA-Z0-9_-]`. If only `cryptoKey` is given, values are encrypted
+ * without key id, as done before key rotation was supported. If both are given
+ * `cryptoKey` is only used to decrypt values without key id. Use
+ * `Entity.reencryptAll` to re-encrypt values with the current key.
+ *
+ * The `modify` options are defaults for `Entity.prototype.modify`, see it for
+ * details.
+ *
+ * If `retry` is given, table operations failing with one of the
+ * `retryableCodes` are retried with exponential backoff, and retries are
+ * counted as `<method>.retry` in the `monitor`. The default `retryableCodes`
+ * are the error codes for 5xx errors from Azure and socket errors. Writes
+ * (inserts, updates, deletions and batches) may have been applied when they
+ * fail with such an error, so they are only retried for `writeRetryableCodes`,
+ * which by default are `ServerBusy` and `ECONNREFUSED`. Otherwise requests are
+ * retried by the `fast-azure-storage` client.
+ *
+ * The `timeout` applies to each request made to Azure, default is 7 seconds.
+ * Each operation also takes a `timeout` and an `AbortSignal` as `signal` for
+ * the operation as a whole, see `Entity.load`.
  *
  * In `Entity.configure` the `context` options is a list of property names,
  * these properties **must** be specified in when `Entity.setup` is called.
@@ -597,6 +1251,15 @@ Entity.configure = function(options) {
  * This will again create a new subclass that is ready for use, with azure
  * credentials, etc. This new subclass cannot be configured further, nor can
  * `setup` be called again.
+ *
+ * The class returned is an `EventEmitter`, emitting events after entities are
+ * written by `create`, `modify`, `remove` and `Entity.batch`:
+ *  * `'created'` with the item, also when an existing entity was overwritten,
+ *  * `'modified'` with the item and the properties changed, on the form
+ *    `{property: {before, after}}`, if the entity was updated, and
+ *  * `'removed'` with the key properties, if an entity was removed.
+ * Events are only emitted for writes made by this class in this process.
+ * Errors thrown by listeners are ignored, as the entity has been written.
  */
 Entity.setup = function(options) {
   // Validate options
@@ -605,8 +1268,20 @@ Entity.setup = function(options) {
   assert(typeof(options.table) === 'string',  'options.table isn\'t a string');
   if (options.account === 'inMemory') {
     assert(options.hasOwnProperty('credentials'), 'credentials should be specified even with inMemory, but can be null');
+    assert(!options.backend, 'backend can\'t be specified with inMemory');
   } else {
-    assert(options.credentials, 'credentials are required unless using in-memory tables');
+    if (options.backend) {
+      backend.validate(options.backend);
+      assert(!options.account && !options.credentials &&
+             !options.connectionString && !options.endpoint,
+             'account, credentials, connectionString and endpoint can\'t ' +
+             'be specified with backend');
+    } else {
+      assert(options.credentials || options.connectionString,
+             'credentials or connectionString are required unless using in-memory tables');
+    }
+    assert(!options.persistTo, 'persistTo is only supported for in-memory tables');
+    assert(!options.store, 'store is only supported for in-memory tables');
   }
   if (options.drain || options.component || options.process) {
     console.log('taskcluster-lib-stats is now deprecated!\n' +
@@ -618,23 +1293,50 @@ Entity.setup = function(options) {
   options = _.defaults({}, options, {
     context:          {},
     agent:            undefined,
+    timeout:          AZURE_TABLE_TIMEOUT,
     minSASAuthExpiry: 15 * 60 * 1000
   });
+  assert(typeof(options.timeout) === 'number' && options.timeout > 0,
+         "options.timeout must be a positive number of ms");
+
+  // Use the credentials and endpoint from connection string, if given
+  if (options.connectionString) {
+    assert(!options.account && !options.credentials,
+           "Don't specify account or credentials with connectionString");
+    var connection = connectionstring.parse(options.connectionString);
+    options.credentials = _.pick(connection, [
+      'accountName', 'accountKey', 'sas'
+    ]);
+    options.endpoint = options.endpoint || connection.endpoint;
+  }
+  if (options.endpoint !== undefined) {
+    assert(options.account !== 'inMemory',
+           "endpoint isn't supported for in-memory tables");
+    options.endpoint = connectionstring.parseEndpoint(options.endpoint);
+    // fast-azure-storage uses https with an https.Agent by default
+    if (/^http:/.test(options.endpoint) && options.agent === undefined) {
+      options.agent = new http.Agent({keepAlive: true});
+    }
+  }
 
   // Identify the parent class, that is always `this` so we can use it on
   // subclasses
   var Parent = this;
 
   // Create a subclass of Parent
-  var subClass = function(entity) {
+  var subClass = function(entity, select) {
     // Always pass down the entity we're initializing from
-    Parent.call(this, entity);
+    Parent.call(this, entity, select);
   };
   util.inherits(subClass, Parent);
 
   // Inherit class methods too (ie. static members)
   _.assign(subClass, Parent);
 
+  // Make the class an event emitter for changes to entities
+  _.assign(subClass, events.EventEmitter.prototype);
+  events.EventEmitter.call(subClass);
+
   // Validate that subclass is already configured
   assert(
     subClass.prototype.__version      &&
@@ -680,127 +1382,127 @@ Entity.setup = function(options) {
     subClass.prototype[key] = val;
   });
 
-  // Set encryption key if needed
+  // Set encryption keys if needed
   if (subClass.prototype.__hasEncrypted) {
-    assert(typeof(options.cryptoKey) === 'string',
-           "cryptoKey is required when a property is encrypted in any " +
-           "of the schema versions.");
-    var secret  = new Buffer(options.cryptoKey, 'base64');
-    assert(secret.length === 32, "cryptoKey must be 32 bytes in base64");
-    subClass.prototype.__cryptoKey = secret;
+    assert(typeof(options.cryptoKey) === 'string' || options.cryptoKeys,
+           "cryptoKey or cryptoKeys is required when a property is " +
+           "encrypted in any of the schema versions.");
+    var cryptoKeys = {current: null, keys: {}, legacy: undefined};
+    if (options.cryptoKey !== undefined) {
+      assert(typeof(options.cryptoKey) === 'string',
+             "cryptoKey must be a string");
+      var secret  = new Buffer(options.cryptoKey, 'base64');
+      assert(secret.length === 32, "cryptoKey must be 32 bytes in base64");
+      cryptoKeys.legacy = secret;
+    }
+    if (options.cryptoKeys !== undefined) {
+      assert(options.cryptoKeys instanceof Array &&
+             options.cryptoKeys.length > 0,
+             "cryptoKeys must be a non-empty array");
+      options.cryptoKeys.forEach(function(entry) {
+        assert(typeof(entry.id) === 'string' && VALID_KEY_ID.test(entry.id),
+               "cryptoKeys ids must be 1 to 14 characters matching " +
+               "[a-zA-Z0-9_-]");
+        assert(!cryptoKeys.keys[entry.id],
+               "cryptoKeys id '" + entry.id + "' is given twice");
+        assert(typeof(entry.key) === 'string',
+               "cryptoKeys key '" + entry.id + "' must be a string");
+        var secret  = new Buffer(entry.key, 'base64');
+        assert(secret.length === 32, "cryptoKeys key '" + entry.id +
+               "' must be 32 bytes in base64");
+        cryptoKeys.keys[entry.id] = secret;
+      });
+      // The first key is the current key, others are retired keys
+      cryptoKeys.current = options.cryptoKeys[0].id;
+    }
+    subClass.prototype.__cryptoKeys = cryptoKeys;
   } else {
-    assert(!options.cryptoKey, "Don't specify options.cryptoKey when " +
-                                   "there aren't any encrypted properties!");
+    assert(!options.cryptoKey && !options.cryptoKeys,
+           "Don't specify options.cryptoKey or options.cryptoKeys when " +
+           "there aren't any encrypted properties!");
   }
 
-  // Set signing key if needed
+  // Set signing keys if needed
   if (subClass.prototype.__hasSigning) {
-    assert(typeof(options.signingKey) === 'string',
-           "signingKey is required when {signEntities: true} is set in " +
-           "one of the versions of the Entity versions");
-    subClass.prototype.__signingKey = new Buffer(options.signingKey, 'utf8');
+    assert(!(options.signingKey && options.signingKeys),
+           "Don't specify both options.signingKey and options.signingKeys");
+    var signingKeys = options.signingKeys;
+    if (signingKeys === undefined) {
+      assert(typeof(options.signingKey) === 'string',
+             "signingKey or signingKeys is required when {signEntities: true} " +
+             "is set in one of the versions of the Entity versions");
+      signingKeys = [options.signingKey];
+    }
+    assert(signingKeys instanceof Array && signingKeys.length > 0,
+           "signingKeys must be a non-empty array");
+    signingKeys = signingKeys.map(function(signingKey) {
+      assert(typeof(signingKey) === 'string',
+             "signingKeys must be an array of strings");
+      return new Buffer(signingKey, 'utf8');
+    });
+    // The first key is the primary key used for signing, others are only
+    // accepted when validating signatures
+    subClass.prototype.__signingKey  = signingKeys[0];
+    subClass.prototype.__signingKeys = signingKeys;
   } else {
-    assert(!options.signingKey, "Don't specify options.signingKey when "  +
-                                "entities aren't signed!");
+    assert(!options.signingKey && !options.signingKeys,
+           "Don't specify options.signingKey or options.signingKeys when " +
+           "entities aren't signed!");
   }
 
+  // Set default options for modify, if given
+  if (options.modify) {
+    modifyOptions(options.modify);
+    subClass.prototype.__modifyOptions = options.modify;
+  }
+
+  // Set retry policy for transient errors, if given
+  if (options.retry) {
+    options.retry = _.defaults({}, options.retry, DEFAULT_RETRY);
+    assert(typeof(options.retry.maxAttempts) === 'number' &&
+           options.retry.maxAttempts >= 1,
+           "retry.maxAttempts must be a number >= 1");
+    assert(typeof(options.retry.delayFactor) === 'number' &&
+           typeof(options.retry.randomizationFactor) === 'number' &&
+           typeof(options.retry.maxDelay) === 'number',
+           "retry.delayFactor, retry.randomizationFactor and retry.maxDelay " +
+           "must be numbers");
+    assert(options.retry.retryableCodes instanceof Array,
+           "retry.retryableCodes must be an array of error codes");
+    assert(options.retry.writeRetryableCodes instanceof Array,
+           "retry.writeRetryableCodes must be an array of error codes");
+  }
+
+  // Create the backend holding the table, Azure unless another is given
+  var client = {};
+  var tableBackend = options.backend;
   if (options.account == "inMemory") {
     if (!inmemory) {
       inmemory = require('./inmemory'); // lazy-loaded
     }
-    subClass.prototype.__table = options.table;
-    subClass.prototype.__filterBuilder = inmemory.appendFilter;
-    subClass.prototype.__aux = new inmemory.InMemoryWrapper(options.table);
-    subClass.prototype.__client = {};
-
-    return subClass;
+    tableBackend = new inmemory.InMemoryWrapper(options.table, {
+      store:      options.store,
+      persistTo:  options.persistTo
+    });
+  } else if (!tableBackend) {
+    client = createClient(options);
+    tableBackend = azureBackend(client, options.table);
   }
 
-  // Set azure table name
+  // Set azure table name and reference to azure table client
   subClass.prototype.__table = options.table;
-
-  // Create an azure table client
-  var client = null;
-  if (options.account) {
-    // If we're setting up to fetch credentials for auth.taskcluster.net
-    assert(typeof(options.account) === 'string',
-           "Expected options.account to be a string, or undefined");
-    // Create auth client to fetch SAS from auth.taskcluster.net
-    var auth = new taskcluster.Auth({
-      credentials:    options.credentials,
-      baseUrl:        options.authBaseUrl
-    });
-    // Create azure table client with logic for fetch SAS
-    client = new azure.Table({
-      timeout:          AZURE_TABLE_TIMEOUT,
-      agent:            options.agent,
-      accountId:        options.account,
-      minSASAuthExpiry: options.minSASAuthExpiry,
-      sas: function() {
-        return auth.azureTableSAS(
-          options.account,
-          options.table,
-          'read-write'  // TODO: If we need it, we can make this an option
-        ).then(function(result) {
-          return result.sas;
-        });
-      }
-    });
-  } else {
-    // Create client using credentials already present
-    assert(options.credentials.accountName, "Missing accountName");
-    assert(options.credentials.accountKey ||
-           options.credentials.sas,         "Missing accountKey or sas");
-    // Create azure table client with accessKey
-    client = new azure.Table({
-      timeout:      AZURE_TABLE_TIMEOUT,
-      agent:        options.agent,
-      accountId:    options.credentials.accountName,
-      accessKey:    options.credentials.accountKey,
-      sas:          options.credentials.sas
-    });
-  }
-
-  // Store reference to azure table client
-  subClass.prototype.__client = client;
+  subClass.prototype.__client = client;
 
   // set the filter builder
   subClass.prototype.__filterBuilder = entityfilters.appendFilter;
+  if (tableBackend.filterBuilder) {
+    subClass.prototype.__filterBuilder =
+      tableBackend.filterBuilder.bind(tableBackend);
+  }
 
-  // Create table client wrapper, to record statistics and bind table name
-  subClass.prototype.__aux = {};
-  [
-    'createTable',
-    'deleteTable',
-    'getEntity',
-    'queryEntities',
-    'insertEntity',
-    'updateEntity',
-    'deleteEntity'
-  ].forEach(function(name) {
-    // Bind table name
-    var method = client[name].bind(client, options.table);
-
-    // Record statistics
-    subClass.prototype.__aux[name] = function() {
-      var start = process.hrtime();
-      return method.apply(client, arguments).then(function(result) {
-        var d = process.hrtime(start);
-        if (options.monitor) {
-          options.monitor.measure(name + '.success', d[0] * 1000 + (d[1] / 1000000));
-          options.monitor.count(name + '.success');
-        }
-        return result;
-      }, function(err) {
-        var d = process.hrtime(start);
-        if (options.monitor) {
-          options.monitor.measure(name + '.error', d[0] * 1000 + (d[1] / 1000000));
-          options.monitor.count(name + '.error');
-        }
-        throw err;
-      });
-    };
-  });
+  // Create table client wrapper, to record statistics and retry errors
+  subClass.prototype.__aux = wrapAux(backend.bindMethods(tableBackend),
+                                     options);
 
   return subClass;
 };
@@ -849,45 +1551,97 @@ Entity.removeTable = function() {
 /**
  * Create an entity on azure table with property and mapping.
  * Returns a promise for an instance of `this` (typically an Entity subclass)
+ *
+ * Options:
+ * ```js
+ * {
+ *   overwriteIfExists:  false,      // Overwrite entity, if it exists
+ *   timeout:            undefined,  // Timeout for the operation in ms
+ *   signal:             undefined,  // AbortSignal to cancel the operation
+ * }
+ * ```
+ *
+ * For backwards compatibility `options` may also be a boolean, which is the
+ * same as `{overwriteIfExists: options}`.
+ *
+ * The `beforeCreate` and `afterCreate` hooks are called, see
+ * `Entity.configure`.
  */
-Entity.create = function(properties, overwriteIfExists) {
+Entity.create = function(properties, options) {
+  if (typeof(options) !== 'object' || options === null) {
+    options = {overwriteIfExists: !!options};
+  }
   var Class       = this;
   var ClassProps  = Class.prototype;
   assert(properties, "Properties is required");
 
-  // Serialize entity
-  var entity = ClassProps.__serialize(properties);
+  // Copy properties, so the beforeCreate hook can set defaults
+  properties = _.clone(properties);
+  var entity;
 
-  // Insert with insertEntity or updateEntity with replace null
-  var inserted = null;
-  if (!overwriteIfExists) {
-    inserted = ClassProps.__aux.insertEntity(entity);
-  } else {
-    inserted = ClassProps.__aux.updateEntity(entity, {
-      mode: 'replace',
-      eTag: null
-    });
-  }
+  return callHook(Class, 'beforeCreate', [properties]).then(function() {
+    // Serialize entity
+    entity = ClassProps.__serialize(properties);
 
-  // Create entity
-  return inserted
-    .catch(rethrowDebug("Failed to insert entity err: %j"))
-    .then(function(etag) {
-      entity['odata.etag'] = etag;
-      return entity;
-    })
-    .then(wrapEntityClass(Class));
+    // Insert with insertEntity or updateEntity with replace null
+    return withDeadline(options, function(checkCancelled) {
+      var aux = ClassProps.__aux.cancellable(checkCancelled);
+      if (!options.overwriteIfExists) {
+        return aux.insertEntity(entity);
+      }
+      return aux.updateEntity(entity, {
+        mode: 'replace',
+        eTag: null
+      });
+    }).catch(rethrowDebug("Failed to insert entity err: %j"));
+  }).then(function(etag) {
+    entity['odata.etag'] = etag;
+    return entity;
+  }).then(wrapEntityClass(Class)).then(function(item) {
+    emitEvent(Class, 'created', [item]);
+    return callHook(Class, 'afterCreate', [item]).then(function() {
+      return item;
+    });
+  });
 };
 
 /**
  * Load Entity subclass from azure given PartitionKey and RowKey,
  * This method return a promise for the subclass instance.
  *
+ * Options:
+ * ```js
+ * {
+ *   ignoreIfNotExists:  false,            // Return null, if entity is missing
+ *   select:             ['prop1', ...],   // Only load the given properties
+ *   timeout:            undefined,        // Timeout for the operation in ms
+ *   signal:             undefined,        // AbortSignal to cancel operation
+ * }
+ * ```
+ *
+ * For backwards compatibility `options` may also be a boolean, which is the
+ * same as `{ignoreIfNotExists: options}`.
+ *
  * If `ignoreIfNotExists` is true, this method will return `null` if the entity
  * to be loaded doesn't exist.
+ *
+ * If `select` is given only the columns for the given properties are fetched,
+ * and the entity returned is a read-only partial entity, which can't be
+ * modified. Entities written with an older version are loaded in full, as
+ * migrations need all properties. This can't be used with `signEntities`.
+ *
+ * If `timeout` is given, the operation is rejected with an error with code
+ * `'TimeoutError'` if it isn't done in `timeout` ms, including any retries.
+ * If `signal` is given, the operation is rejected with an error with code
+ * `'AbortError'` when it's aborted. Requests already sent to Azure can't be
+ * cancelled, so an operation may still take effect after it was rejected.
+ * `create`, `remove`, `modify` and `scan` take the same options.
  */
-Entity.load = function(properties, ignoreIfNotExists) {
+Entity.load = function(properties, options) {
   properties = properties || {};
+  if (typeof(options) !== 'object' || options === null) {
+    options = {ignoreIfNotExists: !!options};
+  }
   var Class       = this;
   var ClassProps  = Class.prototype;
 
@@ -895,11 +1649,21 @@ Entity.load = function(properties, ignoreIfNotExists) {
   var partitionKey  = ClassProps.__partitionKey.exact(properties);
   var rowKey        = ClassProps.__rowKey.exact(properties);
 
-  return ClassProps.__aux.getEntity(
-    partitionKey,
-    rowKey
-  ).then(wrapEntityClass(Class), function(err) {
-    if (ignoreIfNotExists && err && err.code === 'ResourceNotFound') {
+  var select  = options.select && selectColumns(ClassProps, options.select);
+  var loaded  = withDeadline(options, function(checkCancelled) {
+    var aux = ClassProps.__aux.cancellable(checkCancelled);
+    if (select) {
+      return aux.getEntity(partitionKey, rowKey, {
+        select: select
+      }).then(function(entity) {
+        return loadOutdated(ClassProps, aux, entity);
+      });
+    }
+    return aux.getEntity(partitionKey, rowKey);
+  });
+
+  return loaded.then(wrapEntityClass(Class, options.select), function(err) {
+    if (options.ignoreIfNotExists && err && err.code === 'ResourceNotFound') {
       return null; // Ignore entity that doesn't exists
     }
     throw err;
@@ -914,56 +1678,144 @@ Entity.load = function(properties, ignoreIfNotExists) {
  *
  * Returns true, if an entity was deleted. Notice that it only makes sense
  * to read the return value if calling with `ignoreIfNotExists` set.
+ *
+ * Options are `{ignoreIfNotExists, timeout, signal}`, see `Entity.load`. For
+ * backwards compatibility `options` may also be a boolean, which is the same
+ * as `{ignoreIfNotExists: options}`.
+ *
+ * If the class has a `beforeRemove` hook, the entity is loaded so the hook can
+ * be called with the item, the `afterRemove` hook is called with the key
+ * properties given, see `Entity.configure`.
  */
-Entity.remove = function(properties, ignoreIfNotExists) {
+Entity.remove = function(properties, options) {
   properties = properties || {};
+  if (typeof(options) !== 'object' || options === null) {
+    options = {ignoreIfNotExists: !!options};
+  }
   var Class       = this;
   var ClassProps  = Class.prototype;
 
   // Serialize partitionKey and rowKey
   var partitionKey  = ClassProps.__partitionKey.exact(properties);
   var rowKey        = ClassProps.__rowKey.exact(properties);
+  var keys          = keyProperties(ClassProps, properties);
+
+  // Load the entity for the beforeRemove hook, if there is one
+  var loaded = Promise.resolve(true);
+  if (ClassProps.__hooks.beforeRemove) {
+    loaded = Class.load(properties, {
+      ignoreIfNotExists:  options.ignoreIfNotExists,
+      timeout:            options.timeout,
+      signal:             options.signal
+    }).then(function(item) {
+      if (!item) {
+        return false;
+      }
+      return callHook(Class, 'beforeRemove', [item]).then(function() {
+        return true;
+      });
+    });
+  }
 
-  return ClassProps.__aux.deleteEntity(partitionKey, rowKey, {
-    eTag: '*'
-  }).then(function() {
-    return true;
-  }, function(err) {
-    // Re-throw error if we're not supposed to ignore it
-    if (!ignoreIfNotExists || !err || err.code !== 'ResourceNotFound') {
-      throw err;
+  return loaded.then(function(exists) {
+    if (!exists) {
+      return false;
     }
-    return false;
-  }).catch(rethrowDebug("Failed to delete entity, err: %j"));
+    return withDeadline(options, function(checkCancelled) {
+      var aux = ClassProps.__aux.cancellable(checkCancelled);
+      return aux.deleteEntity(partitionKey, rowKey, {
+        eTag: '*'
+      });
+    }).then(function() {
+      return true;
+    }, function(err) {
+      // Re-throw error if we're not supposed to ignore it
+      if (!options.ignoreIfNotExists || !err ||
+          err.code !== 'ResourceNotFound') {
+        throw err;
+      }
+      return false;
+    }).catch(rethrowDebug("Failed to delete entity, err: %j"));
+  }).then(function(removed) {
+    if (!removed) {
+      return false;
+    }
+    emitEvent(Class, 'removed', [keys]);
+    return callHook(Class, 'afterRemove', [keys]).then(function() {
+      return true;
+    });
+  });
 };
 
 
-/** Remove entity if not modified, unless `ignoreChanges` is set */
+/**
+ * Remove entity if not modified, unless `ignoreChanges` is set.
+ *
+ * Options are `{ignoreChanges, ignoreIfNotExists, timeout, signal}`, see
+ * `Entity.load`. For backwards compatibility the options may also be given as
+ * two booleans `ignoreChanges` and `ignoreIfNotExists`.
+ *
+ * The `beforeRemove` and `afterRemove` hooks are called, see
+ * `Entity.configure`.
+ */
 Entity.prototype.remove = function(ignoreChanges, ignoreIfNotExists) {
-  return this.__aux.deleteEntity(this._partitionKey, this._rowKey, {
-    eTag:     (ignoreChanges ? '*' : this._etag)
-  }).catch(function(err) {
-    // Re-throw error if we're not supposed to ignore it
-    if (!ignoreIfNotExists || !err || err.code !== 'ResourceNotFound') {
-      throw err;
+  var options = ignoreChanges;
+  if (typeof(options) !== 'object' || options === null) {
+    options = {
+      ignoreChanges:      !!ignoreChanges,
+      ignoreIfNotExists:  !!ignoreIfNotExists
+    };
+  }
+  var self  = this;
+  var Class = this.constructor;
+  return callHook(Class, 'beforeRemove', [self]).then(function() {
+    return withDeadline(options, function(checkCancelled) {
+      var aux = self.__aux.cancellable(checkCancelled);
+      return aux.deleteEntity(self._partitionKey, self._rowKey, {
+        eTag:     (options.ignoreChanges ? '*' : self._etag)
+      });
+    }).then(function() {
+      return true;
+    }, function(err) {
+      // Re-throw error if we're not supposed to ignore it
+      if (!options.ignoreIfNotExists || !err ||
+          err.code !== 'ResourceNotFound') {
+        throw err;
+      }
+      return false;
+    }).catch(rethrowDebug("Failed to delete entity, err: %j"));
+  }).then(function(removed) {
+    if (removed) {
+      var keys = keyProperties(self, self._properties);
+      emitEvent(Class, 'removed', [keys]);
+      return callHook(Class, 'afterRemove', [keys]);
     }
-  }).catch(rethrowDebug("Failed to delete entity, err: %j"));
+  }).then(function() {});
 };
 
 /**
  * Update the entity by fetching its values again, returns true of there was
- * any changes.
+ * any changes. Partial entities only fetch the properties they were loaded
+ * with.
  */
 Entity.prototype.reload = function() {
   var self = this;
   var etag = this._etag;
 
-  return this.__aux.getEntity(
-    this._partitionKey,
-    this._rowKey
-  ).then(function(entity) {
+  var loaded;
+  if (this._select) {
+    loaded = this.__aux.getEntity(this._partitionKey, this._rowKey, {
+      select: selectColumns(this, this._select)
+    }).then(function(entity) {
+      return loadOutdated(self, self.__aux, entity);
+    });
+  } else {
+    loaded = this.__aux.getEntity(this._partitionKey, this._rowKey);
+  }
+
+  return loaded.then(function(entity) {
     // Deserialize a shadow object from the entity
-    self._properties    = self.__deserialize(entity);
+    self._properties    = self.__deserialize(entity, self._select);
     // Note, that Entity.prototype.modify relies on _properties becoming a new
     // object. So ensure that is maintained or updated Entity.prototype.modify
 
@@ -976,6 +1828,85 @@ Entity.prototype.reload = function() {
   });
 };
 
+/**
+ * Find changes made to `item._properties` compared to `properties`, which is
+ * a clone of the properties before modification. Returns `null` if there is
+ * no changes, otherwise an object on the form `{mode: 'merge', entity: {...}}`
+ * for use with `updateEntity`.
+ */
+var computeChanges = function(item, properties) {
+  var mode          = 'merge';  // Track update mode
+  var entityChanges = {         // Track changes we have to upload
+    PartitionKey:   item._partitionKey,
+    RowKey:         item._rowKey
+  };
+
+  // If we don't have schema version changes
+  if (item._version === item.__version) {
+    var isChanged     = false;  // Track if we have changes
+
+    // Check if `item._properties` have been changed and serialize changes
+    // to `entityChanges` while flagging changes in `isChanged`
+    _.forIn(item.__mapping, function(type, property) {
+      var value = item._properties[property];
+      if (!type.equal(properties[property], value)) {
+        type.serialize(entityChanges, value, item.__cryptoKeys);
+        isChanged = true;
+      }
+    });
+
+    // Check for changes
+    if (!isChanged) {
+      return null;
+    }
+
+    // Compute new signature if changed
+    if (item.__sign) {
+      entityChanges['Signature@odata.type'] = 'Edm.Binary';
+      entityChanges['Signature'] = item.__sign(item._properties)
+                                       .toString('base64');
+    }
+  } else {
+    // If we have a schema version upgrade replace all properties
+    mode          = 'replace';
+    entityChanges = item.__serialize(item._properties);
+  }
+
+  // Check for key modifications
+  assert(item._partitionKey === item.__partitionKey.exact(item._properties),
+         "You can't modify elements of the partitionKey");
+  assert(item._rowKey === item.__rowKey.exact(item._properties),
+         "You can't modify elements of the rowKey");
+
+  return {mode: mode, entity: entityChanges};
+};
+
+/**
+ * Resolve `options` for `Entity.prototype.modify` with defaults from
+ * `classOptions` given in `Entity.setup`, and validate them.
+ */
+var modifyOptions = function(options, classOptions) {
+  options = _.defaults({}, options, classOptions, {
+    maxAttempts:  MAX_MODIFY_ATTEMPTS,
+    backoff:      null,
+    onConflict:   null
+  });
+  assert(typeof(options.maxAttempts) === 'number' && options.maxAttempts >= 1,
+         "modify maxAttempts must be a number >= 1");
+  assert(!options.onConflict || options.onConflict instanceof Function,
+         "modify onConflict must be a function");
+  if (options.backoff && !(options.backoff instanceof Function)) {
+    assert(typeof(options.backoff) === 'object',
+           "modify backoff must be a function or an object");
+    options.backoff = _.defaults({}, options.backoff, {
+      delayFactor:          DEFAULT_RETRY.delayFactor,
+      randomizationFactor:  DEFAULT_RETRY.randomizationFactor,
+      maxDelay:             DEFAULT_RETRY.maxDelay
+    });
+  }
+  return options;
+};
+
 /**
  * Modify an entity, the `modifier` is a function that is called with
  * a clone of the entity as `this` and first argument, it should apply
@@ -1005,17 +1936,54 @@ Entity.prototype.reload = function() {
  *   entity.property = "new value";
  * });
  * ```
+ *
+ * The optional `options` overrides the `modify` options given to
+ * `Entity.setup`, on the form:
+ * ```js
+ * {
+ *   maxAttempts:   10,               // Max attempts before congestion error
+ *   backoff:       {                 // Backoff strategy (default none)
+ *     delayFactor:         100,      // Delay before attempt n: 2^n * factor
+ *     randomizationFactor: 0.25,     // Jitter, delay * (1 +/- factor)
+ *     maxDelay:            30 * 1000 // Max delay between attempts
+ *   },
+ *   onConflict:    function(current, attempted) {...},
+ *   timeout:       undefined,        // Timeout for the operation in ms
+ *   signal:        undefined         // AbortSignal to cancel the operation
+ * }
+ * ```
+ * Instead of an object, `backoff` may be a function that given the number of
+ * conflicts so far returns the delay in ms. If `onConflict` is given it's
+ * called after each conflict, when the entity has been reloaded, with the
+ * `current` properties and the properties `attempted` saved. If it returns
+ * `false` (or a promise for `false`) modify is aborted, and rejected with the
+ * `UpdateConditionNotSatisfied` error, leaving this entity reloaded.
+ *
+ * The `timeout` and `signal` options cover all attempts, see `Entity.load`.
+ * Once the operation is rejected no further attempts are made.
+ *
+ * The `beforeModify` hook is called after the modifier on each attempt, and
+ * the `afterModify` hook is called if the entity was updated, see
+ * `Entity.configure`.
  */
-Entity.prototype.modify = function(modifier) {
+Entity.prototype.modify = function(modifier, options) {
+  if (this._select) {
+    return Promise.reject(new Error(
+      "Can't modify partial entity loaded with select, load it in full first"
+    ));
+  }
+  options = modifyOptions(options, this.__modifyOptions);
   var self = this;
+  var Class = this.constructor;
   var properties;
   var eTag;
   var version;
+  var updated = false;
 
   // Attempt to modify this object
-  var attemptsLeft = MAX_MODIFY_ATTEMPTS;
+  var attemptsLeft = options.maxAttempts;
   var modifiedEntityAttempts = [];
-  var attemptModify = function() {
+  var attemptModify = function(checkCancelled) {
     // Create a clone of this._properties, so we can compare properties and
     // decide what to upload, as well as we can restore state if operations fail
     properties    = {};
@@ -1030,59 +1998,25 @@ Entity.prototype.modify = function(modifier) {
       self._properties,
       self._properties
     )).then(function() {
-      var entityChanges = {};       // Track changes we have to upload
-      var mode          = 'merge';  // Track update mode
-
-      // If we don't have schema version changes
-      if (self._version === self.__version) {
-        var isChanged     = false;  // Track if we have changes
-
-        // Check if `self._properties` have been changed and serialize changes
-        // to `entityChanges` while flagging changes in `isChanged`
-        _.forIn(self.__mapping, function(type, property) {
-          var value = self._properties[property];
-          if (!type.equal(properties[property], value)) {
-            type.serialize(entityChanges, value, self.__cryptoKey);
-            isChanged = true;
-          }
-        });
-
-        // Check for changes
-        if (!isChanged) {
-          debug("Return modify trivially, as no changes was made by modifier");
-          return self;
-        }
-
-        // Compute new signature if changed
-        if (self.__sign) {
-          entityChanges['Signature@odata.type'] = 'Edm.Binary';
-          entityChanges['Signature'] = self.__sign(self._properties)
-                                           .toString('base64');
-        }
-      } else {
-        // If we have a schema version upgrade replace all properties
-        mode          = 'replace';
-        isChanged     = true;
-        entityChanges = self.__serialize(self._properties);
+      return callHook(Class, 'beforeModify', [self]);
+    }).then(function() {
+      // Find changes made by the modifier
+      var changes = computeChanges(self, properties);
+
+      // Check for changes
+      if (!changes) {
+        debug("Return modify trivially, as no changes was made by modifier");
+        return self;
       }
 
-
-      // Check for key modifications
-      assert(self._partitionKey === self.__partitionKey.exact(self._properties),
-             "You can't modify elements of the partitionKey");
-      assert(self._rowKey === self.__rowKey.exact(self._properties),
-             "You can't modify elements of the rowKey");
-
-      // Set rowKey and partition key
-      entityChanges.PartitionKey  = self._partitionKey;
-      entityChanges.RowKey        = self._rowKey;
-
       // Update entity with changes
-      return self.__aux.updateEntity(entityChanges, {
-        mode:   mode,
+      var aux = self.__aux.cancellable(checkCancelled);
+      return aux.updateEntity(changes.entity, {
+        mode:   changes.mode,
         eTag:   self._etag
       }).then(function(eTag) {
         self._etag = eTag;
+        updated = true;
         return self;
       });
     }).catch(function(err) {
@@ -1114,12 +2048,339 @@ Entity.prototype.modify = function(modifier) {
         modifiedEntityAttempts.push(modifiedEntity);
       }
 
+      // Wait before trying again, if we have a backoff strategy
+      var delay = 0;
+      if (options.backoff instanceof Function) {
+        delay = options.backoff(modifiedEntityAttempts.length);
+      } else if (options.backoff) {
+        delay = backoffDelay(options.backoff, modifiedEntityAttempts.length);
+      }
+
       // Reload and try again (overwrites self._properties, self._version and self._etag)
-      return Entity.prototype.reload.call(self).then(attemptModify);
+      return sleep(delay).then(function() {
+        checkCancelled();
+        return Entity.prototype.reload.call(self);
+      }).then(function() {
+        if (!options.onConflict) {
+          return true;
+        }
+        return options.onConflict(self._properties, modifiedEntity);
+      }).then(function(retry) {
+        // Abort with the conflict error, if onConflict returns false
+        if (retry === false) {
+          debug("Modify aborted by onConflict");
+          throw err;
+        }
+        checkCancelled();
+        return attemptModify(checkCancelled);
+      });
+    });
+  };
+
+  return withDeadline(options, attemptModify).then(function() {
+    if (!updated) {
+      return self;
+    }
+    emitEvent(Class, 'modified', [self, diffProperties(self, properties)]);
+    return callHook(Class, 'afterModify', [self, properties]).then(function() {
+      return self;
+    });
+  });
+};
+
+
+/** Max number of operations in an entity group transaction */
+var MAX_BATCH_OPERATIONS    = 100;
+
+/**
+ * Batch of operations to be committed as an entity group transaction, see
+ * `Entity.batch`. Operations are stored on the form:
+ * ```js
+ * {
+ *   kind:         'create' || 'replace' || 'modify' || 'remove',
+ *   partitionKey: '...',
+ *   rowKey:       '...',
+ *   ...           // Arguments for the operation
+ * }
+ * ```
+ */
+var Batch = function(Class) {
+  this._Class       = Class;
+  this._operations  = [];
+  this._committed   = false;
+};
+
+/** Add operation to the batch, validating keys and batch size */
+Batch.prototype._add = function(operation) {
+  assert(!this._committed, "Batch has already been committed");
+  assert(this._operations.length < MAX_BATCH_OPERATIONS,
+         "A batch can't have more than " + MAX_BATCH_OPERATIONS +
+         " operations");
+  var first = this._operations[0];
+  assert(!first || first.partitionKey === operation.partitionKey,
+         "All operations in a batch must have the same partitionKey");
+  assert(!_.some(this._operations, {rowKey: operation.rowKey}),
+         "An entity can't be part of more than one operation in a batch");
+  this._operations.push(operation);
+  return this;
+};
+
+/**
+ * Create an entity, overwriting any existing entity, if `overwriteIfExists` is
+ * `true`, same as `Entity.create`.
+ */
+Batch.prototype.create = function(properties, overwriteIfExists) {
+  assert(properties, "Properties is required");
+  var entity = this._Class.prototype.__serialize(properties);
+  return this._add({
+    kind:         'create',
+    partitionKey: entity.PartitionKey,
+    rowKey:       entity.RowKey,
+    entity:       entity,
+    overwrite:    !!overwriteIfExists
+  });
+};
+
+/**
+ * Replace all properties of `item` with `properties`, fails if `item` has been
+ * modified since it was loaded. Properties in the keys can't be changed.
+ */
+Batch.prototype.replace = function(item, properties) {
+  assert(item instanceof this._Class, "item must be an instance of the Class");
+  assert(properties, "Properties is required");
+  var entity = this._Class.prototype.__serialize(properties);
+  assert(entity.PartitionKey === item._partitionKey,
+         "You can't modify elements of the partitionKey");
+  assert(entity.RowKey === item._rowKey,
+         "You can't modify elements of the rowKey");
+  return this._add({
+    kind:         'replace',
+    partitionKey: item._partitionKey,
+    rowKey:       item._rowKey,
+    item:         item,
+    properties:   properties,
+    entity:       entity
+  });
+};
+
+/**
+ * Modify `item` using `modifier`, same as `Entity.prototype.modify` except
+ * the operation isn't retried if `item` has been modified since it was loaded.
+ * The `modifier` is called when the batch is committed.
+ */
+Batch.prototype.modify = function(item, modifier) {
+  assert(item instanceof this._Class, "item must be an instance of the Class");
+  assert(!item._select, "Can't modify partial entity loaded with select");
+  assert(modifier instanceof Function, "modifier must be a function");
+  return this._add({
+    kind:         'modify',
+    partitionKey: item._partitionKey,
+    rowKey:       item._rowKey,
+    item:         item,
+    modifier:     modifier
+  });
+};
+
+/**
+ * Remove `item` if not modified, unless `ignoreChanges` is set. If given
+ * properties rather than an instance of the Class, the entity is removed
+ * without loading it, same as `Entity.remove`.
+ */
+Batch.prototype.remove = function(itemOrProperties, ignoreChanges) {
+  var ClassProps = this._Class.prototype;
+  if (itemOrProperties instanceof this._Class) {
+    return this._add({
+      kind:         'remove',
+      partitionKey: itemOrProperties._partitionKey,
+      rowKey:       itemOrProperties._rowKey,
+      keys:         keyProperties(ClassProps, itemOrProperties._properties),
+      eTag:         ignoreChanges ? '*' : itemOrProperties._etag
+    });
+  }
+  return this._add({
+    kind:         'remove',
+    partitionKey: ClassProps.__partitionKey.exact(itemOrProperties || {}),
+    rowKey:       ClassProps.__rowKey.exact(itemOrProperties || {}),
+    keys:         keyProperties(ClassProps, itemOrProperties || {}),
+    eTag:         '*'
+  });
+};
+
+/**
+ * Commit the batch as an entity group transaction, returns a promise for a
+ * list with a result for each operation in the order they were added. Items
+ * for `create`, `replace` and `modify` and `undefined` for `remove`.
+ *
+ * If an operation fails, none of the operations are applied and the error
+ * will have `batchIndex` and `batchOperation` properties identifying the
+ * operation that failed.
+ */
+Batch.prototype.commit = function() {
+  assert(!this._committed, "Batch has already been committed");
+  this._committed = true;
+  var Class       = this._Class;
+  var ClassProps  = Class.prototype;
+  var operations  = this._operations;
+
+  // State of items for modify and replace, so we can restore it on failure
+  var states      = [];
+  var restore     = function() {
+    states.forEach(function(state) {
+      state.item._properties  = state.properties;
+      state.item._version     = state.version;
+      state.item._etag        = state.etag;
+    });
+  };
+  var saveState   = function(item) {
+    var properties = {};
+    _.forIn(item.__mapping, function(type, property) {
+      properties[property] = type.clone(item._properties[property]);
+    });
+    states.push({
+      item:       item,
+      properties: properties,
+      version:    item._version,
+      etag:       item._etag
     });
+    return properties;
   };
 
-  return attemptModify();
+  // Build list of requests, and remember the index of the operation each
+  // request belongs to, as trivial modifications doesn't need a request
+  var requests      = [];
+  var requestIndex  = [];
+  return operations.reduce(function(previous, operation, index) {
+    return previous.then(function() {
+      var request;
+      if (operation.kind === 'create') {
+        if (operation.overwrite) {
+          request = {op: 'update', entity: operation.entity, mode: 'replace', eTag: null};
+        } else {
+          request = {op: 'insert', entity: operation.entity};
+        }
+      } else if (operation.kind === 'replace') {
+        request = {
+          op:     'update',
+          entity: operation.entity,
+          mode:   'replace',
+          eTag:   operation.item._etag
+        };
+      } else if (operation.kind === 'remove') {
+        request = {
+          op:           'delete',
+          partitionKey: operation.partitionKey,
+          rowKey:       operation.rowKey,
+          eTag:         operation.eTag
+        };
+      } else if (operation.kind === 'modify') {
+        var item = operation.item;
+        var properties = saveState(item);
+        return Promise.resolve(operation.modifier.call(
+          item._properties,
+          item._properties
+        )).then(function() {
+          var changes = computeChanges(item, properties);
+          if (changes) {
+            requests.push({
+              op:     'update',
+              entity: changes.entity,
+              mode:   changes.mode,
+              eTag:   item._etag
+            });
+            requestIndex.push(index);
+          }
+        });
+      }
+      requests.push(request);
+      requestIndex.push(index);
+    });
+  }, Promise.resolve()).then(function() {
+    if (requests.length === 0) {
+      return [];
+    }
+    return ClassProps.__aux.batch(requests);
+  }).then(function(eTags) {
+    // Map results back to the operations, and collect events to emit
+    var results = operations.map(function(operation) {
+      if (operation.kind === 'modify') {
+        return operation.item;
+      }
+    });
+    var changes = [];
+    eTags.forEach(function(eTag, i) {
+      var index     = requestIndex[i];
+      var operation = operations[index];
+      if (operation.kind === 'create') {
+        var entity = _.clone(operation.entity);
+        entity['odata.etag'] = eTag;
+        results[index] = new Class(entity);
+        changes.push(['created', results[index]]);
+      } else if (operation.kind === 'replace') {
+        var item = operation.item;
+        var previous = _.clone(item._properties);
+        item._properties  = item.__deserialize(operation.entity);
+        item._select      = undefined;
+        item._version     = operation.entity.Version;
+        item._etag        = eTag;
+        results[index]    = item;
+        changes.push(['modified', item, diffProperties(item, previous)]);
+      } else if (operation.kind === 'modify') {
+        operation.item._etag = eTag;
+        var state = _.find(states, function(state) {
+          return state.item === operation.item;
+        });
+        changes.push(['modified', operation.item,
+                      diffProperties(operation.item, state.properties)]);
+      } else if (operation.kind === 'remove') {
+        changes.push(['removed', operation.keys]);
+      }
+    });
+    changes.forEach(function(change) {
+      emitEvent(Class, change[0], change.slice(1));
+    });
+    return results;
+  }).catch(function(err) {
+    restore();
+    if (err && err.operationIndex !== undefined) {
+      var index = requestIndex[err.operationIndex];
+      err.batchIndex      = index;
+      err.batchOperation  = operations[index].kind;
+      err.message = "Batch operation " + index + " (" +
+                    operations[index].kind + ") failed: " + err.message;
+    }
+    debug("Failed to commit batch, err: %j", err, err.stack);
+    throw err;
+  });
+};
+
+/**
+ * Create a batch of operations to be committed as an entity group transaction.
+ * All operations must be on entities with the same partitionKey, each entity
+ * may only be part of one operation, and a batch can have at most 100
+ * operations. Either all operations in the batch succeed or none of them are
+ * applied.
+ *
+ * Example:
+ * ```js
+ * Entity.batch()
+ *   .create({...})                  // Create entity, same as Entity.create
+ *   .create({...}, true)            // Create entity, overwrite if it exists
+ *   .replace(item, {...})           // Replace item, if not modified
+ *   .modify(item, function() {...}) // Modify item, if not modified
+ *   .remove(item)                   // Remove item, if not modified
+ *   .remove({...})                  // Remove entity, same as Entity.remove
+ *   .commit().then(function(results) {
+ *     // results is a list with a result for each operation
+ *   });
+ * ```
+ *
+ * Batches can't be used on classes with lifecycle hooks, as they wouldn't be
+ * called, see `Entity.configure`.
+ */
+Entity.batch = function() {
+  assert(_.isEmpty(this.prototype.__hooks),
+         "Entity.batch can't be used on classes with hooks");
+  return new Batch(this);
 };
 
 
@@ -1155,11 +2416,88 @@ var decodeContinuationToken = function(token) {
   };
 };
 
+/**
+ * Iterator over results from `Entity.scan`, implementing the async iterator
+ * protocol, see `Entity.scan` with `options.iterator`. Pages are fetched
+ * lazily using `fetchResults(continuation)`.
+ */
+var ScanIterator = function(fetchResults, continuation) {
+  this._fetchResults  = fetchResults;
+  this._entries       = [];                   // Entries left in current page
+  this._pageToken     = continuation || null; // Token for current page
+  this._nextToken     = continuation || null; // Token for next page
+  this._started       = false;                // True, if a page was fetched
+  this._done          = false;                // True, if iteration is done
+  this._pending       = Promise.resolve();    // Serialize calls to next()
+
+  /**
+   * Continuation token to resume iteration from, `null` when done. Resuming
+   * from a partially consumed page will yield entries from the start of the
+   * page, so entries may be repeated, but they are never skipped.
+   */
+  this.continuation   = continuation || null;
+};
+
+/** Get a promise for the next entry on the form `{done, value}` */
+ScanIterator.prototype.next = function() {
+  var self = this;
+  var result = this._pending.then(function() {
+    return self._advance();
+  });
+  // A failed page must not fail later calls, which retry fetching the page
+  this._pending = result.catch(function() {});
+  return result;
+};
+
+/** Take the next entry, fetching pages until one is found or we're done */
+ScanIterator.prototype._advance = function() {
+  var self = this;
+  if (this._done) {
+    return {done: true, value: undefined};
+  }
+  if (this._entries.length > 0) {
+    var value = this._entries.shift();
+    // If the page is consumed we can resume from the next page
+    this.continuation = this._entries.length > 0 ?
+                        this._pageToken : this._nextToken;
+    return {done: false, value: value};
+  }
+  if (this._started && !this._nextToken) {
+    this._done = true;
+    this.continuation = null;
+    return {done: true, value: undefined};
+  }
+  return this._fetchResults(this._nextToken).then(function(data) {
+    self._started   = true;
+    self._entries   = data.entries;
+    self._pageToken = self._nextToken;
+    self._nextToken = data.continuation;
+    return self._advance();
+  });
+};
+
+/** Stop iteration, this is called when breaking out of a `for await` loop */
+ScanIterator.prototype.return = function(value) {
+  this._done    = true;
+  this._entries = [];
+  return Promise.resolve({done: true, value: value});
+};
+
+// Implement the async iterable protocol, where supported
+if (typeof(Symbol) === 'function' && Symbol.asyncIterator) {
+  ScanIterator.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
 // Valid values for `options.matchPartition` in Entity.scan
 var VALID_PARTITION_MATCH = ['exact', 'none'];
 
 // Valid values for `options.matchRow` in Entity.scan and Entity.query
-var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
+var VALID_ROW_MATCH       = ['exact', 'partial', 'range', 'none'];
+
+// Valid values for `options.onError` in Entity.scan and Entity.query
+var VALID_ON_ERROR        = ['abort', 'continue', 'collect'];
 
 /**
  *
@@ -1180,7 +2518,7 @@ var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
  *   prop3:              Entity.op.lessThan(42)    // Filter on prop3 < 42
  * }, {
  *   matchPartition:     'none',       // Require 'exact' or 'none' partitionKey
- *   matchRow:           'none',       // Require 'exact' or 'none' rowKey
+ *   matchRow:           'none',       // Require 'exact', 'partial', 'range' or 'none' rowKey
  *   limit:              1000,         // Max number of entries
  *   continuation:       undefined     // Continuation token to scan from
  * }).then(function(data) {
@@ -1200,8 +2538,12 @@ var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
  * }, {
  *   continuation:       '...',        // Continuation token to continue from
  *   matchPartition:     'none',       // Require 'exact' or 'none' partitionKey
- *   matchRow:           'none',       // Require 'exact' or 'none' rowKey
- *   limit:              1000,         // Max number of parallel handler calls
+ *   matchRow:           'none',       // Require 'exact', 'partial', 'range' or 'none' rowKey
+ *   limit:              1000,         // Max number of entries per page
+ *   concurrency:        10,           // Max number of parallel handler calls
+ *   onError:            'abort',      // 'abort', 'continue' or 'collect'
+ *   timeout:            undefined,    // Timeout for the whole scan in ms
+ *   signal:             undefined,    // AbortSignal to stop the scan
  *   handler:            function(item) {
  *     return new Promise(...); // Do something with the item
  *   }
@@ -1211,6 +2553,48 @@ var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
  * });
  * ```
  *
+ * If `concurrency` isn't given, the handler is called for all entries in a
+ * page in parallel. In either case the next page is fetched while entries from
+ * the current page are handled. The `onError` option decides what happens when
+ * the handler fails:
+ *  * `'abort'`, no more handler calls are started and the scan fails with the
+ *    error (default),
+ *  * `'continue'`, the error is ignored and the scan continues, and
+ *  * `'collect'`, the scan continues and then fails with an error with code
+ *    `'ScanHandlerErrors'` and a list of `{item, error}` as `errors` property.
+ *
+ * The `timeout` and `signal` options work as for `Entity.load`, with a handler
+ * they cover the whole scan, and once the scan is rejected no further pages
+ * are fetched. With an iterator they apply to the fetching of each page.
+ *
+ * To scan **with an iterator** call `Entity.scan(conditions, options)` with
+ * `iterator: true`, this returns an async iterator that fetches pages lazily:
+ *
+ * ```js
+ * var iterator = Entity.scan({
+ *   prop1:              Entity.op.equal('val1'),  // Filter on prop1 === 'val1'
+ * }, {
+ *   iterator:           true,         // Return an async iterator
+ *   limit:              1000,         // Max number of entries per page
+ *   continuation:       '...'         // Continuation token to continue from
+ * });
+ * for await (let item of iterator) {
+ *   // Do something with the item, break to stop fetching pages
+ * }
+ * iterator.continuation // Continuation token to resume from, null when done
+ * ```
+ *
+ * **String ranges**, the operators `Entity.op.startsWith(prefix)` and
+ * `Entity.op.between(lowerBound, upperBound)` can be used for `String`
+ * properties. If used for the property of a `StringKey`, the partition- or
+ * row-key is narrowed to a range of keys with the prefix shared by all values.
+ *
+ * **Composite conditions**, the operators `Entity.op.and`, `Entity.op.or`,
+ * `Entity.op.not` and `Entity.op.in` can be given for a property, combining
+ * operators for that property. Given instead of the conditions object, `and`,
+ * `or` and `not` combine conditions objects. Conditions objects combined with
+ * `and` at the top-level are used to construct keys, as usual.
+ *
  * **Configuring match levels**, the options `matchPartition` and `matchRow`
  * can be used specify match levels. If left as `'none'` (default), the scan
  * will not use Partition- or Row-Key indexes for acceleration.
@@ -1223,6 +2607,21 @@ var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
  * exact row-key, and error will be thrown. This allows you to reason about
  * expected performance.
  *
+ * If you specify `matchRow: 'partial'`, the rowKey must be a `CompositeKey` and
+ * conditions must contain equality constraints for one or more of the leading
+ * keys in the `CompositeKey`. These will be used to construct a range of
+ * row-keys with the given prefix, which will then be used to accelerate the
+ * table scan. Keys following the first key without an equality constraint
+ * will be filtered as normal properties.
+ *
+ * If you specify `matchRow: 'range'`, the rowKey must be an
+ * `AscendingIntegerKey`, `DescendingIntegerKey` or `StringKey`, and conditions
+ * must contain ordered constraints for its property, possibly combined with
+ * `Entity.op.and`, or `startsWith` or `between` for a `StringKey`. These will be
+ * used to construct a range of row-keys, accounting for the inverted order of
+ * `DescendingIntegerKey`. Ranges of integer keys are exact, so the conditions
+ * aren't also filtered as normal properties.
+ *
  * **Continuation token**, if using `Entity.scan` without a handler, you receive
  * a continuation token with your results. You can use this to continue the
  * table scan. A continuation token is a a string (that's all you need to know).
@@ -1233,6 +2632,10 @@ Entity.scan = function(conditions, options) {
     matchRow:         'none',
     matchPartition:   'none',
     handler:          null,
+    iterator:         false,
+    concurrency:      undefined,
+    onError:          'abort',
+    select:           undefined,
     limit:            undefined,
     continuation:     undefined
   });
@@ -1242,11 +2645,45 @@ Entity.scan = function(conditions, options) {
   assert(VALID_PARTITION_MATCH.indexOf(options.matchPartition) !== -1,
          "Valid values for 'matchPartition' are: none, exact")
   assert(VALID_ROW_MATCH.indexOf(options.matchRow) !== -1,
-         "Valid values for 'matchRow' are: none, partial, exact");
+         "Valid values for 'matchRow' are: none, partial, range, exact");
   assert(!options.handler || options.handler instanceof Function,
          "If options.handler is given it must be a function");
+  assert(!options.handler || !options.iterator,
+         "options.handler and options.iterator can't be used together");
   assert(options.limit === undefined ||
          typeof(options.limit) === 'number', "options.limit must be a number");
+  assert(options.concurrency === undefined ||
+         (typeof(options.concurrency) === 'number' && options.concurrency > 0),
+         "options.concurrency must be a positive number");
+  assert(VALID_ON_ERROR.indexOf(options.onError) !== -1,
+         "Valid values for 'onError' are: abort, continue, collect");
+
+  // If conditions is a composite operator, we split out the conditions objects
+  // combined with 'and', so they can be used to construct keys, and filter on
+  // the remaining operands separately
+  var composites = [];
+  if (conditions instanceof Entity.op) {
+    var operands = [conditions];
+    if (conditions.operator === 'and') {
+      operands = conditions.operand;
+    }
+    conditions = {};
+    operands.forEach(function(operand) {
+      var properties = _.keys(operand);
+      if (_.isPlainObject(operand) &&
+          _.intersection(properties, _.keys(conditions)).length === 0) {
+        _.assign(conditions, operand);
+      } else {
+        composites.push(operand);
+      }
+    });
+  }
+
+  // Find columns to select, if only selected properties should be loaded
+  var select = undefined;
+  if (options.select) {
+    select = selectColumns(ClassProps, options.select);
+  }
 
   // Declare partitionKey, rowKey and covered as list of keys covered by either
   // partitionKey or rowKey
@@ -1264,32 +2701,84 @@ Entity.scan = function(conditions, options) {
     covered         = _.union(covered, ClassProps.__rowKey.covers);
   }
 
-  // Construct partial rowKey
+  // Construct partial rowKey, as a range if not all keys are given
+  var rowKeyRange   = undefined;
   if (options.matchRow === 'partial') {
-    // TODO: Implement partial matching, this involves prefix matching.
-    //       this should be possible without changing the format for the
-    //       CompositeKey, because ~ is the last character outputted by
-    //       encodeStringKey. Also remember to append keys covered to the
-    //       covered variable.
-    throw new Error("Partial matches on rowKey is not implemented yet!");
+    assert(ClassProps.__rowKey.prefixFromConditions instanceof Function,
+           "matchRow: 'partial' is only supported for CompositeKey rowKeys");
+    rowKeyRange     = ClassProps.__rowKey.prefixFromConditions(conditions);
+    covered         = _.union(covered, rowKeyRange.covers);
+    if (rowKeyRange.exact !== undefined) {
+      rowKey        = rowKeyRange.exact;
+      rowKeyRange   = undefined;
+    }
+  }
+
+  // Construct rowKey range from conditions, if required
+  if (options.matchRow === 'range') {
+    assert(ClassProps.__rowKey.rangeFromConditions instanceof Function,
+           "matchRow: 'range' is only supported for StringKey, " +
+           "AscendingIntegerKey and DescendingIntegerKey rowKeys");
+    rowKeyRange     = ClassProps.__rowKey.rangeFromConditions(conditions);
+    assert(rowKeyRange, "Unable to create rowKey range from conditions");
+    covered         = _.union(covered, rowKeyRange.covers);
+  }
+
+  // Narrow keys to a range, if the property of a StringKey has a condition
+  // with startsWith or between, the condition is still applied as a filter.
+  // Other ranges, like those of integer keys, require matchRow: 'range'
+  var prefixRange = function(key) {
+    if (key.rangeFromConditions instanceof Function &&
+        conditions[key.key] instanceof Entity.op.Range) {
+      return key.rangeFromConditions(conditions);
+    }
+    return undefined;
+  };
+  var partitionKeyRange = undefined;
+  if (partitionKey === undefined) {
+    partitionKeyRange = prefixRange(ClassProps.__partitionKey);
+  }
+  if (rowKey === undefined && rowKeyRange === undefined) {
+    rowKeyRange     = prefixRange(ClassProps.__rowKey);
   }
 
   // Create a $filter string builder to abstract away joining with 'and'
   var filter = null;
   var appendFilter = ClassProps.__filterBuilder;
 
+  // Append filter for key range, upperBound is exclusive unless inclusive is
+  // set, and either bound may be undefined
+  var appendRange = function(filter, column, range) {
+    var type = new Entity.types.String(column);
+    if (range.lowerBound !== undefined) {
+      filter = appendFilter(filter, type,
+              Entity.op.greaterThanOrEqual(range.lowerBound));
+    }
+    if (range.upperBound !== undefined) {
+      filter = appendFilter(filter, type, range.inclusive ?
+              Entity.op.lessThanOrEqual(range.upperBound) :
+              Entity.op.lessThan(range.upperBound));
+    }
+    return filter;
+  };
+
   // If we have partitionKey and rowKey we should add them to the query
-  var azOps = azure.Table.Operators;
   if (partitionKey !== undefined) {
     filter = appendFilter(filter,
             new Entity.types.String("PartitionKey"),
             Entity.op.equal(partitionKey));
   }
+  if (partitionKeyRange !== undefined) {
+    filter = appendRange(filter, "PartitionKey", partitionKeyRange);
+  }
   if (rowKey !== undefined) {
     filter = appendFilter(filter,
             new Entity.types.String("RowKey"),
             Entity.op.equal(rowKey));
   }
+  if (rowKeyRange !== undefined) {
+    filter = appendRange(filter, "RowKey", rowKeyRange);
+  }
 
   // Construct query from conditions using operators
   _.forIn(conditions, function(op, property) {
@@ -1306,54 +2795,106 @@ Entity.scan = function(conditions, options) {
                       "' used in query is not defined!");
     }
 
-    // Ensure that we have an operator, we just assume anything specified
-    // without an operator is equality
-    if (!(op instanceof Entity.op)) {
-      op = Entity.op.equal(op);
-    }
-
-    filter = appendFilter(filter, type, op);
+    var condition = resolveCondition(ClassProps, type, op);
+    filter = appendFilter(filter, condition.type, condition.op);
+  });
+  composites.forEach(function(op) {
+    var condition = resolveCondition(ClassProps, null, op);
+    filter = appendFilter(filter, condition.type, condition.op);
   });
 
   // Fetch results with operational continuation token
-  var fetchResults = function(continuation) {
+  var fetchResults = function(continuation, checkCancelled) {
+    var aux = ClassProps.__aux.cancellable(checkCancelled);
     var continuation = decodeContinuationToken(continuation);
-    return ClassProps.__aux.queryEntities({
+    return aux.queryEntities({
       filter:           filter,
+      select:           select,
       top:              Math.min(options.limit, 1000),
       nextPartitionKey: continuation.nextPartitionKey,
       nextRowKey:       continuation.nextRowKey
     }).then(function(data) {
-      return {
-        entries:      data.entities.map(function(entity) {
-                        return new Class(entity);
-                      }),
-        continuation: encodeContinuationToken(data)
-      };
+      var entities = data.entities;
+      if (select) {
+        // Skip entities deleted since the query, as if they weren't listed
+        entities = Promise.all(entities.map(function(entity) {
+          return loadOutdated(ClassProps, aux, entity, true);
+        })).then(_.compact);
+      }
+      return Promise.resolve(entities).then(function(entities) {
+        return {
+          entries:      entities.map(wrapEntityClass(Class, options.select)),
+          continuation: encodeContinuationToken(data)
+        };
+      });
     });
   };
 
-  // Fetch results
-  var results = fetchResults(options.continuation);
-
-  // If we have a handler, then we have to handle the results
-  if (options.handler) {
-    var handleResults = function(results) {
-      return results.then(function(data) {
-        return Promise.all(data.entries.map(function(item) {
-          return options.handler(item);
-        })).then(function() {
-          if (data.continuation) {
-            return handleResults(fetchResults(data.continuation));
-          }
-        });
+  // Return an iterator that fetches results lazily, if requested, with
+  // timeout and signal applying to each page
+  if (options.iterator) {
+    return new ScanIterator(function(continuation) {
+      return withDeadline(options, function(checkCancelled) {
+        return fetchResults(continuation, checkCancelled);
       });
-    };
-    results = handleResults(results);
+    }, options.continuation);
+  }
+
+  // Without a handler, we just fetch results
+  if (!options.handler) {
+    return withDeadline(options, function(checkCancelled) {
+      return fetchResults(options.continuation, checkCancelled);
+    });
   }
 
-  // Return result
-  return results;
+  // If we have a handler, then we have to handle the results
+  var errors = [];
+  var handleItem = function(item) {
+    return Promise.resolve().then(function() {
+      return options.handler(item);
+    }).catch(function(err) {
+      if (options.onError === 'abort') {
+        throw err;
+      }
+      debug("Ignoring error from scan handler, err: %s", err, err.stack);
+      if (options.onError === 'collect') {
+        errors.push({item: item, error: err});
+      }
+    });
+  };
+  var handleResults = function(results, checkCancelled) {
+    return results.then(function(data) {
+      // Don't fetch more pages, if the scan was cancelled
+      checkCancelled();
+      // Prefetch the next page while we handle entries from this page
+      var next = null;
+      if (data.continuation) {
+        next = fetchResults(data.continuation, checkCancelled);
+        next.catch(function() {}); // Rejection is handled when we get to it
+      }
+      var concurrency = options.concurrency || data.entries.length;
+      return mapWithConcurrency(
+        data.entries, concurrency, handleItem
+      ).then(function() {
+        if (next) {
+          return handleResults(next, checkCancelled);
+        }
+      });
+    });
+  };
+  return withDeadline(options, function(checkCancelled) {
+    return handleResults(
+      fetchResults(options.continuation, checkCancelled), checkCancelled
+    );
+  }).then(function() {
+    if (errors.length > 0) {
+      var err = new Error(errors.length + " calls to the scan handler " +
+                          "failed, first error: " + errors[0].error);
+      err.code = 'ScanHandlerErrors';
+      err.errors = errors;
+      throw err;
+    }
+  });
 };
 
 /**
@@ -1386,10 +2927,213 @@ Entity.prototype.inspect = function(depth) {
   return util.inspect(this._properties, {depth: depth});
 };
 
-// TODO: Method upgrade all entities to new version in a background-process
-//       This is useful for when something relies on filtering properties
-//       and we change a property name. We should have some utilities for doing
-//       this...
+/**
+ * Scan the table for entities matching `filter`, and replace each entity for
+ * which `isOutdated(entity)` is true, with the entity serialized by the latest
+ * version of `Class`. Replacements are conditioned on the ETag, if an entity
+ * is modified concurrently it is reloaded and replaced again, if still
+ * outdated. Progress is counted in `progress[counter]`, see
+ * `Entity.upgradeAll` for options and return value.
+ */
+var rewriteAll = function(Class, filter, isOutdated, counter, options) {
+  options = _.defaults(options || {}, {
+    concurrency:      10,
+    continuation:     undefined,
+    onProgress:       null
+  });
+  var ClassProps  = Class.prototype;
+  assert(typeof(options.concurrency) === 'number' && options.concurrency > 0,
+         "options.concurrency must be a positive number");
+  assert(!options.onProgress || options.onProgress instanceof Function,
+         "If options.onProgress is given it must be a function");
+
+  var progress = {
+    scanned:      0,
+    skipped:      0,
+    continuation: options.continuation || null
+  };
+  progress[counter] = 0;
+
+  // Rewrite a single entity, reload and retry if modified concurrently
+  var rewriteEntity = function(entity, attemptsLeft) {
+    var item = new Class(entity);
+    return ClassProps.__aux.updateEntity(item.__serialize(item._properties), {
+      mode:   'replace',
+      eTag:   item._etag
+    }).then(function() {
+      progress[counter] += 1;
+    }, function(err) {
+      if (!err || err.code !== 'UpdateConditionNotSatisfied' ||
+          attemptsLeft <= 1) {
+        throw err;
+      }
+      return ClassProps.__aux.getEntity(
+        item._partitionKey,
+        item._rowKey
+      ).then(function(entity) {
+        if (isOutdated(entity)) {
+          return rewriteEntity(entity, attemptsLeft - 1);
+        }
+        progress.skipped += 1;
+      });
+    }).catch(function(err) {
+      if (!err || err.code !== 'ResourceNotFound') {
+        throw err;
+      }
+      progress.skipped += 1;
+    });
+  };
+
+  var rewritePage = function(continuation) {
+    continuation = decodeContinuationToken(continuation);
+    return ClassProps.__aux.queryEntities({
+      filter:           filter,
+      top:              1000,
+      nextPartitionKey: continuation.nextPartitionKey,
+      nextRowKey:       continuation.nextRowKey
+    }).then(function(data) {
+      progress.scanned += data.entities.length;
+      var entities = data.entities.filter(isOutdated);
+      return mapWithConcurrency(entities, options.concurrency, function(entity) {
+        return rewriteEntity(entity, MAX_MODIFY_ATTEMPTS);
+      }).then(function() {
+        progress.continuation = encodeContinuationToken(data);
+        if (options.onProgress) {
+          return options.onProgress(_.clone(progress));
+        }
+      }).then(function() {
+        if (progress.continuation) {
+          return rewritePage(progress.continuation);
+        }
+        return progress;
+      });
+    });
+  };
+
+  return rewritePage(options.continuation);
+};
+
+/**
+ * Upgrade all entities in the table to the latest schema version, in a
+ * background process. Entities are migrated lazily when loaded, so entities
+ * written with an old version stays on disk until modified. This is a problem
+ * when filtering on properties that were renamed or added in a migration.
+ *
+ * This method scans the table for entities with a version lower than the
+ * current version, and replaces them with the migrated entity, conditioned on
+ * the ETag. So it is safe to run alongside live traffic, an entity modified
+ * concurrently will be reloaded and upgraded again, if still necessary.
+ *
+ * Options:
+ * ```js
+ * {
+ *   concurrency:    10,         // Max number of entities upgraded in parallel
+ *   continuation:   undefined,  // Continuation token to resume from
+ *   onProgress:     function(progress) {
+ *     progress.scanned        // Number of outdated entities scanned
+ *     progress.upgraded       // Number of entities upgraded
+ *     progress.skipped        // Number of entities upgraded or removed
+ *                             // concurrently
+ *     progress.continuation   // Continuation token to resume from
+ *   }
+ * }
+ * ```
+ *
+ * Returns a promise for the final progress object, `onProgress` is called
+ * after each page of entities have been upgraded, and may return a promise.
+ */
+Entity.upgradeAll = function(options) {
+  var ClassProps  = this.prototype;
+
+  // Filter for entities with an outdated version
+  var filter = ClassProps.__filterBuilder(null,
+    new Entity.types.Number('Version'),
+    Entity.op.lessThan(ClassProps.__version)
+  );
+  var isOutdated = function(entity) {
+    return entity.Version < ClassProps.__version;
+  };
+
+  return rewriteAll(this, filter, isOutdated, 'upgraded', options)
+    .catch(rethrowDebug("upgradeAll: Failed to upgrade entities, err: %j"));
+};
+
+/**
+ * Re-encrypt all entities in the table that have encrypted properties that
+ * aren't encrypted with the current key, or not with authenticated encryption,
+ * in a background process. This is used to finish rotation of keys given with
+ * the `cryptoKeys` option for `Entity.setup`, after which retired keys can be
+ * removed.
+ *
+ * Entities are replaced with the entity serialized by the latest version,
+ * conditioned on the ETag. So it is safe to run alongside live traffic, and
+ * outdated entities that are re-encrypted will also be upgraded.
+ *
+ * Options are the same as for `Entity.upgradeAll`, but `progress.scanned` is
+ * the number of entities scanned and `progress.reencrypted` is the number of
+ * entities that were re-encrypted.
+ *
+ * Returns a promise for the final progress object, `onProgress` is called
+ * after each page of entities have been scanned, and may return a promise.
+ */
+Entity.reencryptAll = function(options) {
+  var ClassProps  = this.prototype;
+  assert(ClassProps.__hasEncrypted,
+         "reencryptAll requires encrypted properties in some version");
+  var current = ClassProps.__cryptoKeys.current;
+  var isOutdated = function(entity) {
+    var types = ClassProps.__encryptedTypes[entity.Version] || [];
+    return types.some(function(type) {
+      return type.keyId(entity) !== current || !type.isAuthenticated(entity);
+    });
+  };
+
+  return rewriteAll(this, null, isOutdated, 'reencrypted', options)
+    .catch(rethrowDebug("reencryptAll: Failed to re-encrypt entities, " +
+                        "err: %j"));
+};
+
+/**
+ * Sign all entities in the table with the primary signing key, in a background
+ * process. This is used to finish rotation of keys given with the
+ * `signingKeys` option for `Entity.setup`, after which secondary keys can be
+ * removed.
+ *
+ * Entities are replaced with the entity serialized by the latest version,
+ * conditioned on the ETag. So it is safe to run alongside live traffic, and
+ * outdated entities that are re-signed will also be upgraded.
+ *
+ * Options are the same as for `Entity.upgradeAll`, but `progress.scanned` is
+ * the number of entities scanned and `progress.resigned` is the number of
+ * entities that were re-signed.
+ *
+ * Returns a promise for the final progress object, `onProgress` is called
+ * after each page of entities have been scanned, and may return a promise.
+ */
+Entity.resignAll = function(options) {
+  var ClassProps  = this.prototype;
+  assert(ClassProps.__hasSigning,
+         "resignAll requires signEntities in some version");
+  // Deserializing with only the primary key fails for entities signed with a
+  // secondary key
+  var primaryOnly = Object.create(ClassProps, {
+    __signingKeys: {value: [ClassProps.__signingKey]}
+  });
+  var isOutdated = function(entity) {
+    try {
+      primaryOnly.__deserialize(entity);
+    } catch (err) {
+      if (err.message === "Signature validation failed!") {
+        return true;
+      }
+      throw err;
+    }
+    return false;
+  };
+
+  return rewriteAll(this, null, isOutdated, 'resigned', options)
+    .catch(rethrowDebug("resignAll: Failed to re-sign entities, err: %j"));
+};
 
 // Export Entity
 module.exports = Entity;
@@ -93,6 +93,34 @@ StringKey.prototype.exactFromConditions = function(properties) {
   return encodeStringKey(this.type.string(value));
 };
 
+/**
+ * Construct key range from a `startsWith` or `between` condition, returns
+ * `undefined` or an object on the form:
+ * ```js
+ * {
+ *   covers:     [],             // No keys are covered, as the range is wider
+ *   lowerBound: '...',          // Inclusive lower bound
+ *   upperBound: '...'           // Exclusive upper bound
+ * }
+ * ```
+ * As `encodeStringKey` isn't order preserving, but encodes each character by
+ * itself, the range is constructed from the prefix shared by all values in the
+ * range. Tilde is larger than any character `encodeStringKey` can output, so
+ * all keys with the given prefix sorts between `prefix` and `prefix~`.
+ */
+StringKey.prototype.rangeFromConditions = function(properties) {
+  var op = properties[this.key];
+  if (!(op instanceof Op.Range) || !op.prefix) {
+    return undefined;
+  }
+  var prefix = encodeStringKey(op.prefix);
+  return {
+    covers:     [],
+    lowerBound: prefix,
+    upperBound: prefix + '~'
+  };
+};
+
 /** Create StringKey builder */
 exports.StringKey = function(key) {
   return function(mapping) {
@@ -100,6 +128,77 @@ exports.StringKey = function(key) {
   };
 };
 
+/******************** Integer Key Ranges ********************/
+
+/**
+ * Construct key range from `op`, which is an equality or ordered operator, or
+ * an `Op.and` of these. The `bounds(min, max)` function must return the keys
+ * for the inclusive range of values, where `max` is undefined if unbounded.
+ * Returns `undefined` or an object on the form:
+ * ```js
+ * {
+ *   covers:     ['key'],        // Keys covered by the range, if exact
+ *   lowerBound: '...',          // Inclusive lower bound, if any
+ *   upperBound: '...',          // Upper bound, if any
+ *   inclusive:  true            // True, if upperBound is inclusive
+ * }
+ * ```
+ * If `op` is combined with other operators, the range narrows the values
+ * and doesn't cover the key, so the condition must still be applied.
+ */
+var integerRange = function(op, covers, bounds) {
+  if (op === undefined) {
+    return undefined;
+  }
+  var ops = [op];
+  if (op instanceof Op.Composite && op.operator === 'and') {
+    ops = op.operand;
+  }
+  var min     = 0;
+  var max     = Infinity;
+  var exact   = true;
+  var ordered = false;
+  ops.forEach(function(op) {
+    if (!(op instanceof Op)) {
+      op = Op.equal(op);
+    }
+    var value = op.operand;
+    if (typeof(value) !== 'number') {
+      exact = false;
+      return;
+    }
+    switch (op.operator) {
+      case 'gt': min = Math.max(min, Math.floor(value) + 1); break;
+      case 'ge': min = Math.max(min, Math.ceil(value)); break;
+      case 'lt': max = Math.min(max, Math.ceil(value) - 1); break;
+      case 'le': max = Math.min(max, Math.floor(value)); break;
+      case 'eq':
+        min = Math.max(min, Math.ceil(value));
+        max = Math.min(max, Math.floor(value));
+        break;
+      default:
+        exact = false;
+        return;
+    }
+    ordered = true;
+  });
+  if (!ordered) {
+    return undefined;
+  }
+  var range;
+  if (min > max) {
+    // Empty range, we can't render keys for negative values
+    range = bounds(min, min);
+    range.upperBound = range.lowerBound;
+    range.inclusive = false;
+  } else {
+    range = bounds(min, max === Infinity ? undefined : max);
+    range.inclusive = true;
+  }
+  range.covers = exact ? covers : [];
+  return range;
+};
+
 /******************** Descending Integer Key ********************/
 
 // More nines than an int can hold, ie. MORE_NINES_THAN_INT > 2^32
@@ -121,6 +220,11 @@ var DescendingIntegerKey = function(mapping, key) {
   this.covers = [key];
 };
 
+/** Render key for value */
+var descendingKey = function(value) {
+  return (MORE_NINES_THAN_INT - value).toString();
+};
+
 /** Construct exact key if possible */
 DescendingIntegerKey.prototype.exact = function(properties) {
   // Get value
@@ -128,7 +232,7 @@ DescendingIntegerKey.prototype.exact = function(properties) {
   // Check that value was given
   assert(value !== undefined, "Unable to create key from properties");
   // Return exact key
-  return (MORE_NINES_THAN_INT - value).toString();
+  return descendingKey(value);
 };
 
 /** Construct exact key if possible */
@@ -138,7 +242,20 @@ DescendingIntegerKey.prototype.exactFromConditions = function(properties) {
   // Check that value was given
   assert(value !== undefined, "Unable to create key from properties");
   // Return exact key
-  return (MORE_NINES_THAN_INT - value).toString();
+  return descendingKey(value);
+};
+
+/**
+ * Construct key range from ordered conditions, see `integerRange`. As keys
+ * are inverted, the smallest value gives the largest key.
+ */
+DescendingIntegerKey.prototype.rangeFromConditions = function(properties) {
+  return integerRange(properties[this.key], this.covers, function(min, max) {
+    return {
+      lowerBound: max === undefined ? undefined : descendingKey(max),
+      upperBound: descendingKey(min)
+    };
+  });
 };
 
 /** Create DescendingIntegerKey builder */
@@ -169,6 +286,14 @@ var AscendingIntegerKey = function(mapping, key) {
   this.covers = [key];
 };
 
+/** Render key for value */
+var ascendingKey = function(value) {
+  var str = value.toString()
+  return ASCENDING_KEY_PADDING.substring(
+    0, ASCENDING_KEY_PADDING.length - str.length
+  ) + str;
+};
+
 /** Construct exact key if possible */
 AscendingIntegerKey.prototype.exact = function(properties) {
   // Get value
@@ -176,10 +301,7 @@ AscendingIntegerKey.prototype.exact = function(properties) {
   // Check that value was given
   assert(value !== undefined, "Unable to create key from properties");
   // Return exact key
-  var str = value.toString()
-  return ASCENDING_KEY_PADDING.substring(
-    0, ASCENDING_KEY_PADDING.length - str.length
-  ) + str;
+  return ascendingKey(value);
 };
 
 /** Construct exact key if possible */
@@ -189,10 +311,17 @@ AscendingIntegerKey.prototype.exactFromConditions = function(properties) {
   // Check that value was given
   assert(value !== undefined, "Unable to create key from properties");
   // Return exact key
-  var str = value.toString()
-  return ASCENDING_KEY_PADDING.substring(
-    0, ASCENDING_KEY_PADDING.length - str.length
-  ) + str;
+  return ascendingKey(value);
+};
+
+/** Construct key range from ordered conditions, see `integerRange` */
+AscendingIntegerKey.prototype.rangeFromConditions = function(properties) {
+  return integerRange(properties[this.key], this.covers, function(min, max) {
+    return {
+      lowerBound: ascendingKey(min),
+      upperBound: max === undefined ? undefined : ascendingKey(max)
+    };
+  });
 };
 
 /** Create AscendingIntegerKey builder */
@@ -235,8 +364,8 @@ exports.ConstantKey = function(constant) {
 /******************** Composite Key ********************/
 
 // Separator for use in Composite keys (don't change this)
-// Note, that tilde is the last character, we can exploit this when we decide to
-// implement prefix matching for rowKeys.
+// Note, that tilde is the last character, we exploit this when doing prefix
+// matching for rowKeys, see `CompositeKey.prototype.prefixFromConditions`.
 var COMPOSITE_SEPARATOR = '~';
 
 /** Construct a CompositeKey */
@@ -288,6 +417,49 @@ CompositeKey.prototype.exactFromConditions = function(properties) {
   }, this).join(COMPOSITE_SEPARATOR); // Join with separator
 };
 
+/**
+ * Construct key range from leading equality conditions, returns an object on
+ * the form:
+ * ```js
+ * {
+ *   covers:     ['key1', ...],  // Keys used to construct the range
+ *   exact:      '...',          // Exact key, if all keys were given
+ *   lowerBound: '...',          // Inclusive lower bound, if not exact
+ *   upperBound: '...'           // Exclusive upper bound, if not exact
+ * }
+ * ```
+ * This works because tilde is the last character `encodeStringKey` can output,
+ * so all keys with the given prefix sorts between `prefix~` and `prefix~~`.
+ */
+CompositeKey.prototype.prefixFromConditions = function(properties) {
+  var parts = [];
+  for (var i = 0; i < this.keys.length; i++) {
+    // Get value from key, stop at the first key without an exact value
+    var value = valueFromOpOrValue(properties[this.keys[i]]);
+    if (value === undefined) {
+      break;
+    }
+
+    // Encode as string
+    parts.push(encodeStringKey(this.types[i].string(value)));
+  }
+  if (parts.length === 0) {
+    throw new Error("Unable to render CompositeKey prefix from properties, " +
+                    "missing: '" + this.keys[0] + "'");
+  }
+
+  var prefix = parts.join(COMPOSITE_SEPARATOR);
+  var covers = this.keys.slice(0, parts.length);
+  if (parts.length === this.keys.length) {
+    return {covers: covers, exact: prefix};
+  }
+  return {
+    covers:     covers,
+    lowerBound: prefix + COMPOSITE_SEPARATOR,
+    upperBound: prefix + COMPOSITE_SEPARATOR + COMPOSITE_SEPARATOR
+  };
+};
+
 exports.CompositeKey = function() {
   var keys = Array.prototype.slice.call(arguments);
   keys.forEach(function(key) {
@@ -18,16 +18,6 @@ Op.prototype.operator = null;
 /** This is an ordered or unordered comparison */
 Op.prototype.ordered = null;
 
-/********************* In-Memory *********************/
-
-var comparisonFuncs = {}
-comparisonFuncs[azTableOps.Equal] =              function(x, y) { return x == y; };
-comparisonFuncs[azTableOps.NotEqual] =           function(x, y) { return x != y; };
-comparisonFuncs[azTableOps.GreaterThan] =        function(x, y) { return x > y; };
-comparisonFuncs[azTableOps.GreaterThanOrEqual] = function(x, y) { return x >= y; };
-comparisonFuncs[azTableOps.LessThan] =           function(x, y) { return x < y; };
-comparisonFuncs[azTableOps.LessThanOrEqual] =    function(x, y) { return x <= y; };
-
 /******************** Ordering Relations ********************/
 
 // Ordering relations
@@ -47,7 +37,6 @@ ORDER_RELATIONS.forEach(function(operator) {
   util.inherits(Class, Op);
   Class.prototype.operator = operator;
   Class.prototype.ordered = true;
-  Class.prototype.compare = comparisonFuncs[operator];
   // Define function to create class instance
   Op[operator] = function(operand) {
     assert(operand !== undefined, "operand is required");
@@ -72,7 +61,6 @@ EQUIVALENCE_RELATIONS.forEach(function(operator) {
   util.inherits(Class, Op);
   Class.prototype.operator = operator;
   Class.prototype.ordered = false;
-  Class.prototype.compare = comparisonFuncs[operator];
   // Define function to create class instance
   Op[operator] = function(operand) {
     assert(operand !== undefined, "operand is required");
@@ -90,5 +78,157 @@ Op.greaterThanOrEqual   = Op.ge = Op['>='] = Op[azTableOps.GreaterThanOrEqual];
 Op.lessThan             = Op.lt = Op['<' ] = Op[azTableOps.LessThan];
 Op.lessThanOrEqual      = Op.le = Op['<='] = Op[azTableOps.LessThanOrEqual];
 
+/******************** Range Operators ********************/
+
+/**
+ * Range operator for strings from `lowerBound` (inclusive) to `upperBound`,
+ * which is exclusive unless `inclusive` is true, and unbounded if undefined.
+ * All strings in the range starts with `prefix`, which may be empty.
+ */
+var Range = function(operator, operand, options) {
+  Op.call(this, operand);
+  this.operator   = operator;
+  this.lowerBound = options.lowerBound;
+  this.upperBound = options.upperBound;
+  this.inclusive  = options.inclusive;
+  this.prefix     = options.prefix;
+};
+util.inherits(Range, Op);
+Range.prototype.ordered = true;
+
+Op.Range = Range;
+
+// Remove trailing high surrogate, so prefix doesn't end with half a character
+var wholeCharacters = function(prefix) {
+  var code = prefix.charCodeAt(prefix.length - 1);
+  if (0xd800 <= code && code <= 0xdbff) {
+    return prefix.slice(0, -1);
+  }
+  return prefix;
+};
+
+/** Condition that holds if the property starts with `prefix` */
+Op.startsWith = function(prefix) {
+  assert(typeof(prefix) === 'string' && prefix.length > 0,
+         "prefix must be a non-empty string");
+  // Find the first string after all strings with the given prefix, by
+  // incrementing the last character that isn't the largest possible
+  var upperBound = prefix.replace(/\uffff+$/, '');
+  if (upperBound.length > 0) {
+    upperBound = upperBound.slice(0, -1) + String.fromCharCode(
+      upperBound.charCodeAt(upperBound.length - 1) + 1
+    );
+  } else {
+    upperBound = undefined;
+  }
+  return new Range('startsWith', prefix, {
+    lowerBound: prefix,
+    upperBound: upperBound,
+    inclusive:  false,
+    prefix:     wholeCharacters(prefix)
+  });
+};
+
+/** Condition that holds if `lowerBound <= property <= upperBound` */
+Op.between = function(lowerBound, upperBound) {
+  assert(typeof(lowerBound) === 'string' && typeof(upperBound) === 'string',
+         "lowerBound and upperBound must be strings");
+  assert(lowerBound <= upperBound, "lowerBound must be <= upperBound");
+  // Find common prefix
+  var i = 0;
+  while (i < lowerBound.length && lowerBound[i] === upperBound[i]) {
+    i++;
+  }
+  return new Range('between', [lowerBound, upperBound], {
+    lowerBound: lowerBound,
+    upperBound: upperBound,
+    inclusive:  true,
+    prefix:     wholeCharacters(lowerBound.slice(0, i))
+  });
+};
+
+/******************** Composite Operators ********************/
+
+/**
+ * Composite operator combining `operands` with `and`, `or` or `not`, where an
+ * operand is an operator, a value (short hand for `equal`) or a conditions
+ * object mapping properties to operators.
+ */
+var Composite = function(operator, operands) {
+  Op.call(this, operands);
+  this.operator = operator;
+};
+util.inherits(Composite, Op);
+Composite.prototype.ordered = false;
+
+Op.Composite = Composite;
+
+// Operands can be given as arguments or as an array
+var compositeOperands = function(args) {
+  var operands = _.flatten(_.toArray(args));
+  assert(operands.length > 0, "at least one operand is required");
+  operands.forEach(function(operand) {
+    assert(operand !== undefined, "operands can't be undefined");
+  });
+  return operands;
+};
+
+/** Condition that holds if all operands hold */
+Op.and = function() {
+  return new Composite('and', compositeOperands(arguments));
+};
+
+/** Condition that holds if any of the operands hold */
+Op.or = function() {
+  return new Composite('or', compositeOperands(arguments));
+};
+
+/** Condition that holds if the operand doesn't hold */
+Op.not = function(operand) {
+  assert(operand !== undefined, "operand is required");
+  return new Composite('not', [operand]);
+};
+
+// Azure rejects filters with more than 15 discrete comparisons
+var MAX_IN_VALUES = 15;
+
+/**
+ * Condition that holds if the property is equal to one of `values`, which
+ * expands to an `or` of `equal` comparisons. As Azure rejects filters with
+ * more than 15 discrete comparisons, at most 15 values can be given, and other
+ * conditions in the same query count towards this limit too.
+ */
+Op.in = function(values) {
+  assert(values instanceof Array && values.length > 0,
+         "values must be a non-empty array");
+  assert(values.length <= MAX_IN_VALUES,
+         "at most " + MAX_IN_VALUES + " values are allowed");
+  return new Composite('or', values.map(function(value) {
+    return Op.equal(value);
+  }));
+};
+
+/**
+ * Type for composite operators with operands resolved to `conditions`, a list
+ * of `{type, op}` pairs. Like entity types it implements `filterCondition(op)`,
+ * so it can be given to the filter builder.
+ */
+var Conditions = function(conditions) {
+  this.conditions = conditions;
+};
+
+Op.Conditions = Conditions;
+
+/** Construct $filter string with composite operator */
+Conditions.prototype.filterCondition = function(op) {
+  var conditions = this.conditions.map(function(condition) {
+    return condition.type.filterCondition(condition.op);
+  });
+  if (op.operator === 'not') {
+    return 'not (' + conditions[0] + ')';
+  }
+  return '(' + conditions.join(' ' + op.operator + ' ') + ')';
+};
+
 // Export Op with all auxiliary functions
 module.exports = Op;
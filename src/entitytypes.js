@@ -8,6 +8,7 @@ var slugid          = require('slugid');
 var stringify       = require('json-stable-stringify');
 var buffertools     = require('buffertools');
 var crypto          = require('crypto');
+var zlib            = require('zlib');
 var azure           = require('fast-azure-storage');
 var Ajv             = require('ajv');
 var fmt             = azure.Table.Operators;
@@ -51,23 +52,33 @@ BaseType.prototype.isComparable = false;
 /**
  * Does element of this type encrypt their content
  *
- * If `true` the `cryptoKey` will be given as 3rd and 2nd parameter for
- * `serialize` and `deserialize`, respectively. When given the encryption key
- * is always 32 bytes assumed to already random.
+ * If `true` the `cryptoKeys` will be given as 3rd and 2nd parameter for
+ * `serialize` and `deserialize`, respectively. This is an object on the form
+ * `{current: keyId, keys: {<keyId>: key}, legacy: key}`, where keys are always
+ * 32 bytes assumed to already random. `current` is `null` and `legacy` is
+ * `undefined`, if no key ring or no legacy key was given in `Entity.setup`.
  */
 BaseType.prototype.isEncrypted = false;
 
 /**
  * Serialize value to target for property
  *
- * Will serialize `value` to `target` object, given `cryptoKey` if this
+ * Will serialize `value` to `target` object, given `cryptoKeys` if this
  * is an encrypting type (one that has `isEncrypted: true`) the type must
- * encrypted the data with `cryptoKey` before saving it to target.
+ * encrypted the data with `cryptoKeys` before saving it to target.
  */
-BaseType.prototype.serialize = function(target, value, cryptoKey) {
+BaseType.prototype.serialize = function(target, value, cryptoKeys) {
   throw new Error("Not implemented");
 };
 
+/**
+ * Get list of columns that values of this type are serialized to, these are
+ * the columns to `$select` when loading a property of this type.
+ */
+BaseType.prototype.columns = function() {
+  return [this.property];
+};
+
 /** Compare the two values (deep comparison if necessary) */
 BaseType.prototype.equal = function(value1, value2) {
   // Compare using serialize(), this works because serialize(), must be
@@ -91,11 +102,6 @@ BaseType.prototype.filterCondition = function(op) {
   throw new Error("Not implemented");
 };
 
-/** Apply the filter op in-memory */
-BaseType.prototype.compare = function(entity, op) {
-  throw new Error("Not implemented");
-};
-
 /** Get a string representation for key generation (optional) */
 BaseType.prototype.string = function(value) {
   throw new Error("Operation is not support for this data type");
@@ -110,9 +116,9 @@ BaseType.prototype.hash = function(value) {
  * Deserialize value for property from source
  *
  * If this is an encrypting type (one that has `isEncrypted: true`) the type
- * must decrypted the data with `cryptoKey` before deserializing it.
+ * must decrypted the data with `cryptoKeys` before deserializing it.
  */
-BaseType.prototype.deserialize = function(source, cryptoKey) {
+BaseType.prototype.deserialize = function(source, cryptoKeys) {
   throw new Error("Not implemented");
 };
 
@@ -179,14 +185,23 @@ StringType.prototype.validate = function(value) {
 };
 
 StringType.prototype.filterCondition = function(op) {
+  // Range operators are expanded to ge and lt/le conditions
+  if (op.lowerBound !== undefined) {
+    this.validate(op.lowerBound);
+    var condition = this.property + ' ' + fmt.GreaterThanOrEqual + ' ' +
+                    fmt.string(op.lowerBound);
+    if (op.upperBound === undefined) {
+      return condition;
+    }
+    this.validate(op.upperBound);
+    return '(' + condition + ' and ' + this.property + ' ' +
+           (op.inclusive ? fmt.LessThanOrEqual : fmt.LessThan) + ' ' +
+           fmt.string(op.upperBound) + ')';
+  }
   this.validate(op.operand);
   return this.property + ' ' + op.operator + ' ' + fmt.string(op.operand);
 };
 
-StringType.prototype.compare = function(entity, op) {
-  return op.compare(entity[this.property], op.operand);
-};
-
 // Export StringType as String
 exports.String = StringType;
 
@@ -216,10 +231,6 @@ BooleanType.prototype.filterCondition = function(op) {
   return this.property + ' ' + op.operator + ' ' + op.operand.toString();
 };
 
-BooleanType.prototype.compare = function(entity, op) {
-  return op.compare(entity[this.property], op.operand);
-};
-
 // Export BooleanType as Boolean
 exports.Boolean = BooleanType;
 
@@ -267,10 +278,6 @@ NumberType.prototype.filterCondition = function(op) {
   return this.property + ' ' + op.operator + ' ' + fmt.number(op.operand);
 };
 
-NumberType.prototype.compare = function(entity, op) {
-  return op.compare(+entity[this.property], +op.operand);
-};
-
 
 // Export NumberType as Number
 exports.Number = NumberType;
@@ -357,10 +364,6 @@ DateType.prototype.filterCondition = function(op) {
   return this.property + ' ' + op.operator + ' ' + fmt.date(op.operand);
 };
 
-DateType.prototype.compare = function(entity, op) {
-  return op.compare(new Date(entity[this.property]).getTime(), op.operand.getTime());
-};
-
 
 // Export DateType as Date
 exports.Date = DateType;
@@ -408,10 +411,6 @@ UUIDType.prototype.filterCondition = function(op) {
   return this.property + ' ' + op.operator + ' ' + fmt.guid(op.operand);
 };
 
-UUIDType.prototype.compare = function(entity, op) {
-  throw new Error("Not implemented");
-};
-
 // Export UUIDType as UUID
 exports.UUID = UUIDType;
 
@@ -452,11 +451,7 @@ SlugIdType.prototype.deserialize = function(source) {
 SlugIdType.prototype.filterCondition = function(op) {
   this.validate(op.operand);
   return this.property + ' ' + op.operator + ' ' +
-    fmt.guid(slugid.encode(op.operand));
-};
-
-SlugIdType.prototype.compare = function(entity, op) {
-  throw new Error("Not implemented");
+    fmt.guid(slugid.decode(op.operand));
 };
 
 
@@ -480,18 +475,24 @@ util.inherits(BaseBufferType, BaseType);
 BaseBufferType.prototype.isOrdered    = false;
 BaseBufferType.prototype.isComparable = false;
 
-/** Transform value to buffer */
-BaseBufferType.prototype.toBuffer = function(value, cryptoKey) {
+/**
+ * Transform value to buffer, `entity` is the entity the buffer is serialized
+ * to, for types that bind the buffer to the entity.
+ */
+BaseBufferType.prototype.toBuffer = function(value, cryptoKeys, entity) {
   throw new Error("Not implemented");
 };
 
-/** Transform value from buffer */
-BaseBufferType.prototype.fromBuffer = function(buffer, cryptoKey) {
+/**
+ * Transform value from buffer, `entity` is the entity the buffer was
+ * deserialized from.
+ */
+BaseBufferType.prototype.fromBuffer = function(buffer, cryptoKeys, entity) {
   throw new Error("Not implemented");
 };
 
-BaseBufferType.prototype.serialize = function(target, value, cryptoKey) {
-  value = this.toBuffer(value, cryptoKey);
+BaseBufferType.prototype.serialize = function(target, value, cryptoKeys) {
+  value = this.toBuffer(value, cryptoKeys, target);
   assert(value.length <= 256 * 1024, "Can't store buffers > 256kb");
   // We have one chunk per 64kb
   var chunks = Math.ceil(value.length / (64 * 1024));
@@ -508,7 +509,17 @@ BaseBufferType.prototype.hash = function(value) {
   return this.toBuffer(value);
 };
 
-BaseBufferType.prototype.deserialize = function(source, cryptoKey) {
+BaseBufferType.prototype.columns = function() {
+  var columns = ['__bufchunks_' + this.property];
+  // We have at most 4 chunks of 64kb, see serialize
+  for(var i = 0; i < 4; i++) {
+    columns.push('__buf' + i + '_' + this.property);
+  }
+  return columns;
+};
+
+/** Read the buffer stored in chunks for this property from `source` */
+BaseBufferType.prototype.readBuffer = function(source) {
   var n = source['__bufchunks_' + this.property];
   checkType('BaseBufferType', '__bufchunks_' + this.property, n, 'number');
 
@@ -516,14 +527,14 @@ BaseBufferType.prototype.deserialize = function(source, cryptoKey) {
   for(var i = 0; i < n; i++) {
     chunks[i] = new Buffer(source['__buf' + i + '_' + this.property], 'base64');
   }
-  return this.fromBuffer(Buffer.concat(chunks), cryptoKey);
+  return Buffer.concat(chunks);
 };
 
-BaseBufferType.prototype.filterCondition = function(op) {
-  throw new Error("Buffer based types are not comparable!");
+BaseBufferType.prototype.deserialize = function(source, cryptoKeys) {
+  return this.fromBuffer(this.readBuffer(source), cryptoKeys, source);
 };
 
-SlugIdType.prototype.compare = function(entity, op) {
+BaseBufferType.prototype.filterCondition = function(op) {
   throw new Error("Buffer based types are not comparable!");
 };
 
@@ -657,6 +668,206 @@ JSONType.prototype.clone = function(value) {
 // Export JSONType as JSON
 exports.JSON = JSONType;
 
+/******************** Compressed Base Type ********************/
+
+/*
+ * Compressed values are compressed before they are split into chunks, so
+ * values larger than 256kb can be stored, if they compress well. The codec is
+ * stored as `__codec_<property>`, such that the codec for new values can be
+ * changed without breaking existing values.
+ */
+var COMPRESSION_CODECS = {
+  gzip: {
+    compress:   function(buffer) { return zlib.gzipSync(buffer); },
+    decompress: function(buffer) { return zlib.gunzipSync(buffer); }
+  },
+  deflate: {
+    compress:   function(buffer) { return zlib.deflateSync(buffer); },
+    decompress: function(buffer) { return zlib.inflateSync(buffer); }
+  }
+};
+
+/** Find the codec used to compress the value of `property` in `source` */
+var compressionCodec = function(source, property) {
+  var codec = source['__codec_' + property];
+  checkType('CompressedType', '__codec_' + property, codec, 'string');
+  assert(COMPRESSION_CODECS[codec], "CompressedType '" + property + "' is " +
+         "compressed with unknown codec: '" + codec + "'");
+  return COMPRESSION_CODECS[codec];
+};
+
+/** Compressed Base Entity type */
+var CompressedBaseType = function(property) {
+  BaseBufferType.apply(this, arguments);
+};
+
+// Inherit from BaseBufferType
+util.inherits(CompressedBaseType, BaseBufferType);
+
+/** Codec used to compress new values */
+CompressedBaseType.prototype.codec = 'gzip';
+
+/** Transform value to buffer */
+CompressedBaseType.prototype.toPlainBuffer = function(value) {
+  throw new Error("Not implemented");
+};
+
+/** Transform value from buffer */
+CompressedBaseType.prototype.fromPlainBuffer = function(buffer) {
+  throw new Error("Not implemented");
+};
+
+CompressedBaseType.prototype.serialize = function(target, value, cryptoKeys) {
+  BaseBufferType.prototype.serialize.call(this, target, value, cryptoKeys);
+  target['__codec_' + this.property] = this.codec;
+};
+
+CompressedBaseType.prototype.columns = function() {
+  return BaseBufferType.prototype.columns.call(this).concat([
+    '__codec_' + this.property
+  ]);
+};
+
+CompressedBaseType.prototype.toBuffer = function(value) {
+  return COMPRESSION_CODECS[this.codec].compress(this.toPlainBuffer(value));
+};
+
+CompressedBaseType.prototype.fromBuffer = function(buffer, cryptoKeys, entity) {
+  var codec = compressionCodec(entity, this.property);
+  return this.fromPlainBuffer(codec.decompress(buffer));
+};
+
+// Hash the uncompressed value, so signatures don't depend on the codec
+CompressedBaseType.prototype.hash = function(value) {
+  return this.toPlainBuffer(value);
+};
+
+/******************** Compressed Blob Type ********************/
+
+/** Compressed Blob Entity type */
+var CompressedBlobType = function(property) {
+  CompressedBaseType.apply(this, arguments);
+};
+
+// Inherit from CompressedBaseType
+util.inherits(CompressedBlobType, CompressedBaseType);
+
+CompressedBlobType.prototype.validate = function(value) {
+  assert(Buffer.isBuffer(value),
+         "CompressedBlobType '" + this.property + "' expected a Buffer");
+};
+
+CompressedBlobType.prototype.toPlainBuffer = function(value) {
+  this.validate(value);
+  return value;
+};
+
+CompressedBlobType.prototype.fromPlainBuffer = function(value) {
+  this.validate(value);
+  return value;
+};
+
+CompressedBlobType.prototype.equal = function(value1, value2) {
+  this.validate(value1);
+  this.validate(value2);
+  if (value1 === value2) {
+    return true;
+  }
+  if (value1.length !== value2.length) {
+    return false;
+  }
+  return buffertools.compare(value1, value2) === 0;
+};
+
+CompressedBlobType.prototype.clone = function(value) {
+  this.validate(value);
+  return new Buffer(value);
+};
+
+// Export CompressedBlobType as CompressedBlob
+exports.CompressedBlob = CompressedBlobType;
+
+/******************** Compressed Text Type ********************/
+
+/** Compressed Text Entity type */
+var CompressedTextType = function(property) {
+  CompressedBaseType.apply(this, arguments);
+};
+
+// Inherit from CompressedBaseType
+util.inherits(CompressedTextType, CompressedBaseType);
+
+CompressedTextType.prototype.validate = function(value) {
+  checkType('CompressedTextType', this.property, value, 'string');
+};
+
+CompressedTextType.prototype.toPlainBuffer = function(value) {
+  this.validate(value);
+  return new Buffer(value, 'utf8');
+};
+
+CompressedTextType.prototype.fromPlainBuffer = function(value) {
+  return value.toString('utf8');
+};
+
+CompressedTextType.prototype.equal = function(value1, value2) {
+  return value1 === value2;
+};
+
+CompressedTextType.prototype.hash = function(value) {
+  return value;
+};
+
+CompressedTextType.prototype.clone = function(value) {
+  return value;
+};
+
+// Export CompressedTextType as CompressedText
+exports.CompressedText = CompressedTextType;
+
+/******************** Compressed JSON Type ********************/
+
+/** Compressed JSON Entity type */
+var CompressedJSONType = function(property) {
+  CompressedBaseType.apply(this, arguments);
+};
+
+// Inherit from CompressedBaseType
+util.inherits(CompressedJSONType, CompressedBaseType);
+
+CompressedJSONType.prototype.validate = function(value) {
+  checkType('CompressedJSONType', this.property, value, [
+    'string',
+    'number',
+    'object',
+    'boolean'
+  ]);
+};
+
+CompressedJSONType.prototype.toPlainBuffer = function(value) {
+  this.validate(value);
+  return new Buffer(JSON.stringify(value), 'utf8');
+};
+
+CompressedJSONType.prototype.fromPlainBuffer = function(value) {
+  return JSON.parse(value.toString('utf8'));
+};
+
+CompressedJSONType.prototype.equal = function(value1, value2) {
+  return _.isEqual(value1, value2);
+};
+
+CompressedJSONType.prototype.hash = function(value) {
+  return stringify(value);
+};
+
+CompressedJSONType.prototype.clone = function(value) {
+  return _.cloneDeep(value);
+};
+
+// Export CompressedJSONType as CompressedJSON
+exports.CompressedJSON = CompressedJSONType;
+
 /******************** Schema Type ********************/
 
 // Export SchemaEnforcedType as Schema
@@ -711,24 +922,137 @@ EncryptedBaseType.prototype.fromPlainBuffer = function(buffer) {
   throw new Error("Not implemented");
 };
 
-EncryptedBaseType.prototype.toBuffer = function(value, cryptoKey) {
-  var plainBuffer = this.toPlainBuffer(value);
-  // Need room for initialization vector and any padding
-  assert(plainBuffer.length <= 256 * 1024 - 32,
-         "Can't store buffers > 256 * 1024 - 32 bytes");
-  var iv          = crypto.randomBytes(16);
-  var cipher      = crypto.createCipheriv('aes-256-cbc', cryptoKey, iv);
+/*
+ * Encrypted values are stored in one of the following formats:
+ *  * `iv || ciphertext`, aes-256-cbc with the legacy `cryptoKey`,
+ *  * `n || keyId || iv || ciphertext`, aes-256-cbc with the key `keyId` from
+ *    `cryptoKeys`, where `n` is a single byte holding the length of `keyId`,
+ *  * `v || n || keyId || iv || tag || ciphertext || padding`, aes-256-gcm with
+ *    the key `keyId`, or the legacy `cryptoKey` if `n` is zero. Here `v` is
+ *    `GCM_FORMAT` plus the number of padding bytes (zero or one).
+ * An aes-256-cbc ciphertext with IV is always a multiple of 16 bytes, and
+ * aes-256-gcm values are padded not to be, so legacy values can be told apart
+ * by length. Key ids are at most 14 bytes, so the first byte tells the other
+ * two formats apart.
+ *
+ * New values are always written with aes-256-gcm, using PartitionKey, RowKey
+ * and property name as additional authenticated data. This way a value can't
+ * be moved to another entity or property without detection.
+ */
+var GCM_FORMAT = 0x80;
+
+/** Parse `buffer` into `{authenticated, keyId, body}`, `keyId` may be `null` */
+var parseEncrypted = function(buffer) {
+  if (buffer.length % 16 === 0) {
+    return {authenticated: false, keyId: null, body: buffer};
+  }
+  var first = buffer.readUInt8(0);
+  if (first === GCM_FORMAT || first === GCM_FORMAT + 1) {
+    var n = buffer.readUInt8(1);
+    return {
+      authenticated:  true,
+      keyId:          n > 0 ? buffer.slice(2, 2 + n).toString('utf8') : null,
+      body:           buffer.slice(2 + n, buffer.length - (first - GCM_FORMAT))
+    };
+  }
+  return {
+    authenticated:    false,
+    keyId:            buffer.slice(1, 1 + first).toString('utf8'),
+    body:             buffer.slice(1 + first)
+  };
+};
+
+/** Additional authenticated data binding a value to entity and property */
+var additionalData = function(entity, property) {
+  assert(typeof(entity.PartitionKey) === 'string' &&
+         typeof(entity.RowKey) === 'string',
+         "Encrypted values require PartitionKey and RowKey on the entity");
+  return Buffer.concat(_.flatten([
+    entity.PartitionKey, entity.RowKey, property
+  ].map(function(value) {
+    var data = new Buffer(value, 'utf8');
+    var len  = new Buffer(4);
+    len.writeUInt32BE(data.length, 0);
+    return [len, data];
+  })));
+};
+
+/** Encrypt `plainBuffer` for storage in `entity` */
+EncryptedBaseType.prototype.encrypt = function(plainBuffer, cryptoKeys, entity) {
+  var keyId       = new Buffer(0);
+  var cryptoKey   = cryptoKeys.legacy;
+  if (cryptoKeys.current !== null) {
+    keyId         = new Buffer(cryptoKeys.current, 'utf8');
+    cryptoKey     = cryptoKeys.keys[cryptoKeys.current];
+  }
+  // Need room for key id, header, initialization vector, tag and padding
+  assert(keyId.length + plainBuffer.length <= 256 * 1024 - 32,
+         "Can't store buffers > 256 * 1024 - 32 bytes (including key id)");
+  var iv          = crypto.randomBytes(12);
+  var cipher      = crypto.createCipheriv('aes-256-gcm', cryptoKey, iv);
+  cipher.setAAD(additionalData(entity, this.property));
   var c1          = cipher.update(plainBuffer);
   var c2          = cipher.final();
-  return Buffer.concat([iv, c1, c2]);
+  var tag         = cipher.getAuthTag();
+  var length      = 2 + keyId.length + iv.length + tag.length +
+                    c1.length + c2.length;
+  var padding     = length % 16 === 0 ? 1 : 0;
+  var header      = new Buffer([GCM_FORMAT + padding, keyId.length]);
+  return Buffer.concat([header, keyId, iv, tag, c1, c2, new Buffer(padding)]);
+};
+
+/** Decrypt `buffer` stored in `entity` */
+EncryptedBaseType.prototype.decrypt = function(buffer, cryptoKeys, entity) {
+  var encrypted   = parseEncrypted(buffer);
+  var cryptoKey   = cryptoKeys.legacy;
+  if (encrypted.keyId !== null) {
+    cryptoKey     = cryptoKeys.keys[encrypted.keyId];
+    assert(cryptoKey, "EncryptedBaseType '" + this.property + "' is " +
+           "encrypted with unknown key: '" + encrypted.keyId + "'");
+  } else {
+    assert(cryptoKey, "EncryptedBaseType '" + this.property + "' is " +
+           "encrypted without key id, this requires the legacy cryptoKey");
+  }
+  var body        = encrypted.body;
+  var decipher;
+  if (encrypted.authenticated) {
+    decipher      = crypto.createDecipheriv('aes-256-gcm', cryptoKey,
+                                            body.slice(0, 12));
+    decipher.setAAD(additionalData(entity, this.property));
+    decipher.setAuthTag(body.slice(12, 28));
+    body          = body.slice(28);
+  } else {
+    decipher      = crypto.createDecipheriv('aes-256-cbc', cryptoKey,
+                                            body.slice(0, 16));
+    body          = body.slice(16);
+  }
+  var b1          = decipher.update(body);
+  var b2          = decipher.final();
+  return Buffer.concat([b1, b2]);
 };
 
-EncryptedBaseType.prototype.fromBuffer = function(buffer, cryptoKey) {
-  var iv          = buffer.slice(0, 16);
-  var decipher    = crypto.createDecipheriv('aes-256-cbc', cryptoKey, iv);
-  var b1          = decipher.update(buffer.slice(16));
-  var b2          = decipher.final();
-  return this.fromPlainBuffer(Buffer.concat([b1, b2]));
+EncryptedBaseType.prototype.toBuffer = function(value, cryptoKeys, entity) {
+  return this.encrypt(this.toPlainBuffer(value), cryptoKeys, entity);
+};
+
+EncryptedBaseType.prototype.fromBuffer = function(buffer, cryptoKeys, entity) {
+  return this.fromPlainBuffer(this.decrypt(buffer, cryptoKeys, entity));
+};
+
+/**
+ * Get the id of the key used to encrypt the value stored in `source`, `null`
+ * if encrypted with the legacy `cryptoKey`.
+ */
+EncryptedBaseType.prototype.keyId = function(source) {
+  return parseEncrypted(this.readBuffer(source)).keyId;
+};
+
+/**
+ * True, if the value stored in `source` is encrypted with authenticated
+ * encryption, bound to the entity and property it is stored in.
+ */
+EncryptedBaseType.prototype.isAuthenticated = function(source) {
+  return parseEncrypted(this.readBuffer(source)).authenticated;
 };
 
 EncryptedBaseType.prototype.hash = function(value) {
@@ -892,6 +1216,171 @@ exports.EncryptedSchema = function(schema) {
   return EncryptedSchemaEnforcedType;
 };
 
+/******************** Encrypted Compressed Base Type ********************/
+
+/**
+ * Encrypted Compressed Base Entity type, values are compressed before they are
+ * encrypted, see `CompressedBaseType`.
+ */
+var EncryptedCompressedBaseType = function(property) {
+  EncryptedBaseType.apply(this, arguments);
+};
+
+// Inherit from EncryptedBaseType
+util.inherits(EncryptedCompressedBaseType, EncryptedBaseType);
+
+/** Codec used to compress new values */
+EncryptedCompressedBaseType.prototype.codec = 'gzip';
+
+EncryptedCompressedBaseType.prototype.serialize = function(target, value,
+                                                          cryptoKeys) {
+  BaseBufferType.prototype.serialize.call(this, target, value, cryptoKeys);
+  target['__codec_' + this.property] = this.codec;
+};
+
+EncryptedCompressedBaseType.prototype.columns =
+  CompressedBaseType.prototype.columns;
+
+EncryptedCompressedBaseType.prototype.toBuffer = function(value, cryptoKeys,
+                                                         entity) {
+  var codec       = COMPRESSION_CODECS[this.codec];
+  var plainBuffer = codec.compress(this.toPlainBuffer(value));
+  return this.encrypt(plainBuffer, cryptoKeys, entity);
+};
+
+EncryptedCompressedBaseType.prototype.fromBuffer = function(buffer, cryptoKeys,
+                                                           entity) {
+  var codec       = compressionCodec(entity, this.property);
+  var plainBuffer = this.decrypt(buffer, cryptoKeys, entity);
+  return this.fromPlainBuffer(codec.decompress(plainBuffer));
+};
+
+/******************** Encrypted Compressed Blob Type ********************/
+
+/** Encrypted Compressed Blob Entity type */
+var EncryptedCompressedBlobType = function(property) {
+  EncryptedCompressedBaseType.apply(this, arguments);
+};
+
+// Inherit from EncryptedCompressedBaseType
+util.inherits(EncryptedCompressedBlobType, EncryptedCompressedBaseType);
+
+EncryptedCompressedBlobType.prototype.validate = function(value) {
+  assert(Buffer.isBuffer(value), "EncryptedCompressedBlobType '" +
+         this.property + "' expected a Buffer");
+};
+
+EncryptedCompressedBlobType.prototype.toPlainBuffer = function(value) {
+  this.validate(value);
+  return value;
+};
+
+EncryptedCompressedBlobType.prototype.fromPlainBuffer = function(value) {
+  this.validate(value);
+  return value;
+};
+
+EncryptedCompressedBlobType.prototype.equal = function(value1, value2) {
+  this.validate(value1);
+  this.validate(value2);
+  if (value1 === value2) {
+    return true;
+  }
+  if (value1.length !== value2.length) {
+    return false;
+  }
+  return buffertools.compare(value1, value2) === 0;
+};
+
+EncryptedCompressedBlobType.prototype.clone = function(value) {
+  this.validate(value);
+  return new Buffer(value);
+};
+
+// Export EncryptedCompressedBlobType as EncryptedCompressedBlob
+exports.EncryptedCompressedBlob = EncryptedCompressedBlobType;
+
+/******************** Encrypted Compressed Text Type ********************/
+
+/** Encrypted Compressed Text Entity type */
+var EncryptedCompressedTextType = function(property) {
+  EncryptedCompressedBaseType.apply(this, arguments);
+};
+
+// Inherit from EncryptedCompressedBaseType
+util.inherits(EncryptedCompressedTextType, EncryptedCompressedBaseType);
+
+EncryptedCompressedTextType.prototype.validate = function(value) {
+  checkType('EncryptedCompressedTextType', this.property, value, 'string');
+};
+
+EncryptedCompressedTextType.prototype.toPlainBuffer = function(value) {
+  this.validate(value);
+  return new Buffer(value, 'utf8');
+};
+
+EncryptedCompressedTextType.prototype.fromPlainBuffer = function(value) {
+  return value.toString('utf8');
+};
+
+EncryptedCompressedTextType.prototype.equal = function(value1, value2) {
+  return value1 === value2;
+};
+
+EncryptedCompressedTextType.prototype.hash = function(value) {
+  return value;
+};
+
+EncryptedCompressedTextType.prototype.clone = function(value) {
+  return value;
+};
+
+// Export EncryptedCompressedTextType as EncryptedCompressedText
+exports.EncryptedCompressedText = EncryptedCompressedTextType;
+
+/******************** Encrypted Compressed JSON Type ********************/
+
+/** Encrypted Compressed JSON Entity type */
+var EncryptedCompressedJSONType = function(property) {
+  EncryptedCompressedBaseType.apply(this, arguments);
+};
+
+// Inherit from EncryptedCompressedBaseType
+util.inherits(EncryptedCompressedJSONType, EncryptedCompressedBaseType);
+
+EncryptedCompressedJSONType.prototype.validate = function(value) {
+  checkType('EncryptedCompressedJSONType', this.property, value, [
+    'string',
+    'number',
+    'object',
+    'boolean'
+  ]);
+};
+
+EncryptedCompressedJSONType.prototype.toPlainBuffer = function(value) {
+  this.validate(value);
+  return new Buffer(JSON.stringify(value), 'utf8');
+};
+
+EncryptedCompressedJSONType.prototype.fromPlainBuffer = function(value) {
+  return JSON.parse(value.toString('utf8'));
+};
+
+EncryptedCompressedJSONType.prototype.equal = function(value1, value2) {
+  return _.isEqual(value1, value2);
+};
+
+EncryptedCompressedJSONType.prototype.hash = function(value) {
+  return stringify(value);
+};
+
+EncryptedCompressedJSONType.prototype.clone = function(value) {
+  return _.cloneDeep(value);
+};
+
+// Export EncryptedCompressedJSONType as EncryptedCompressedJSON
+exports.EncryptedCompressedJSON = EncryptedCompressedJSONType;
+
 /******************** SlugIdArray Type ********************/
 
 // SIZE of a slugid
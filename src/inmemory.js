@@ -1,5 +1,5 @@
 /**
- * In-memory version of the `__aux` wrapper used in entity.js.  This
+ * In-memory backend, implementing the interface in backend.js.  This
  * is basically implementing the bits of fast-azure-entities that we
  * use in azure-entities.
  */
@@ -7,14 +7,41 @@
 var _         = require('lodash');
 var assert    = require('assert');
 var crypto    = require('crypto');
+var fs        = require('fs');
+var path      = require('path');
 var stringify = require('json-stable-stringify');
+var odata     = require('./odatafilter');
 
-// the in-memory data; stored globally as this is a better model for
-// Azure than storing each table as an instance or class property
-var tables = {};
-
-var InMemoryWrapper = function InMemoryWrapper(table) {
+/**
+ * Create a wrapper for `table`, with options on the form:
+ * ```js
+ * {
+ *   store:      new InMemoryStore(),    // Store holding the tables
+ *   persistTo:  './data/entities.json'  // File to persist tables to
+ * }
+ * ```
+ *
+ * If neither is given, tables are held in a store shared by all wrappers. If
+ * `persistTo` is given, tables are held in a store shared by all wrappers
+ * persisting to the same file, see `InMemoryStore`.
+ */
+var InMemoryWrapper = function InMemoryWrapper(table, options) {
+  options = options || {};
+  assert(!options.store || !options.persistTo,
+         "Don't specify both store and persistTo");
+  assert(!options.store || options.store instanceof InMemoryStore,
+         "store must be an InMemoryStore");
   this.table = table;
+  this.store = options.store || defaultStore;
+  if (options.persistTo) {
+    assert(typeof(options.persistTo) === 'string',
+           "persistTo must be a file path");
+    var file = path.resolve(options.persistTo);
+    if (!persistedStores[file]) {
+      persistedStores[file] = new InMemoryStore({persistTo: file});
+    }
+    this.store = persistedStores[file];
+  }
 };
 
 /* Internal utilities */
@@ -53,6 +80,14 @@ var entityEtag = function(entity) {
   return sha1.digest('hex');
 };
 
+// pick the keys in `select` (and their type annotations) as well as metadata,
+// like Azure does for `$select`
+var selectProperties = function(entity, select) {
+  return _.pickBy(entity, function(v, k) {
+    return odataPrefix.test(k) || _.includes(select, k.replace(odataSuffix, ''));
+  });
+};
+
 var makeError = function(statusCode, code) {
   var err = new Error(code);
   err.statusCode = statusCode;
@@ -71,6 +106,231 @@ var updateTimestamp = function(entity) {
   entity['Timestamp@odata.type'] = 'Edm.Int32';
 }
 
+/** Call `f` returning a promise for the result, or rejection if it throws */
+var attempt = function(f) {
+  try {
+    return Promise.resolve(f());
+  } catch (err) {
+    return Promise.reject(err);
+  }
+};
+
+/**
+ * Continue timestamps after those in `tables`, as they are part of etags,
+ * ignoring entities without a numeric timestamp.
+ */
+var advanceTimestamp = function(tables) {
+  _.forIn(tables, function(table) {
+    _.forIn(table, function(entity) {
+      if (typeof(entity.Timestamp) === 'number') {
+        ts = Math.max(ts, entity.Timestamp + 1);
+      }
+    });
+  });
+};
+
+/**
+ * Write a snapshot of the tables in `store` to the file given as `persistTo`,
+ * if any. The snapshot is written to a temporary file and renamed, so the file
+ * is never partially written.
+ */
+var persist = function(store) {
+  if (store.persistTo) {
+    var tmpFile = store.persistTo + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify({tables: store.tables}));
+    fs.renameSync(tmpFile, store.persistTo);
+  }
+};
+
+/** Call `f` to mutate the tables of `wrapper`, and persist them if needed */
+var mutate = function(wrapper, f) {
+  return attempt(function() {
+    var result = f();
+    persist(wrapper.store);
+    return result;
+  });
+};
+
+/**
+ * Store holding in-memory tables, with options on the form:
+ * ```js
+ * {
+ *   persistTo:  './data/entities.json'  // File to persist tables to
+ * }
+ * ```
+ *
+ * If `persistTo` is given, tables are loaded from the file (if it exists)
+ * and a snapshot of all tables in the file is written after each mutation.
+ */
+var InMemoryStore = function InMemoryStore(options) {
+  options = options || {};
+  this.tables = {};
+  this.faults = [];
+  this.persistTo = null;
+  if (options.persistTo) {
+    assert(typeof(options.persistTo) === 'string',
+           "persistTo must be a file path");
+    this.persistTo = path.resolve(options.persistTo);
+    if (fs.existsSync(this.persistTo)) {
+      this.tables = JSON.parse(fs.readFileSync(this.persistTo, 'utf8')).tables;
+      advanceTimestamp(this.tables);
+    }
+  }
+};
+
+/** Remove all tables and injected faults from the store */
+InMemoryStore.prototype.reset = function() {
+  this.tables = {};
+  this.faults = [];
+  persist(this);
+};
+
+/** Get a snapshot of all tables in the store, for use with `restore` */
+InMemoryStore.prototype.snapshot = function() {
+  return _.cloneDeep(this.tables);
+};
+
+/** Restore all tables in the store to the state given by `snapshot` */
+InMemoryStore.prototype.restore = function(snapshot) {
+  assert(snapshot && typeof(snapshot) === 'object',
+         "snapshot must be an object from snapshot()");
+  this.tables = _.cloneDeep(snapshot);
+  advanceTimestamp(this.tables);
+  persist(this);
+};
+
+/** Status codes for errors injected with `InMemoryStore.injectFault` */
+var FAULT_STATUS_CODES = {
+  ResourceNotFound:             404,
+  EntityAlreadyExists:          409,
+  TableAlreadyExists:           409,
+  UpdateConditionNotSatisfied:  412,
+  ServerBusy:                   503
+};
+
+/**
+ * Inject a fault for operations on tables in the store, with options on the
+ * form:
+ * ```js
+ * {
+ *   method:        'updateEntity', // Operation to affect (default all)
+ *   partitionKey:  '...',          // Only affect this PartitionKey (optional)
+ *   rowKey:        '...',          // Only affect this RowKey (optional)
+ *   times:         1,              // Number of calls to affect (default all)
+ *   delay:         0,              // Latency to add in ms (optional)
+ *   code:          'ServerBusy',   // Error code to fail with (optional)
+ *   statusCode:    503             // Status code for the error (optional)
+ * }
+ * ```
+ *
+ * Keys are matched against the keys as stored in the table, operations
+ * without keys (like `queryEntities`) are only affected by faults without
+ * keys, while a `batch` is affected if any of its operations are. Calls are
+ * delayed by `delay` and then fail with `code`, if given. The status code
+ * defaults to that of the Azure error, or 500. Returns the fault, where
+ * `fault.count` is the number of calls affected so far.
+ */
+InMemoryStore.prototype.injectFault = function(options) {
+  assert(options && (options.code || options.delay),
+         "injectFault requires a code or a delay");
+  assert(options.times === undefined ||
+         (typeof(options.times) === 'number' && options.times >= 1),
+         "times must be a number >= 1");
+  var fault = _.defaults({count: 0}, options, {
+    statusCode: FAULT_STATUS_CODES[options.code] || 500
+  });
+  this.faults.push(fault);
+  return fault;
+};
+
+/** Remove all faults injected with `injectFault` */
+InMemoryStore.prototype.clearFaults = function() {
+  this.faults = [];
+};
+
+// the in-memory data; stored globally as this is a better model for
+// Azure than storing each table as an instance or class property
+var defaultStore = new InMemoryStore();
+
+/**
+ * Store used by in-memory tables set up without `store` or `persistTo`, so
+ * faults can be injected for these too.
+ */
+InMemoryStore.defaultStore = defaultStore;
+
+// stores persisted to disk, by absolute file path, so that all wrappers
+// persisting to the same file share the same tables
+var persistedStores = {};
+
+/*
+ * Synchronous operations on the data of a table, these throw errors rather
+ * than returning rejected promises, so that they can be composed atomically.
+ */
+
+var insertEntity = function(table, entity) {
+  var key = makeKey(entity.PartitionKey, entity.RowKey);
+  if (!table) {
+    throw makeError(404, 'ResourceNotFound');
+  }
+  if (table[key]) {
+    throw makeError(409, 'EntityAlreadyExists');
+  }
+  entity = table[key] = _.cloneDeep(entity);
+  updateTimestamp(entity);
+  var eTag = entity['odata.etag'] = entityEtag(entity);
+  return eTag;
+};
+
+var updateEntity = function(table, entity, options) {
+  var key = makeKey(entity.PartitionKey, entity.RowKey);
+  entity = _.cloneDeep(entity);
+  if (!table) {
+    throw makeError(404, 'ResourceNotFound');
+  }
+  if (table[key]) {
+    if (options.eTag != '*') {
+      if (options.eTag && options.eTag != entityEtag(table[key])) {
+        throw makeError(412, 'UpdateConditionNotSatisfied');
+      }
+    }
+    if (options.mode == 'replace') {
+      table[key] = entity;
+    } else {
+      var existing = table[key];
+      _.forIn(entity, function(val, prop) {
+        existing[prop] = val;
+      });
+      entity = existing;
+    }
+  } else {
+    // Like Azure, any eTag (including '*') requires the entity to exist
+    if (options.eTag) {
+      throw makeError(404, 'ResourceNotFound');
+    }
+    table[key] = entity;
+  }
+  // Like Azure, every write gives a new timestamp, and thus a new etag
+  updateTimestamp(entity);
+  var eTag = entity['odata.etag'] = entityEtag(entity);
+  return eTag;
+};
+
+var deleteEntity = function(table, partitionKey, rowKey, options) {
+  var key = makeKey(partitionKey, rowKey);
+  if (!table) {
+    throw makeError(404, 'ResourceNotFound');
+  }
+  if (!table[key]) {
+    throw makeError(404, 'ResourceNotFound');
+  }
+  if (options.eTag != '*') {
+    if (options.eTag != entityEtag(table[key])) {
+      throw makeError(412, 'UpdateConditionNotSatisfied');
+    }
+  }
+  delete table[key];
+};
+
 /**
  * Create table.
  *
@@ -78,11 +338,13 @@ var updateTimestamp = function(entity) {
  * @return {Promise} A promise that the table was created.
  */
 InMemoryWrapper.prototype.createTable = function() {
-  if (tables[this.table]) {
-    return Promise.reject(makeError(409, 'TableAlreadyExists'));
-  }
-  tables[this.table] = {};
-  return Promise.resolve();
+  var self = this;
+  return mutate(this, function() {
+    if (self.store.tables[self.table]) {
+      throw makeError(409, 'TableAlreadyExists');
+    }
+    self.store.tables[self.table] = {};
+  });
 };
 
 /**
@@ -92,11 +354,13 @@ InMemoryWrapper.prototype.createTable = function() {
  * @return {Promise} A promise that the table was marked for deletion.
  */
 InMemoryWrapper.prototype.deleteTable = function() {
-  if (!tables[this.table]) {
-    return Promise.reject(makeError(404, 'ResourceNotFound'));
-  }
-  delete tables[this.table];
-  return Promise.resolve();
+  var self = this;
+  return mutate(this, function() {
+    if (!self.store.tables[self.table]) {
+      throw makeError(404, 'ResourceNotFound');
+    }
+    delete self.store.tables[self.table];
+  });
 };
 
 /**
@@ -121,14 +385,16 @@ InMemoryWrapper.prototype.getEntity = function(partitionKey, rowKey, options) {
   options = options || {};
   // NOTE: azure-entities never uses these features:
   assert(!options.filter, "filter is not supported for getEntity");
-  assert(!options.select, "select is not supported for getEntity");
   var key = makeKey(partitionKey, rowKey);
-  if (!tables[this.table]) {
+  if (!this.store.tables[this.table]) {
     return Promise.reject(makeError(404, 'ResourceNotFound'));
   }
-  if (tables[this.table][key]) {
-    var res = _.clone(tables[this.table][makeKey(partitionKey, rowKey)]);
+  if (this.store.tables[this.table][key]) {
+    var res = _.clone(this.store.tables[this.table][key]);
     res['odata.etag'] = entityEtag(res);
+    if (options.select) {
+      res = selectProperties(res, options.select);
+    }
     return Promise.resolve(res);
   }
   return Promise.reject(makeError(404, 'ResourceNotFound'));
@@ -143,7 +409,7 @@ InMemoryWrapper.prototype.getEntity = function(partitionKey, rowKey, options) {
  * {
  *   // Query options:
  *   select:            ['key1', ...], // Keys to $select (defaults to all)
- *   filter:            ....,          // $filter object -- DIFFERS FROM fast-azure-storage!
+ *   filter:            '...',         // $filter string, see odatafilter.js
  *   top:               1000,          // Max number of entities to return
  *
  *   // Paging options:
@@ -167,25 +433,20 @@ InMemoryWrapper.prototype.getEntity = function(partitionKey, rowKey, options) {
  */
 InMemoryWrapper.prototype.queryEntities = function(options) {
   options = options || {};
-  assert(!options.select, "select is not supported for queryEntities");
 
-  if (!tables[this.table]) {
+  if (!this.store.tables[this.table]) {
     return Promise.reject(makeError(404, 'ResourceNotFound'));
   }
 
-  var filterFunctionFor = function(filter) {
-    return function(entity) {
-      return _.every(filter, function(condition) {
-        return condition.type.compare(entity, condition.op);
-      });
-    };
-  };
-
-  var entities = _.values(tables[this.table]);
+  var entities = _.values(this.store.tables[this.table]);
   entities = _.sortBy(entities, e => [e.PartitionKey, e.RowKey]);
 
   if (options.filter) {
-    entities = _.filter(entities, filterFunctionFor(options.filter));
+    try {
+      entities = _.filter(entities, odata.compile(options.filter));
+    } catch (err) {
+      return Promise.reject(err);
+    }
   }
 
   if (options.nextRowKey || options.nextPartitionKey) {
@@ -207,6 +468,12 @@ InMemoryWrapper.prototype.queryEntities = function(options) {
     entities = entities.slice(0, options.top);
   }
 
+  if (options.select) {
+    entities = entities.map(function(entity) {
+      return selectProperties(entity, options.select);
+    });
+  }
+
   // Apply pagination
   return Promise.resolve({
     entities: entities,
@@ -229,17 +496,10 @@ InMemoryWrapper.prototype.queryEntities = function(options) {
  * A promise for the `etag` of the inserted entity.
  */
 InMemoryWrapper.prototype.insertEntity = function(entity) {
-  var key = makeKey(entity.PartitionKey, entity.RowKey);
-  if (!tables[this.table]) {
-    return Promise.reject(makeError(404, 'ResourceNotFound'));
-  }
-  if (tables[this.table][key]) {
-    return Promise.reject(makeError(409, 'EntityAlreadyExists'));
-  }
-  entity = tables[this.table][key] = _.cloneDeep(entity);
-  updateTimestamp(entity);
-  var eTag = entity['odata.etag'] = entityEtag(entity);
-  return Promise.resolve(eTag);
+  var table = this.store.tables[this.table];
+  return mutate(this, function() {
+    return insertEntity(table, entity);
+  });
 };
 
 /**
@@ -263,7 +523,7 @@ InMemoryWrapper.prototype.insertEntity = function(entity) {
  *
  * If **`options.eTag` is the string `'*'`** the remote entity will be replaced
  * or merged depending on `mode`, but it will not be inserted if it doesn't
- * exist.
+ * exist, instead the operation fails with `ResourceNotFound`.
  *
  * If **`options.eTag` is a string** (other than `'*'`) the remote entity will be
  * replaced or merged depending on `mode`, if the ETag of the remote entity
@@ -289,36 +549,10 @@ InMemoryWrapper.prototype.insertEntity = function(entity) {
  * @return {Promise} A promise for `eTag` of the modified entity.
  */
 InMemoryWrapper.prototype.updateEntity = function(entity, options) {
-  var key = makeKey(entity.PartitionKey, entity.RowKey);
-  entity = _.cloneDeep(entity);
-  entity['odata.etag'] = entityEtag(entity);
-  if (!tables[this.table]) {
-    return Promise.reject(makeError(404, 'ResourceNotFound'));
-  }
-  if (tables[this.table][key]) {
-    if (options.eTag != '*') {
-      if (options.eTag && options.eTag != entityEtag(tables[this.table][key])) {
-        return Promise.reject(makeError(412, 'UpdateConditionNotSatisfied'));
-      }
-    }
-    if (options.mode == 'replace') {
-      tables[this.table][key] = entity;
-    } else {
-      var existing = tables[this.table][key];
-      _.forIn(entity, function(val, prop) {
-        existing[prop] = val;
-      });
-      entity = existing;
-      entity['odata.etag'] = entityEtag(entity);
-    }
-  } else {
-    if (!options.eTag) {
-      tables[this.table][key] = entity;
-    } else if (options.eTag != '*') {
-      return Promise.reject(makeError(404, 'ResourceNotFound'));
-    }
-  }
-  return Promise.resolve(entityEtag(entity));
+  var table = this.store.tables[this.table];
+  return mutate(this, function() {
+    return updateEntity(table, entity, options);
+  });
 };
 
 /**
@@ -345,29 +579,128 @@ InMemoryWrapper.prototype.updateEntity = function(entity, options) {
  * @returns {Promise} A promise that the entity was deleted.
  */
 InMemoryWrapper.prototype.deleteEntity = function(partitionKey, rowKey, options) {
-  var key = makeKey(partitionKey, rowKey);
-  if (!tables[this.table]) {
-    return Promise.reject(makeError(404, 'ResourceNotFound'));
-  }
-  var table = tables[this.table];
-  if (!table[key]) {
-    return Promise.reject(makeError(404, 'ResourceNotFound'));
-  }
-  if (options.eTag != '*') {
-    if (options.eTag != entityEtag(table[key])) {
-      return Promise.reject(makeError(412, 'UpdateConditionNotSatisfied'));
-    }
-  }
-  delete table[key];
-  return Promise.resolve();
+  var table = this.store.tables[this.table];
+  return mutate(this, function() {
+    return deleteEntity(table, partitionKey, rowKey, options);
+  });
 };
 
-exports.InMemoryWrapper = InMemoryWrapper;
+/**
+ * Submit a list of operations as an entity group transaction, either all
+ * operations are applied or none of them are. Operations takes the form:
+ * ```js
+ * {op: 'insert', entity: {...}}
+ * {op: 'update', entity: {...}, mode: 'replace' || 'merge', eTag: ...}
+ * {op: 'delete', partitionKey: '...', rowKey: '...', eTag: '...' || '*'}
+ * ```
+ *
+ * If an operation fails the error will have an `operationIndex` property
+ * giving the index of the operation that failed.
+ *
+ * @method batch
+ * @param {Array} operations - List of operations on the form given above.
+ * @return {Promise} A promise for a list of `eTag`s, one for each operation,
+ * `undefined` for deletions.
+ */
+InMemoryWrapper.prototype.batch = function(operations) {
+  var self = this;
+  return mutate(this, function() {
+    if (!self.store.tables[self.table]) {
+      throw makeError(404, 'ResourceNotFound');
+    }
+    // Apply operations to a copy of the table, and keep it only if all of
+    // them succeed
+    var table = _.cloneDeep(self.store.tables[self.table]);
+    var results = operations.map(function(operation, index) {
+      try {
+        if (operation.op === 'insert') {
+          return insertEntity(table, operation.entity);
+        }
+        if (operation.op === 'update') {
+          return updateEntity(table, operation.entity, operation);
+        }
+        if (operation.op === 'delete') {
+          return deleteEntity(table, operation.partitionKey,
+                              operation.rowKey, operation);
+        }
+        throw new Error("Unknown batch operation: " + operation.op);
+      } catch (err) {
+        err.operationIndex = index;
+        throw err;
+      }
+    });
+    self.store.tables[self.table] = table;
+    return results;
+  });
+};
 
-exports.appendFilter = function(filter, type, op) {
-  // just keep the type and op for later analysis, rather than building
-  // a string
-  filter = filter || [];
-  filter.push({type: type, op: op});
-  return filter;
+/*
+ * Keys affected by each operation, given its arguments, as a list of
+ * `[partitionKey, rowKey]`, for matching faults injected in the store
+ */
+var operationKeys = {
+  createTable:    () => [],
+  deleteTable:    () => [],
+  queryEntities:  () => [],
+  getEntity:      (partitionKey, rowKey) => [[partitionKey, rowKey]],
+  insertEntity:   entity => [[entity.PartitionKey, entity.RowKey]],
+  updateEntity:   entity => [[entity.PartitionKey, entity.RowKey]],
+  deleteEntity:   (partitionKey, rowKey) => [[partitionKey, rowKey]],
+  batch:          operations => operations.map(function(operation) {
+    if (operation.entity) {
+      return [operation.entity.PartitionKey, operation.entity.RowKey];
+    }
+    return [operation.partitionKey, operation.rowKey];
+  })
 };
+
+// Apply faults injected in the store before each operation
+_.forIn(operationKeys, function(getKeys, method) {
+  var operation = InMemoryWrapper.prototype[method];
+  InMemoryWrapper.prototype[method] = function() {
+    var self = this;
+    var args = arguments;
+    var store = this.store;
+    if (store.faults.length === 0) {
+      return operation.apply(this, args);
+    }
+    var keys = getKeys.apply(null, args);
+    var delay = 0;
+    var error = null;
+    store.faults.forEach(function(fault) {
+      if (fault.method && fault.method !== method) {
+        return;
+      }
+      if ((fault.partitionKey !== undefined || fault.rowKey !== undefined) &&
+          !_.some(keys, function(key) {
+            return (fault.partitionKey === undefined ||
+                    fault.partitionKey === key[0]) &&
+                   (fault.rowKey === undefined || fault.rowKey === key[1]);
+          })) {
+        return;
+      }
+      fault.count += 1;
+      delay += fault.delay || 0;
+      if (fault.code && !error) {
+        error = makeError(fault.statusCode, fault.code);
+      }
+    });
+    store.faults = store.faults.filter(function(fault) {
+      return fault.times === undefined || fault.count < fault.times;
+    });
+    if (!delay && !error) {
+      return operation.apply(this, args);
+    }
+    return new Promise(function(accept) {
+      setTimeout(accept, delay);
+    }).then(function() {
+      if (error) {
+        throw error;
+      }
+      return operation.apply(self, args);
+    });
+  };
+});
+
+exports.InMemoryWrapper = InMemoryWrapper;
+exports.InMemoryStore = InMemoryStore;
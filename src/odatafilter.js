@@ -0,0 +1,241 @@
+"use strict";
+
+/**
+ * Parser and evaluator for the subset of OData `$filter` strings supported by
+ * Azure Table Storage, used by the in-memory implementation in `inmemory.js`,
+ * so it is given the same filter strings as Azure. The SQLite backend in
+ * `sqlite.js` translates the parsed filters to SQL.
+ *
+ * Supported are comparisons with `eq`, `ne`, `gt`, `ge`, `lt` and `le`
+ * between a property and a literal, combined with `and`, `or`, `not` and
+ * parentheses. Literals can be strings `'...'` (with `''` for quote), numbers
+ * (`42`, `4.2`, `42L`), `true`, `false`, `datetime'...'` and `guid'...'`.
+ */
+
+var _         = require('lodash');
+
+/** Error for invalid filters, like the error Azure returns */
+var invalidFilter = function(filter, message) {
+  var err = new Error("Invalid $filter: " + message + " in: " + filter);
+  err.statusCode = 400;
+  err.code = 'InvalidInput';
+  err.name = 'InvalidInputError';
+  return err;
+};
+
+/** Comparison operators, given the result of `compareValues` */
+var COMPARISONS = {
+  eq: function(c) { return c === 0; },
+  ne: function(c) { return c !== 0; },
+  gt: function(c) { return c > 0;   },
+  ge: function(c) { return c >= 0;  },
+  lt: function(c) { return c < 0;   },
+  le: function(c) { return c <= 0;  }
+};
+
+// Tokens, each with a pattern matched at the current position
+var TOKENS = [
+  {kind: 'space',   pattern: /^\s+/},
+  {kind: 'paren',   pattern: /^[()]/},
+  {kind: 'literal', pattern: /^(datetime|guid)'([^']*)'/},
+  {kind: 'literal', pattern: /^'((?:[^']|'')*)'/},
+  {kind: 'literal', pattern: /^-?\d+(\.\d+)?([eE][+-]?\d+)?[lLdDmMfF]?(?![\w.])/},
+  {kind: 'word',    pattern: /^[A-Za-z_][A-Za-z0-9_]*/}
+];
+
+/** Typed value of a literal token, on the form `{kind, value}` */
+var literalValue = function(text) {
+  var match;
+  if ((match = /^(datetime|guid)'([^']*)'$/.exec(text))) {
+    return typedValue(match[1] === 'datetime' ? 'Edm.DateTime' : 'Edm.Guid',
+                      match[2]);
+  }
+  if ((match = /^'((?:[^']|'')*)'$/.exec(text))) {
+    return {kind: 'string', value: match[1].replace(/''/g, "'")};
+  }
+  return {kind: 'number', value: parseFloat(text)};
+};
+
+/**
+ * Typed value of a property with the given `@odata.type`, or `undefined` if
+ * the value is missing.
+ */
+var typedValue = function(odataType, value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  switch (odataType) {
+    case 'Edm.DateTime':
+      return {kind: 'datetime', value: new Date(value).getTime()};
+    case 'Edm.Guid':
+      return {kind: 'guid', value: value.toLowerCase()};
+    case 'Edm.Int64':
+      return {kind: 'number', value: parseInt(value, 10)};
+    case 'Edm.Binary':
+      return {kind: 'binary', value: value};
+  }
+  return {kind: typeof(value), value: value};
+};
+
+/** Split `filter` into a list of tokens on the form `{kind, text}` */
+var tokenize = function(filter) {
+  var tokens = [];
+  var rest = filter;
+  while (rest.length > 0) {
+    var token = _.find(TOKENS, function(token) {
+      return token.pattern.test(rest);
+    });
+    if (!token) {
+      throw invalidFilter(filter, "unexpected '" + rest[0] + "'");
+    }
+    var text = token.pattern.exec(rest)[0];
+    rest = rest.slice(text.length);
+    if (token.kind === 'space') {
+      continue;
+    }
+    if (token.kind === 'word' && (text === 'true' || text === 'false')) {
+      tokens.push({kind: 'boolean', text: text});
+    } else {
+      tokens.push({kind: token.kind, text: text});
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Parse `filter` to an expression tree, where nodes are on the forms:
+ * ```js
+ * {op: 'and' || 'or', left: node, right: node}
+ * {op: 'not', operand: node}
+ * {op: 'eq' || 'ne' || ..., left: operand, right: operand}
+ * ```
+ * and operands are `{property: '...'}` or `{literal: {kind, value}}`.
+ */
+var parse = function(filter) {
+  var tokens = tokenize(filter);
+  var next = 0;
+
+  var peek = function() {
+    return tokens[next] || {kind: 'end', text: ''};
+  };
+  var take = function(kind, text) {
+    var token = peek();
+    if (token.kind !== kind || (text !== undefined && token.text !== text)) {
+      throw invalidFilter(filter, "expected " + (text || kind) + " got '" +
+                                  token.text + "'");
+    }
+    next += 1;
+    return token;
+  };
+  var isWord = function(text) {
+    var token = peek();
+    return token.kind === 'word' && token.text === text;
+  };
+
+  var parseOperand = function() {
+    var token = peek();
+    if (token.kind === 'literal') {
+      next += 1;
+      return {literal: literalValue(token.text)};
+    }
+    if (token.kind === 'boolean') {
+      next += 1;
+      return {literal: {kind: 'boolean', value: token.text === 'true'}};
+    }
+    return {property: take('word').text};
+  };
+  var parsePrimary = function() {
+    if (peek().kind === 'paren' && peek().text === '(') {
+      next += 1;
+      var node = parseOr();
+      take('paren', ')');
+      return node;
+    }
+    var left = parseOperand();
+    var op = take('word').text;
+    if (!COMPARISONS[op]) {
+      throw invalidFilter(filter, "unknown operator '" + op + "'");
+    }
+    return {op: op, left: left, right: parseOperand()};
+  };
+  var parseNot = function() {
+    if (isWord('not')) {
+      next += 1;
+      return {op: 'not', operand: parseNot()};
+    }
+    return parsePrimary();
+  };
+  var parseAnd = function() {
+    var node = parseNot();
+    while (isWord('and')) {
+      next += 1;
+      node = {op: 'and', left: node, right: parseNot()};
+    }
+    return node;
+  };
+  var parseOr = function() {
+    var node = parseAnd();
+    while (isWord('or')) {
+      next += 1;
+      node = {op: 'or', left: node, right: parseAnd()};
+    }
+    return node;
+  };
+
+  var node = parseOr();
+  take('end');
+  return node;
+};
+
+/**
+ * Compare typed values `a` and `b`, returns `null` if either is missing or
+ * they are of different kinds, as Azure doesn't match such comparisons.
+ */
+var compareValues = function(a, b) {
+  if (!a || !b || a.kind !== b.kind) {
+    return null;
+  }
+  if (a.value === b.value) {
+    return 0;
+  }
+  return a.value < b.value ? -1 : 1;
+};
+
+/** Evaluate expression tree `node` for `entity` */
+var evaluate = function(node, entity) {
+  if (node.op === 'and') {
+    return evaluate(node.left, entity) && evaluate(node.right, entity);
+  }
+  if (node.op === 'or') {
+    return evaluate(node.left, entity) || evaluate(node.right, entity);
+  }
+  if (node.op === 'not') {
+    return !evaluate(node.operand, entity);
+  }
+  var operand = function(operand) {
+    if (operand.literal) {
+      return operand.literal;
+    }
+    return typedValue(entity[operand.property + '@odata.type'],
+                      entity[operand.property]);
+  };
+  var c = compareValues(operand(node.left), operand(node.right));
+  return c !== null && COMPARISONS[node.op](c);
+};
+
+/**
+ * Compile the `$filter` string `filter` to a function that given a raw entity
+ * returns true, if the entity matches the filter. Throws an error with code
+ * `'InvalidInput'`, if the filter can't be parsed.
+ */
+var compile = function(filter) {
+  var node = parse(filter);
+  return function(entity) {
+    return evaluate(node, entity);
+  };
+};
+
+exports.compile       = compile;
+exports.parse         = parse;
+exports.typedValue    = typedValue;
+exports.invalidFilter = invalidFilter;
@@ -0,0 +1,615 @@
+"use strict";
+
+/**
+ * SQLite backend, implementing the interface in backend.js, for single-node
+ * deployments without an Azure account. Tables are stored in a local SQLite
+ * file, using the `sqlite3` package, which must be installed by applications
+ * using this backend, as it isn't a dependency of this package.
+ *
+ * Entities are stored as JSON, and the typed value of each property is stored
+ * in a separate table, so the `$filter` strings given to Azure can be
+ * translated to SQL, see `odatafilter.js`. Operations on a file are serialized
+ * and mutations are made in transactions, so conditional updates and deletes
+ * work like on Azure.
+ */
+
+var _         = require('lodash');
+var assert    = require('assert');
+var path      = require('path');
+var slugid    = require('slugid');
+var Promise   = require('promise');
+var debug     = require('debug')('base:entity:sqlite');
+var odata     = require('./odatafilter');
+var sqlite3;  // lazy-loaded
+
+/** Statements creating the schema, if it doesn't exist */
+var SCHEMA = [
+  'CREATE TABLE IF NOT EXISTS tables (name TEXT PRIMARY KEY)',
+  'CREATE TABLE IF NOT EXISTS entities (' +
+  '  tableName TEXT NOT NULL, partitionKey TEXT NOT NULL,' +
+  '  rowKey TEXT NOT NULL, etag TEXT NOT NULL, entity TEXT NOT NULL,' +
+  '  PRIMARY KEY (tableName, partitionKey, rowKey)' +
+  ') WITHOUT ROWID',
+  // Values have no type affinity, so numbers and strings are kept as given
+  'CREATE TABLE IF NOT EXISTS properties (' +
+  '  tableName TEXT NOT NULL, partitionKey TEXT NOT NULL,' +
+  '  rowKey TEXT NOT NULL, name TEXT NOT NULL, kind TEXT NOT NULL, value,' +
+  '  PRIMARY KEY (tableName, partitionKey, rowKey, name)' +
+  ') WITHOUT ROWID',
+  'CREATE INDEX IF NOT EXISTS propertyValues' +
+  '  ON properties (tableName, name, kind, value)'
+];
+
+/** SQL operators for comparison operators in `$filter` strings */
+var OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  ge: '>=',
+  lt: '<',
+  le: '<='
+};
+
+/** Comparison operators with operands swapped */
+var SWAPPED = {
+  eq: 'eq',
+  ne: 'ne',
+  gt: 'lt',
+  ge: 'le',
+  lt: 'gt',
+  le: 'ge'
+};
+
+/* Internal utilities */
+
+var odataPrefix = /^odata\./;
+var odataSuffix = /@odata\.type$/;
+
+var makeError = function(statusCode, code) {
+  var err = new Error(code);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.name = code + "Error";
+  return err;
+};
+
+// pick the keys in `select` (and their type annotations) as well as metadata,
+// like Azure does for `$select`
+var selectProperties = function(entity, select) {
+  return _.pickBy(entity, function(v, k) {
+    return odataPrefix.test(k) || _.includes(select, k.replace(odataSuffix, ''));
+  });
+};
+
+/** Run `sql` with `params`, returns a promise for the number of changes */
+var run = function(db, sql, params) {
+  return new Promise(function(accept, reject) {
+    db.run(sql, params || [], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      accept(this.changes);
+    });
+  });
+};
+
+/** Run query `sql` with `params`, returns a promise for the first row */
+var get = function(db, sql, params) {
+  return Promise.denodeify(db.get.bind(db))(sql, params || []);
+};
+
+/** Run query `sql` with `params`, returns a promise for all rows */
+var all = function(db, sql, params) {
+  return Promise.denodeify(db.all.bind(db))(sql, params || []);
+};
+
+/** Run promises returned by `f(item, index)` for each item, one at a time */
+var sequence = function(items, f) {
+  return items.reduce(function(previous, item, index) {
+    return previous.then(function(results) {
+      return Promise.resolve(f(item, index)).then(function(result) {
+        return results.concat([result]);
+      });
+    });
+  }, Promise.resolve([]));
+};
+
+// databases by absolute file path, so that all backends using the same file
+// share the connection, and operations on it can be serialized
+var databases = {};
+
+/**
+ * Open the database in `file`, or return it if already open, as an object
+ * with the connection `db`, a promise that it is `ready`, and a `queue` of
+ * operations, see `exclusive`.
+ */
+var openDatabase = function(file) {
+  if (!sqlite3) {
+    try {
+      sqlite3 = require('sqlite3');
+    } catch (err) {
+      throw new Error("The sqlite3 package must be installed to use " +
+                      "SQLiteBackend: " + err.message);
+    }
+  }
+  if (file !== ':memory:') {
+    file = path.resolve(file);
+  }
+  if (!databases[file]) {
+    var database = {file: file, db: null, queue: Promise.resolve()};
+    database.ready = new Promise(function(accept, reject) {
+      debug("opening %s", file);
+      database.db = new sqlite3.Database(file, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        accept();
+      });
+    }).then(function() {
+      return sequence(SCHEMA, function(sql) {
+        return run(database.db, sql);
+      });
+    });
+    databases[file] = database;
+  }
+  return databases[file];
+};
+
+/**
+ * Call `f(db)` when the database is ready and previous operations are done,
+ * returns a promise for the result of `f`.
+ */
+var exclusive = function(database, f) {
+  var result = database.queue.then(function() {
+    return database.ready;
+  }).then(function() {
+    return f(database.db);
+  });
+  database.queue = result.catch(function() {});
+  return result;
+};
+
+/** Call `f(db)` in a transaction, which is rolled back if `f` fails */
+var transaction = function(database, f) {
+  return exclusive(database, function(db) {
+    return run(db, 'BEGIN IMMEDIATE').then(function() {
+      return f(db);
+    }).then(function(result) {
+      return run(db, 'COMMIT').then(function() {
+        return result;
+      });
+    }, function(err) {
+      return run(db, 'ROLLBACK').then(function() {
+        throw err;
+      });
+    });
+  });
+};
+
+/**
+ * Translate the `$filter` string `filter` to an SQL condition on the form
+ * `{sql, params}` on entities `e`. Comparisons of a property and a value are
+ * supported, which is all that entity types produce.
+ */
+var compileFilter = function(filter) {
+  var translate = function(node) {
+    if (node.op === 'and' || node.op === 'or') {
+      var left  = translate(node.left);
+      var right = translate(node.right);
+      return {
+        sql:    '(' + left.sql + ' ' + node.op.toUpperCase() + ' ' +
+                right.sql + ')',
+        params: left.params.concat(right.params)
+      };
+    }
+    if (node.op === 'not') {
+      var operand = translate(node.operand);
+      return {sql: '(NOT ' + operand.sql + ')', params: operand.params};
+    }
+    var op        = node.op;
+    var property  = node.left.property;
+    var literal   = node.right.literal;
+    if (node.left.literal && node.right.property) {
+      op        = SWAPPED[op];
+      property  = node.right.property;
+      literal   = node.left.literal;
+    }
+    if (property === undefined || literal === undefined) {
+      throw odata.invalidFilter(filter, "only comparisons of a property " +
+                                        "and a value are supported");
+    }
+    if (property === 'PartitionKey' || property === 'RowKey') {
+      // Like Azure, keys never match values of other types
+      if (literal.kind !== 'string') {
+        return {sql: '0', params: []};
+      }
+      var column = property === 'PartitionKey' ? 'partitionKey' : 'rowKey';
+      return {
+        sql:    'e.' + column + ' ' + OPERATORS[op] + ' ?',
+        params: [literal.value]
+      };
+    }
+    // Like Azure, missing properties and values of other types never match
+    return {
+      sql:    'EXISTS (SELECT 1 FROM properties p WHERE ' +
+              'p.tableName = e.tableName AND ' +
+              'p.partitionKey = e.partitionKey AND p.rowKey = e.rowKey AND ' +
+              'p.name = ? AND p.kind = ? AND p.value ' + OPERATORS[op] + ' ?)',
+      params: [property, literal.kind, literal.value]
+    };
+  };
+  return translate(odata.parse(filter));
+};
+
+/* Operations on the data of a table, for use in transactions */
+
+var assertTable = function(db, table) {
+  return get(db, 'SELECT name FROM tables WHERE name = ?', [
+    table
+  ]).then(function(row) {
+    if (!row) {
+      throw makeError(404, 'ResourceNotFound');
+    }
+  });
+};
+
+var rowToEntity = function(row) {
+  var entity = JSON.parse(row.entity);
+  entity['odata.etag'] = row.etag;
+  return entity;
+};
+
+var readEntity = function(db, table, partitionKey, rowKey) {
+  return get(db, 'SELECT etag, entity FROM entities WHERE tableName = ? ' +
+                 'AND partitionKey = ? AND rowKey = ?', [
+    table, partitionKey, rowKey
+  ]).then(function(row) {
+    return row ? rowToEntity(row) : null;
+  });
+};
+
+/** Write `entity` with a new timestamp, returns a promise for the new eTag */
+var writeEntity = function(db, table, entity) {
+  entity = _.omitBy(entity, function(v, k) {
+    return odataPrefix.test(k);
+  });
+  entity['Timestamp'] = new Date().toJSON();
+  entity['Timestamp@odata.type'] = 'Edm.DateTime';
+  var eTag = 'W/"' + slugid.v4() + '"';
+  var key = [table, entity.PartitionKey, entity.RowKey];
+
+  // Typed values of properties, for use in filters
+  var properties = [];
+  _.forIn(entity, function(value, name) {
+    if (odataSuffix.test(name) || name === 'PartitionKey' ||
+        name === 'RowKey') {
+      return;
+    }
+    var typed = odata.typedValue(entity[name + '@odata.type'], value);
+    if (typed) {
+      properties.push([name, typed.kind, typed.value]);
+    }
+  });
+
+  return run(db, 'INSERT OR REPLACE INTO entities ' +
+                 '(tableName, partitionKey, rowKey, etag, entity) ' +
+                 'VALUES (?, ?, ?, ?, ?)',
+             key.concat([eTag, JSON.stringify(entity)])).then(function() {
+    return run(db, 'DELETE FROM properties WHERE tableName = ? ' +
+                   'AND partitionKey = ? AND rowKey = ?', key);
+  }).then(function() {
+    return sequence(properties, function(property) {
+      return run(db, 'INSERT INTO properties ' +
+                     '(tableName, partitionKey, rowKey, name, kind, value) ' +
+                     'VALUES (?, ?, ?, ?, ?, ?)', key.concat(property));
+    });
+  }).then(function() {
+    return eTag;
+  });
+};
+
+var insertEntity = function(db, table, entity) {
+  return assertTable(db, table).then(function() {
+    return readEntity(db, table, entity.PartitionKey, entity.RowKey);
+  }).then(function(existing) {
+    if (existing) {
+      throw makeError(409, 'EntityAlreadyExists');
+    }
+    return writeEntity(db, table, entity);
+  });
+};
+
+var updateEntity = function(db, table, entity, options) {
+  return assertTable(db, table).then(function() {
+    return readEntity(db, table, entity.PartitionKey, entity.RowKey);
+  }).then(function(existing) {
+    if (!existing) {
+      // Like Azure, any eTag (including '*') requires the entity to exist
+      if (options.eTag) {
+        throw makeError(404, 'ResourceNotFound');
+      }
+      return writeEntity(db, table, entity);
+    }
+    if (options.eTag && options.eTag !== '*' &&
+        options.eTag !== existing['odata.etag']) {
+      throw makeError(412, 'UpdateConditionNotSatisfied');
+    }
+    if (options.mode === 'merge') {
+      // Properties given replace existing values, including their types
+      var merged = _.omit(existing, _.keys(entity).map(function(name) {
+        return name + '@odata.type';
+      }));
+      entity = _.assign(merged, entity);
+    }
+    return writeEntity(db, table, entity);
+  });
+};
+
+var deleteEntity = function(db, table, partitionKey, rowKey, options) {
+  var key = [table, partitionKey, rowKey];
+  return assertTable(db, table).then(function() {
+    return readEntity(db, table, partitionKey, rowKey);
+  }).then(function(existing) {
+    if (!existing) {
+      throw makeError(404, 'ResourceNotFound');
+    }
+    if (options.eTag !== '*' && options.eTag !== existing['odata.etag']) {
+      throw makeError(412, 'UpdateConditionNotSatisfied');
+    }
+    return run(db, 'DELETE FROM entities WHERE tableName = ? ' +
+                   'AND partitionKey = ? AND rowKey = ?', key);
+  }).then(function() {
+    return run(db, 'DELETE FROM properties WHERE tableName = ? ' +
+                   'AND partitionKey = ? AND rowKey = ?', key);
+  }).then(function() {
+    return undefined;
+  });
+};
+
+/**
+ * Create a backend for `table` stored in a SQLite file, with options on the
+ * form:
+ * ```js
+ * {
+ *   file:     './data/entities.sqlite'  // SQLite file to store tables in
+ * }
+ * ```
+ *
+ * The file is created if it doesn't exist, and backends using the same file
+ * share the connection to it. Only one process should use the file at a time.
+ */
+var SQLiteBackend = function SQLiteBackend(table, options) {
+  options = options || {};
+  assert(typeof(table) === 'string', "table must be a string");
+  assert(typeof(options.file) === 'string',
+         "options.file must be the path of a SQLite file");
+  this.table = table;
+  this.database = openDatabase(options.file);
+};
+
+/**
+ * Create table.
+ *
+ * @method createTable
+ * @return {Promise} A promise that the table was created.
+ */
+SQLiteBackend.prototype.createTable = function() {
+  var table = this.table;
+  return transaction(this.database, function(db) {
+    return get(db, 'SELECT name FROM tables WHERE name = ?', [
+      table
+    ]).then(function(row) {
+      if (row) {
+        throw makeError(409, 'TableAlreadyExists');
+      }
+      return run(db, 'INSERT INTO tables (name) VALUES (?)', [table]);
+    }).then(function() {
+      return undefined;
+    });
+  });
+};
+
+/**
+ * Delete table and all entities in it.
+ *
+ * @method deleteTable
+ * @return {Promise} A promise that the table was deleted.
+ */
+SQLiteBackend.prototype.deleteTable = function() {
+  var table = this.table;
+  return transaction(this.database, function(db) {
+    return assertTable(db, table).then(function() {
+      return sequence(['entities', 'properties'], function(name) {
+        return run(db, 'DELETE FROM ' + name + ' WHERE tableName = ?', [
+          table
+        ]);
+      });
+    }).then(function() {
+      return run(db, 'DELETE FROM tables WHERE name = ?', [table]);
+    }).then(function() {
+      return undefined;
+    });
+  });
+};
+
+/**
+ * Get entity with given `partitionKey` and `rowKey`, see
+ * `InMemoryWrapper.prototype.getEntity` for details.
+ *
+ * @method getEntity
+ * @return {Promise} A promise for the entity.
+ */
+SQLiteBackend.prototype.getEntity = function(partitionKey, rowKey, options) {
+  options = options || {};
+  var table = this.table;
+  return exclusive(this.database, function(db) {
+    return assertTable(db, table).then(function() {
+      return readEntity(db, table, partitionKey, rowKey);
+    });
+  }).then(function(entity) {
+    if (!entity) {
+      throw makeError(404, 'ResourceNotFound');
+    }
+    if (options.select) {
+      entity = selectProperties(entity, options.select);
+    }
+    return entity;
+  });
+};
+
+/**
+ * Query entities ordered by `PartitionKey` and `RowKey`, at most 1000 at a
+ * time, see `InMemoryWrapper.prototype.queryEntities` for details.
+ *
+ * @method queryEntities
+ * @return {Promise} A promise for an object on the form:
+ * `{entities, nextPartitionKey, nextRowKey}`.
+ */
+SQLiteBackend.prototype.queryEntities = function(options) {
+  options = options || {};
+  var table = this.table;
+  var top = Math.min(options.top || 1000, 1000);
+  var conditions = ['e.tableName = ?'];
+  var params = [table];
+  if (options.filter) {
+    try {
+      var filter = compileFilter(options.filter);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    conditions.push(filter.sql);
+    params = params.concat(filter.params);
+  }
+  if (options.nextPartitionKey !== undefined ||
+      options.nextRowKey !== undefined) {
+    conditions.push('(e.partitionKey > ? OR ' +
+                    '(e.partitionKey = ? AND e.rowKey >= ?))');
+    params.push(options.nextPartitionKey, options.nextPartitionKey,
+                options.nextRowKey);
+  }
+  var sql = 'SELECT e.etag, e.entity FROM entities e WHERE ' +
+            conditions.join(' AND ') +
+            ' ORDER BY e.partitionKey, e.rowKey LIMIT ?';
+  debug("query: %s", sql);
+
+  return exclusive(this.database, function(db) {
+    return assertTable(db, table).then(function() {
+      // Fetch one more entity than needed, to find the continuation
+      return all(db, sql, params.concat([top + 1]));
+    });
+  }).then(function(rows) {
+    var entities = rows.map(rowToEntity);
+    var next = entities[top];
+    entities = entities.slice(0, top);
+    if (options.select) {
+      entities = entities.map(function(entity) {
+        return selectProperties(entity, options.select);
+      });
+    }
+    return {
+      entities:         entities,
+      nextPartitionKey: next ? next.PartitionKey : undefined,
+      nextRowKey:       next ? next.RowKey : undefined
+    };
+  });
+};
+
+/**
+ * Insert `entity`, see `InMemoryWrapper.prototype.insertEntity` for details.
+ *
+ * @method insertEntity
+ * @return {Promise} A promise for the `etag` of the inserted entity.
+ */
+SQLiteBackend.prototype.insertEntity = function(entity) {
+  var table = this.table;
+  return transaction(this.database, function(db) {
+    return insertEntity(db, table, entity);
+  });
+};
+
+/**
+ * Update entity identified by `entity.partitionKey` and `entity.rowKey`, with
+ * options `{mode, eTag}`, see `InMemoryWrapper.prototype.updateEntity` for
+ * details.
+ *
+ * @method updateEntity
+ * @return {Promise} A promise for `eTag` of the modified entity.
+ */
+SQLiteBackend.prototype.updateEntity = function(entity, options) {
+  var table = this.table;
+  return transaction(this.database, function(db) {
+    return updateEntity(db, table, entity, options);
+  });
+};
+
+/**
+ * Delete entity identified by `partitionKey` and `rowKey`, with options
+ * `{eTag}`, see `InMemoryWrapper.prototype.deleteEntity` for details.
+ *
+ * @method deleteEntity
+ * @returns {Promise} A promise that the entity was deleted.
+ */
+SQLiteBackend.prototype.deleteEntity = function(partitionKey, rowKey,
+                                                options) {
+  var table = this.table;
+  return transaction(this.database, function(db) {
+    return deleteEntity(db, table, partitionKey, rowKey, options);
+  });
+};
+
+/**
+ * Submit a list of operations in a transaction, see
+ * `InMemoryWrapper.prototype.batch` for details.
+ *
+ * @method batch
+ * @return {Promise} A promise for a list of `eTag`s, one for each operation,
+ * `undefined` for deletions.
+ */
+SQLiteBackend.prototype.batch = function(operations) {
+  var table = this.table;
+  return transaction(this.database, function(db) {
+    return assertTable(db, table).then(function() {
+      return sequence(operations, function(operation, index) {
+        return Promise.resolve().then(function() {
+          if (operation.op === 'insert') {
+            return insertEntity(db, table, operation.entity);
+          }
+          if (operation.op === 'update') {
+            return updateEntity(db, table, operation.entity, operation);
+          }
+          if (operation.op === 'delete') {
+            return deleteEntity(db, table, operation.partitionKey,
+                                operation.rowKey, operation);
+          }
+          throw new Error("Unknown batch operation: " + operation.op);
+        }).catch(function(err) {
+          err.operationIndex = index;
+          throw err;
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Close the SQLite file, after pending operations are done. This closes it for
+ * all backends using the file, later backends for the file open it again.
+ *
+ * @method close
+ * @return {Promise} A promise that the file was closed.
+ */
+SQLiteBackend.prototype.close = function() {
+  var database = this.database;
+  if (!database.closed) {
+    if (databases[database.file] === database) {
+      delete databases[database.file];
+    }
+    database.closed = exclusive(database, function(db) {
+      debug("closing %s", database.file);
+      return Promise.denodeify(db.close.bind(db))();
+    });
+  }
+  return database.closed;
+};
+
+exports.SQLiteBackend = SQLiteBackend;
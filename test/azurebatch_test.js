@@ -0,0 +1,165 @@
+var azurebatch  = require("../lib/azurebatch");
+var assert      = require('assert');
+var _           = require('lodash');
+var debug       = require('debug')('test:entity:azurebatch');
+
+// Responses from the $batch end-point, as recorded from Azure
+var SUCCESS_RESPONSE = [
+  '--batchresponse_4c637ba4-b2e8-40f8-8d1c-9fd8e0c2b9f3',
+  'Content-Type: multipart/mixed; boundary=changesetresponse_5e6d58cd',
+  '',
+  '--changesetresponse_5e6d58cd',
+  'Content-Type: application/http',
+  'Content-Transfer-Encoding: binary',
+  '',
+  'HTTP/1.1 204 No Content',
+  'X-Content-Type-Options: nosniff',
+  'Cache-Control: no-cache',
+  'Preference-Applied: return-no-content',
+  'DataServiceVersion: 3.0;',
+  'Location: https://myaccount.table.core.windows.net/items(PartitionKey=\'my-id\',RowKey=\'item1\')',
+  'ETag: W/"datetime\'2016-09-26T21%3A47%3A33.1493582Z\'"',
+  '',
+  '',
+  '--changesetresponse_5e6d58cd',
+  'Content-Type: application/http',
+  'Content-Transfer-Encoding: binary',
+  '',
+  'HTTP/1.1 204 No Content',
+  'X-Content-Type-Options: nosniff',
+  'Cache-Control: no-cache',
+  'DataServiceVersion: 1.0;',
+  '',
+  '',
+  '--changesetresponse_5e6d58cd--',
+  '--batchresponse_4c637ba4-b2e8-40f8-8d1c-9fd8e0c2b9f3--',
+  ''
+].join('\r\n');
+
+// Failed response, with and without index prefix in the message
+var failureResponse = function(message) {
+  return [
+    '--batchresponse_0cc4d70b-fcb9-4f02-9b1a-0d5a5a1d0b1e',
+    'Content-Type: multipart/mixed; boundary=changesetresponse_9c2f1a3b',
+    '',
+    '--changesetresponse_9c2f1a3b',
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    '',
+    'HTTP/1.1 409 Conflict',
+    'X-Content-Type-Options: nosniff',
+    'Cache-Control: no-cache',
+    'DataServiceVersion: 3.0;',
+    'Content-Type: application/json;odata=nometadata;streaming=true;charset=utf-8',
+    '',
+    JSON.stringify({'odata.error': {
+      code:     'EntityAlreadyExists',
+      message:  {lang: 'en-US', value: message}
+    }}),
+    '--changesetresponse_9c2f1a3b--',
+    '--batchresponse_0cc4d70b-fcb9-4f02-9b1a-0d5a5a1d0b1e--',
+    ''
+  ].join('\r\n');
+};
+
+var MESSAGE = 'The specified entity already exists.\n' +
+              'RequestId:5c1d8a9e-0002-0040-5a2b-0d5c5a000000\n' +
+              'Time:2016-09-26T21:47:33.1493582Z';
+
+// Operations the responses above are for
+var operations = [
+  {op: 'insert', entity: {PartitionKey: 'my-id', RowKey: 'item1', count: 1}},
+  {op: 'delete', partitionKey: 'my-id', rowKey: 'item2', eTag: '*'}
+];
+
+suite("Entity (Azure batch)", function() {
+  test("renderBatch", function() {
+    var data = azurebatch.renderBatch(
+      'https://myaccount.table.core.windows.net', 'items', [
+        operations[0],
+        {op: 'update', mode: 'merge', eTag: 'W/"etag"', entity: {
+          PartitionKey: 'my-id', RowKey: 'it\'em', count: 2
+        }},
+        operations[1]
+      ], 'batch_1', 'changeset_1'
+    );
+    debug("batch: %s", data);
+    var lines = data.split('\r\n');
+    assert(lines[0] === '--batch_1');
+    assert(lines[1] === 'Content-Type: multipart/mixed; boundary=changeset_1');
+    assert(_.filter(lines, function(line) {
+      return line === '--changeset_1';
+    }).length === 3);
+    assert(_.includes(lines, 'POST https://myaccount.table.core.windows.net' +
+                             '/items HTTP/1.1'));
+    assert(_.includes(lines, JSON.stringify(operations[0].entity)));
+    assert(_.includes(lines, 'MERGE https://myaccount.table.core.windows.net' +
+                             '/items(PartitionKey=\'my-id\',' +
+                             'RowKey=\'it\'\'em\') HTTP/1.1'));
+    assert(_.includes(lines, 'If-Match: W/"etag"'));
+    assert(_.includes(lines, 'DELETE https://myaccount.table.core.windows.net' +
+                             '/items(PartitionKey=\'my-id\',' +
+                             'RowKey=\'item2\') HTTP/1.1'));
+    assert(_.includes(lines, 'If-Match: *'));
+    assert(_.takeRight(lines, 3).join() === '--changeset_1--,--batch_1--,');
+  });
+
+  test("parseResponses (success)", function() {
+    var responses = azurebatch.parseResponses(SUCCESS_RESPONSE);
+    assert(responses.length === 2);
+    assert(responses[0].statusCode === 204);
+    assert(responses[0].headers['etag'] ===
+           'W/"datetime\'2016-09-26T21%3A47%3A33.1493582Z\'"');
+    assert(responses[0].body === '');
+    assert(responses[1].statusCode === 204);
+    assert(responses[1].headers['dataserviceversion'] === '1.0;');
+  });
+
+  test("parseResponses (failure)", function() {
+    var responses = azurebatch.parseResponses(failureResponse('1:' + MESSAGE));
+    assert(responses.length === 1);
+    assert(responses[0].statusCode === 409);
+    var body = JSON.parse(responses[0].body);
+    assert(body['odata.error'].code === 'EntityAlreadyExists');
+  });
+
+  test("makeError (with index)", function() {
+    var responses = azurebatch.parseResponses(failureResponse('1:' + MESSAGE));
+    var err = azurebatch.makeError(responses[0], operations);
+    assert(err.code === 'EntityAlreadyExists');
+    assert(err.name === 'EntityAlreadyExistsError');
+    assert(err.statusCode === 409);
+    assert(err.message === '1:' + MESSAGE);
+    assert(err.operationIndex === 1);
+  });
+
+  test("makeError (without index)", function() {
+    var responses = azurebatch.parseResponses(failureResponse(MESSAGE));
+    var err = azurebatch.makeError(responses[0], operations);
+    assert(err.code === 'EntityAlreadyExists');
+    assert(err.operationIndex === undefined);
+  });
+
+  test("makeError (without index, single operation)", function() {
+    var responses = azurebatch.parseResponses(failureResponse(MESSAGE));
+    var err = azurebatch.makeError(responses[0], operations.slice(0, 1));
+    assert(err.operationIndex === 0);
+  });
+
+  test("makeError (index out of range)", function() {
+    var responses = azurebatch.parseResponses(failureResponse('5:' + MESSAGE));
+    var err = azurebatch.makeError(responses[0], operations);
+    assert(err.operationIndex === undefined);
+  });
+
+  test("makeError (without JSON body)", function() {
+    var err = azurebatch.makeError({
+      statusCode: 400,
+      body:       'Bad Request'
+    }, []);
+    assert(err.code === 'InternalErrorWithoutCode');
+    assert(err.statusCode === 400);
+    assert(/Bad Request/.test(err.message));
+    assert(err.operationIndex === undefined);
+  });
+});
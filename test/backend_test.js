@@ -0,0 +1,169 @@
+var subject     = require("../lib/entity")
+var backend     = require("../lib/backend");
+var conformance = require("../lib/conformance");
+var inmemory    = require("../lib/inmemory");
+var entityfilters = require("../lib/entityfilters");
+var assert      = require('assert');
+var _           = require('lodash');
+var Promise     = require('promise');
+var debug       = require('debug')('test:entity:backend');
+var helper      = require('./helper');
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  }
+});
+
+helper.contextualSuites("Entity (backend)", [
+  {
+    context: "Azure",
+    options: function() {
+      return {
+        createBackend: function(table) {
+          return ItemV1.setup({
+            credentials:  helper.cfg.azure,
+            table:        table
+          }).prototype.__aux;
+        }
+      };
+    }
+  }, {
+    context: "In-Memory",
+    options: function() {
+      var store = new subject.InMemoryStore();
+      return {
+        createBackend: function(table) {
+          return new inmemory.InMemoryWrapper(table, {store: store});
+        }
+      };
+    }
+  }
+], function(context, options) {
+  conformance.suite(context, options.createBackend);
+});
+
+suite("Entity (custom backend)", function() {
+  var calls = null;
+  var failures = null;
+
+  // Backend recording calls to an in-memory table, and failing calls to
+  // methods in `failures` with the error given
+  var makeBackend = function(methods) {
+    var wrapper = new inmemory.InMemoryWrapper('customItems', {
+      store: new subject.InMemoryStore()
+    });
+    return _.fromPairs(methods.map(function(method) {
+      return [method, function() {
+        calls.push(method);
+        if (failures[method]) {
+          var err = failures[method];
+          delete failures[method];
+          return Promise.reject(err);
+        }
+        return wrapper[method].apply(wrapper, arguments);
+      }];
+    }));
+  };
+
+  var setupItem = function(tableBackend, options) {
+    var Item = ItemV1.setup(_.defaults({
+      table:    'customItems',
+      backend:  tableBackend
+    }, options));
+    return Item.ensureTable().then(function() {
+      return Item;
+    });
+  };
+
+  setup(function() {
+    calls = [];
+    failures = {};
+  });
+
+  test("Item.create, Item.load, item.modify, Item.query", async function() {
+    var Item = await setupItem(makeBackend(backend.METHODS.concat('batch')));
+    var item = await Item.create({id: 'my-id', name: 'my-name', count: 1});
+    await Item.create({id: 'my-id', name: 'other-name', count: 2});
+    await item.modify(function() { this.count += 1; });
+    item = await Item.load({id: 'my-id', name: 'my-name'});
+    assert(item.count === 2);
+    var data = await Item.query({id: 'my-id', count: subject.op.lt(3)});
+    assert(_.map(data.entries, 'name').join() === 'my-name,other-name');
+    await Item.batch().remove({id: 'my-id', name: 'other-name'}).commit();
+    debug("calls: %j", calls);
+    assert(_.isEqual(_.uniq(calls).sort(), [
+      'batch',
+      'createTable',
+      'getEntity',
+      'insertEntity',
+      'queryEntities',
+      'updateEntity'
+    ]));
+  });
+
+  test("filterBuilder from backend is used", async function() {
+    var tableBackend = makeBackend(backend.METHODS);
+    var filters = [];
+    tableBackend.filterBuilder = function(filter, type, op) {
+      filter = entityfilters.appendFilter(filter, type, op);
+      filters.push(filter);
+      return filter;
+    };
+    var Item = await setupItem(tableBackend);
+    await Item.create({id: 'my-id', name: 'my-name', count: 1});
+    var data = await Item.query({id: 'my-id', count: 1});
+    assert(data.entries.length === 1);
+    assert(_.last(filters) === "PartitionKey eq 'my-id' and count eq 1");
+  });
+
+  test("Item.batch with backend without batch", async function() {
+    var Item = await setupItem(makeBackend(backend.METHODS));
+    try {
+      await Item.batch().create({id: 'my-id', name: 'my-name', count: 1})
+        .commit();
+    } catch (err) {
+      assert(err.code === 'NotImplemented');
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("retry policy applies to backend", async function() {
+    var Item = await setupItem(makeBackend(backend.METHODS), {
+      retry: {delayFactor: 1}
+    });
+    await Item.create({id: 'my-id', name: 'my-name', count: 1});
+    var err = new Error("Injected failure");
+    err.code = 'ServerBusy';
+    err.statusCode = 503;
+    failures.getEntity = err;
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    assert(item.count === 1);
+    assert(_.filter(calls, _.matches('getEntity')).length === 2);
+  });
+
+  test("ItemV1.setup (backend missing a method)", function() {
+    assert.throws(function() {
+      ItemV1.setup({
+        table:    'customItems',
+        backend:  makeBackend(_.without(backend.METHODS, 'getEntity'))
+      });
+    }, /getEntity/);
+  });
+
+  test("ItemV1.setup (backend with credentials)", function() {
+    assert.throws(function() {
+      ItemV1.setup({
+        table:        'customItems',
+        credentials:  {accountName: 'x', accountKey: 'YWJj'},
+        backend:      makeBackend(backend.METHODS)
+      });
+    }, /backend/);
+  });
+});
@@ -0,0 +1,155 @@
+var subject = require("../lib/entity")
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var Promise = require('promise');
+var debug   = require('debug')('test:entity:batch');
+var helper  = require('./helper');
+
+var Item = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  }
+});
+
+helper.contextualSuites("Entity (batch)", helper.makeContexts(Item),
+function(context, options) {
+  var Item = options.Item;
+
+  setup(function() {
+    return Item.ensureTable();
+  });
+
+  test("Item.batch().create", function() {
+    var id = slugid.v4();
+    return Item.batch()
+      .create({id: id, name: 'item1', count: 1})
+      .create({id: id, name: 'item2', count: 2})
+      .commit()
+    .then(function(results) {
+      assert(results.length === 2);
+      assert(results[0] instanceof Item);
+      assert(results[0].name === 'item1');
+      assert(results[1].count === 2);
+      return Item.load({id: id, name: 'item2'});
+    }).then(function(item) {
+      assert(item.count === 2);
+    });
+  });
+
+  test("Item.batch() with create, modify, replace and remove", function() {
+    var id = slugid.v4();
+    var item1, item2, item3;
+    return Promise.all([
+      Item.create({id: id, name: 'item1', count: 1}),
+      Item.create({id: id, name: 'item2', count: 2}),
+      Item.create({id: id, name: 'item3', count: 3})
+    ]).then(function(items) {
+      item1 = items[0];
+      item2 = items[1];
+      item3 = items[2];
+      return Item.batch()
+        .modify(item1, function() {
+          this.count += 10;
+        })
+        .replace(item2, {id: id, name: 'item2', count: 20})
+        .remove(item3)
+        .create({id: id, name: 'item4', count: 4}, true)
+        .commit();
+    }).then(function(results) {
+      assert(results[0] === item1);
+      assert(item1.count === 11);
+      assert(results[1] === item2);
+      assert(item2.count === 20);
+      assert(results[2] === undefined);
+      assert(results[3].count === 4);
+      return Item.query({id: id});
+    }).then(function(data) {
+      var counts = data.entries.map(function(item) { return item.count; });
+      assert.deepEqual(counts.sort(), [11, 20, 4]);
+    }).then(function() {
+      // item1 has the new etag, so it can be modified again
+      return item1.modify(function() {
+        this.count += 1;
+      });
+    }).then(function() {
+      assert(item1.count === 12);
+    });
+  });
+
+  test("Item.batch() is all-or-nothing", function() {
+    var id = slugid.v4();
+    return Item.create({
+      id: id, name: 'item1', count: 1
+    }).then(function() {
+      return Item.batch()
+        .create({id: id, name: 'item2', count: 2})
+        .create({id: id, name: 'item1', count: 1})
+        .commit();
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'EntityAlreadyExists');
+      assert(err.batchIndex === 1);
+      assert(err.batchOperation === 'create');
+      return Item.load({id: id, name: 'item2'}, true);
+    }).then(function(item) {
+      assert(item === null, "Expected item2 not to be created");
+    });
+  });
+
+  test("Item.batch().modify fails if item was modified", function() {
+    var id = slugid.v4();
+    var item;
+    return Item.create({
+      id: id, name: 'item1', count: 1
+    }).then(function(item_) {
+      item = item_;
+      return Item.load({id: id, name: 'item1'});
+    }).then(function(other) {
+      return other.modify(function() {
+        this.count = 42;
+      });
+    }).then(function() {
+      return Item.batch()
+        .create({id: id, name: 'item2', count: 2})
+        .modify(item, function() {
+          this.count += 1;
+        })
+        .commit();
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'UpdateConditionNotSatisfied');
+      assert(err.batchIndex === 1);
+      assert(err.batchOperation === 'modify');
+      // State is restored
+      assert(item.count === 1);
+      return Item.load({id: id, name: 'item1'});
+    }).then(function(item) {
+      assert(item.count === 42);
+    });
+  });
+
+  test("Item.batch() requires same partitionKey", function() {
+    assert.throws(function() {
+      Item.batch()
+        .create({id: slugid.v4(), name: 'item1', count: 1})
+        .create({id: slugid.v4(), name: 'item1', count: 1});
+    }, /same partitionKey/);
+  });
+
+  test("Item.batch() can't have same entity twice", function() {
+    var id = slugid.v4();
+    assert.throws(function() {
+      Item.batch()
+        .create({id: id, name: 'item1', count: 1})
+        .remove({id: id, name: 'item1'});
+    }, /more than one operation/);
+  });
+});
@@ -79,4 +79,54 @@ function(context, options) {
       });
     });
   });
+
+  test("Item.query with matchRow: 'partial'", function() {
+    var id = slugid.v4();
+    return Promise.all([
+      Item.create({id: id, data: 42, text1: "a",   text2: "x"}),
+      Item.create({id: id, data: 42, text1: "a",   text2: "y"}),
+      Item.create({id: id, data: 42, text1: "a~b", text2: "z"}),
+      Item.create({id: id, data: 42, text1: "ab",  text2: "w"}),
+      Item.create({id: id, data: 42, text1: "",    text2: "v"})
+    ]).then(function() {
+      return Item.query({id: id, data: 42, text1: "a"}, {
+        matchRow: 'partial'
+      });
+    }).then(function(data) {
+      var text2 = data.entries.map(function(item) { return item.text2; });
+      assert.deepEqual(text2.sort(), ["x", "y"]);
+    }).then(function() {
+      return Item.query({
+        id:     id,
+        data:   42,
+        text1:  "a",
+        text2:  subject.op.notEqual("x")
+      }, {
+        matchRow: 'partial'
+      });
+    }).then(function(data) {
+      assert.equal(data.entries.length, 1);
+      assert.equal(data.entries[0].text2, "y");
+    }).then(function() {
+      return Item.query({id: id, data: 42, text1: "", text2: "v"}, {
+        matchRow: 'partial'
+      });
+    }).then(function(data) {
+      assert.equal(data.entries.length, 1);
+      assert.equal(data.entries[0].text1, "");
+    });
+  });
+
+  test("Item.query with matchRow: 'partial' requires first key", function() {
+    return Promise.resolve().then(function() {
+      return Item.query({id: slugid.v4(), data: 42, text2: "x"}, {
+        matchRow: 'partial'
+      });
+    }).then(function() {
+      assert(false, "Expected an error!");
+    }, function(err) {
+      debug("Catched Expected error")
+      assert(err);
+    });
+  });
 });
@@ -0,0 +1,120 @@
+var subject = require("../lib/entity")
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var Promise = require('promise');
+var zlib    = require('zlib');
+var helper  = require('./helper');
+
+var Item = subject.configure({
+  version:          1,
+  signEntities:     true,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    text:           subject.types.CompressedText,
+    json:           subject.types.EncryptedCompressedJSON
+  }
+});
+
+helper.contextualSuites("Entity (CompressedTypes)", helper.makeContexts(Item, {
+  signingKey:   'no-way-you-can-guess-this',
+  cryptoKey:    'CNcj2aOozdo7Pn+HEkAIixwninIwKnbYc6JPS9mNxZk='
+}), function(context, options) {
+  var Item = options.Item;
+
+  setup(function() {
+    return Item.ensureTable();
+  });
+
+  // Construct a large string, that compresses well
+  var largeString = function(kbytes) {
+    var s = "abcefsfcccsrcsdfsdfsfrfdefdwedwiedowijdwoeidnwoifneoifnweodnwoid";
+    s = s + s; // 128
+    s = s + s; // 256
+    s = s + s; // 512
+    s = s + s; // 1024
+    var arr = [];
+    for(var i = 0; i < kbytes; i++) {
+      arr.push(s);
+    }
+    return arr.join('');
+  };
+
+  test("large text and JSON (1024k)", function() {
+    var id    = slugid.v4();
+    var text  = largeString(1024);
+    var json  = {text: text, list: _.range(1000)};
+    return Item.create({
+      id:     id,
+      name:   'my-test-item',
+      text:   text,
+      json:   json
+    }).then(function(itemA) {
+      return Item.load({
+        id:     id,
+        name:   'my-test-item'
+      }).then(function(itemB) {
+        assert(itemB.text === text);
+        assert(_.isEqual(itemB.json, json));
+        assert(itemA._etag === itemB._etag);
+      });
+    });
+  });
+
+  test("codec is stored in the row", function() {
+    var id    = slugid.v4();
+    return Item.create({
+      id:     id,
+      name:   'my-test-item',
+      text:   'Hello World',
+      json:   {hello: 'world'}
+    }).then(function() {
+      return Item.prototype.__aux.getEntity(id, 'my-test-item');
+    }).then(function(entity) {
+      assert(entity.__codec_text === 'gzip');
+      assert(entity.__codec_json === 'gzip');
+    });
+  });
+
+  test("read values with another codec (signature still valid)", function() {
+    var id    = slugid.v4();
+    var text  = largeString(16);
+    return Item.create({
+      id:     id,
+      name:   'my-test-item',
+      text:   text,
+      json:   {hello: 'world'}
+    }).then(function() {
+      // Rewrite the text value with deflate, keeping the signature
+      var data = zlib.deflateSync(new Buffer(text, 'utf8'));
+      return Item.prototype.__aux.updateEntity({
+        PartitionKey:             id,
+        RowKey:                   'my-test-item',
+        '__buf0_text@odata.type': 'Edm.Binary',
+        '__buf0_text':            data.toString('base64'),
+        '__bufchunks_text':       1,
+        '__codec_text':           'deflate'
+      }, {
+        mode:   'merge',
+        eTag:   '*'
+      });
+    }).then(function() {
+      return Item.load({
+        id:     id,
+        name:   'my-test-item'
+      });
+    }).then(function(item) {
+      assert(item.text === text);
+      return item.modify(function() {
+        this.text = 'Hello World';
+      });
+    }).then(function() {
+      return Item.prototype.__aux.getEntity(id, 'my-test-item');
+    }).then(function(entity) {
+      assert(entity.__codec_text === 'gzip');
+    });
+  });
+});
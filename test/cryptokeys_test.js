@@ -0,0 +1,258 @@
+var subject = require("../lib/entity")
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var Promise = require('promise');
+var crypto  = require('crypto');
+var debug   = require('debug')('test:entity:cryptoKeys');
+var helper  = require('./helper');
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    data:           subject.types.EncryptedText
+  }
+});
+
+// Generate keys for test
+var LEGACY_KEY  = crypto.randomBytes(32).toString('base64');
+var KEY1        = crypto.randomBytes(32).toString('base64');
+var KEY2        = crypto.randomBytes(32).toString('base64');
+
+helper.contextualSuites("Entity (cryptoKeys)", [
+  {
+    context: "Azure",
+    options: {
+      credentials:  helper.cfg.azure,
+      table:        helper.cfg.tableName + 'CryptoKeys',
+    },
+  }, {
+    context: "In-Memory",
+    options: {
+      account:      "inMemory",
+      table:        "cryptoKeysItems",
+      credentials:  null,
+    }
+  },
+], function(context, options) {
+  var LegacyItem = ItemV1.setup(_.defaults({
+    cryptoKey:    LEGACY_KEY
+  }, options));
+  var Item1 = ItemV1.setup(_.defaults({
+    cryptoKey:    LEGACY_KEY,
+    cryptoKeys:   [{id: 'key1', key: KEY1}]
+  }, options));
+  var Item2 = ItemV1.setup(_.defaults({
+    cryptoKey:    LEGACY_KEY,
+    cryptoKeys:   [{id: 'key2', key: KEY2}, {id: 'key1', key: KEY1}]
+  }, options));
+  var Item2Only = ItemV1.setup(_.defaults({
+    cryptoKeys:   [{id: 'key2', key: KEY2}]
+  }, options));
+
+  // Get id of the key used to encrypt the stored entity
+  var keyIdOf = function(item) {
+    return item.__aux.getEntity(
+      item._partitionKey, item._rowKey
+    ).then(function(entity) {
+      return item.__mapping.data.keyId(entity);
+    });
+  };
+
+  // Check if the stored entity is encrypted with authenticated encryption
+  var isAuthenticated = function(item) {
+    return item.__aux.getEntity(
+      item._partitionKey, item._rowKey
+    ).then(function(entity) {
+      return item.__mapping.data.isAuthenticated(entity);
+    });
+  };
+
+  // Insert entity with data encrypted in the legacy aes-256-cbc format
+  var insertLegacyCBC = function(id, name, data) {
+    var iv      = crypto.randomBytes(16);
+    var cipher  = crypto.createCipheriv(
+      'aes-256-cbc', new Buffer(LEGACY_KEY, 'base64'), iv
+    );
+    var value = Buffer.concat([
+      iv, cipher.update(new Buffer(data, 'utf8')), cipher.final()
+    ]);
+    return LegacyItem.prototype.__aux.insertEntity({
+      PartitionKey:               id,
+      RowKey:                     name,
+      Version:                    1,
+      id:                         id,
+      name:                       name,
+      '__buf0_data@odata.type':   'Edm.Binary',
+      '__buf0_data':              value.toString('base64'),
+      '__bufchunks_data':         1
+    });
+  };
+
+  setup(function() {
+    return LegacyItem.ensureTable();
+  });
+
+  test("ItemV1.setup (invalid key id)", function() {
+    assert.throws(function() {
+      ItemV1.setup(_.defaults({
+        cryptoKeys:   [{id: 'key-id-is-too-long', key: KEY1}]
+      }, options));
+    }, /cryptoKeys ids/);
+  });
+
+  test("ItemV1.setup (duplicate key id)", function() {
+    assert.throws(function() {
+      ItemV1.setup(_.defaults({
+        cryptoKeys:   [{id: 'key1', key: KEY1}, {id: 'key1', key: KEY2}]
+      }, options));
+    }, /given twice/);
+  });
+
+  test("ItemV1.setup (cryptoKeys key must be 32 bytes)", function() {
+    assert.throws(function() {
+      ItemV1.setup(_.defaults({
+        cryptoKeys:   [{id: 'key1', key: crypto.randomBytes(31).toString('base64')}]
+      }, options));
+    }, /32 bytes/);
+  });
+
+  test("Encrypt with current key, decrypt with retired keys", function() {
+    var id = slugid.v4();
+    return Promise.all([
+      LegacyItem.create({id: id, name: 'legacy', data: 'legacy-data'}),
+      Item1.create({id: id, name: 'item1', data: 'key1-data'}),
+      Item2.create({id: id, name: 'item2', data: 'key2-data'})
+    ]).then(function(items) {
+      return Promise.all(items.map(keyIdOf));
+    }).then(function(keyIds) {
+      assert.deepEqual(keyIds, [null, 'key1', 'key2']);
+      return Item2.query({id: id});
+    }).then(function(data) {
+      var values = data.entries.map(function(item) { return item.data; });
+      assert.deepEqual(values.sort(), ['key1-data', 'key2-data', 'legacy-data']);
+      return Item2Only.load({id: id, name: 'item1'});
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(/unknown key: 'key1'/.test(err.message));
+    });
+  });
+
+  test("Item.modify re-encrypts with the current key", function() {
+    var id = slugid.v4();
+    return Item1.create({
+      id: id, name: 'item1', data: 'key1-data'
+    }).then(function() {
+      return Item2.load({id: id, name: 'item1'});
+    }).then(function(item) {
+      return item.modify(function() {
+        this.data = 'key2-data';
+      });
+    }).then(function(item) {
+      return keyIdOf(item);
+    }).then(function(keyId) {
+      assert(keyId === 'key2');
+      return Item2Only.load({id: id, name: 'item1'});
+    }).then(function(item) {
+      assert(item.data === 'key2-data');
+    });
+  });
+
+  test("Item.reencryptAll", function() {
+    var id = slugid.v4();
+    var items;
+    return Promise.all([
+      LegacyItem.create({id: id, name: 'legacy', data: 'legacy-data'}),
+      Item1.create({id: id, name: 'item1', data: 'key1-data'}),
+      Item2.create({id: id, name: 'item2', data: 'key2-data'})
+    ]).then(function(items_) {
+      items = items_;
+      return Item2.reencryptAll({concurrency: 2});
+    }).then(function(progress) {
+      assert(progress.scanned >= 3);
+      assert(progress.reencrypted >= 2);
+      assert(!progress.continuation);
+      return Promise.all(items.map(keyIdOf));
+    }).then(function(keyIds) {
+      assert.deepEqual(keyIds, ['key2', 'key2', 'key2']);
+      return Item2Only.query({id: id});
+    }).then(function(data) {
+      var values = data.entries.map(function(item) { return item.data; });
+      assert.deepEqual(values.sort(), ['key1-data', 'key2-data', 'legacy-data']);
+      // Nothing left to re-encrypt
+      return Item2.reencryptAll();
+    }).then(function(progress) {
+      assert(progress.reencrypted === 0);
+    });
+  });
+
+  test("Read legacy aes-256-cbc values, write authenticated values", function() {
+    var id = slugid.v4();
+    return insertLegacyCBC(id, 'item1', 'legacy-data').then(function() {
+      return LegacyItem.load({id: id, name: 'item1'});
+    }).then(function(item) {
+      assert(item.data === 'legacy-data');
+      return isAuthenticated(item).then(function(authenticated) {
+        assert(!authenticated);
+        return item.modify(function() {
+          this.data = 'new-data';
+        });
+      });
+    }).then(function(item) {
+      return isAuthenticated(item);
+    }).then(function(authenticated) {
+      assert(authenticated);
+      return Item2.load({id: id, name: 'item1'});
+    }).then(function(item) {
+      assert(item.data === 'new-data');
+    });
+  });
+
+  test("Item.reencryptAll (aes-256-cbc to aes-256-gcm)", function() {
+    var id = slugid.v4();
+    return insertLegacyCBC(id, 'item1', 'legacy-data').then(function() {
+      return Item2.reencryptAll();
+    }).then(function(progress) {
+      assert(progress.reencrypted >= 1);
+      return Item2Only.load({id: id, name: 'item1'});
+    }).then(function(item) {
+      assert(item.data === 'legacy-data');
+      return Promise.all([keyIdOf(item), isAuthenticated(item)]);
+    }).then(function(result) {
+      assert(result[0] === 'key2');
+      assert(result[1] === true);
+    });
+  });
+
+  test("Can't move encrypted values between entities", function() {
+    var id = slugid.v4();
+    return Promise.all([
+      Item2.create({id: id, name: 'item1', data: 'secret1'}),
+      Item2.create({id: id, name: 'item2', data: 'secret2'})
+    ]).then(function(items) {
+      return Item2.prototype.__aux.getEntity(id, 'item1');
+    }).then(function(entity) {
+      // Copy the encrypted value from item1 to item2
+      var changes = _.pickBy(entity, function(value, key) {
+        return /^__buf/.test(key);
+      });
+      changes.PartitionKey  = id;
+      changes.RowKey        = 'item2';
+      return Item2.prototype.__aux.updateEntity(changes, {
+        mode:   'merge',
+        eTag:   '*'
+      });
+    }).then(function() {
+      return Item2.load({id: id, name: 'item2'});
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err, "Expected an authentication error");
+    });
+  });
+});
@@ -113,6 +113,30 @@ helper.contextualSuites("Entity (create/load/modify DataTypes)", [
       sample2: crypto.randomBytes(100 * 1000).toString('base64')
     }
   },
+  {
+    context: 'Entity.types.CompressedJSON',
+    options: {
+      type: subject.types.CompressedJSON,
+      sample1: {subobject: {number: 42}, array: [1,2,3,4, "string"]},
+      sample2: {subobject: {number: 51}, array: [1,2,3,4,5, "string"]}
+    }
+  },
+  {
+    context: 'Entity.types.CompressedBlob',
+    options: {
+      type: subject.types.CompressedBlob,
+      sample1: crypto.randomBytes(10 * 1000),
+      sample2: crypto.randomBytes(100 * 1000)
+    }
+  },
+  {
+    context: 'Entity.types.CompressedText',
+    options: {
+      type: subject.types.CompressedText,
+      sample1: "Hello World\n could be a very long string",
+      sample2: crypto.randomBytes(100 * 1000).toString('base64')
+    }
+  },
   // SlugIdArray cannot be tested with _.isEqual, we also have separate tests for
   // this EntityType.
   {
@@ -153,6 +177,33 @@ helper.contextualSuites("Entity (create/load/modify DataTypes)", [
       encryptedTestOnly: true
     }
   },
+  {
+    context: 'Entity.types.EncryptedCompressedJSON',
+    options: {
+      type: subject.types.EncryptedCompressedJSON,
+      sample1: {subobject: {number: 42}, array: [1,2,3,4, "string"]},
+      sample2: {subobject: {number: 51}, array: [1,2,3,4,5, "string"]},
+      encryptedTestOnly: true
+    }
+  },
+  {
+    context: 'Entity.types.EncryptedCompressedText',
+    options: {
+      type: subject.types.EncryptedCompressedText,
+      sample1: "Hello World\n could be a very long string",
+      sample2: crypto.randomBytes(100 * 1000).toString('base64'),
+      encryptedTestOnly: true
+    }
+  },
+  {
+    context: 'Entity.types.EncryptedCompressedBlob',
+    options: {
+      type: subject.types.EncryptedCompressedBlob,
+      sample1: crypto.randomBytes(10 * 1000),
+      sample2: crypto.randomBytes(100 * 1000),
+      encryptedTestOnly: true
+    }
+  },
 ], function(name, typeOptions) {
   var type = typeOptions.type;
   var sample1 = typeOptions.sample1;
@@ -457,3 +508,14 @@ helper.contextualSuites("Entity (create/load/modify DataTypes)", [
     });
   });
 });
+
+suite("Entity (filter conditions for DataTypes)", function() {
+  test("Entity.types.SlugId compares the stored UUID", function() {
+    var type = new subject.types.SlugId('tag');
+    var tag = slugid.v4();
+    assert(type.filterCondition(subject.op.equal(tag)) ===
+           "tag eq guid'" + slugid.decode(tag) + "'");
+    assert(type.filterCondition(subject.op.notEqual(tag)) ===
+           "tag ne guid'" + slugid.decode(tag) + "'");
+  });
+});
@@ -73,4 +73,57 @@ helper.contextualSuites("Entity (DescendingIntegerKey)",
       'E', 'D', 'C', 'B', 'A',
     ]), 'wrong order of text properties');
   });
+
+  test("Query a range of revisions (matchRow: range)", async () => {
+    let id = slugid.v4();
+    await Promise.all([0, 1, 2, 14, 200].map(rev => {
+      return Item.create({id, rev, text});
+    }));
+    let query = async (rev) => {
+      let {entries} = await Item.query({id, rev}, {matchRow: 'range'});
+      return entries.map(item => item.rev);
+    };
+    let op = subject.op;
+    assert(_.isEqual(await query(op.and(op.greaterThanOrEqual(1), op.lessThan(14))),
+                     [2, 1]));
+    assert(_.isEqual(await query(op.greaterThan(2)), [200, 14]));
+    assert(_.isEqual(await query(op.lessThanOrEqual(1)), [1, 0]));
+    assert(_.isEqual(await query(14), [14]));
+    assert(_.isEqual(await query(op.and(op.greaterThan(2), op.lessThan(3))), []));
+    assert(_.isEqual(await query(op.lessThan(0)), []));
+  });
+
+  test("Query revisions > 2 (default matchRow)", async () => {
+    let id = slugid.v4();
+    await Promise.all([0, 1, 2, 14, 200].map(rev => {
+      return Item.create({id, rev, text});
+    }));
+    // Capture filters, as the rowKey must not be narrowed to a range
+    let aux = Item.prototype.__aux;
+    let queryEntities = aux.queryEntities;
+    let filters = [];
+    aux.queryEntities = function(options) {
+      filters.push(options.filter);
+      return queryEntities.apply(this, arguments);
+    };
+    try {
+      let {entries} = await Item.query({id, rev: subject.op.greaterThan(2)});
+      assert(_.isEqual(entries.map(item => item.rev), [200, 14]));
+    } finally {
+      aux.queryEntities = queryEntities;
+    }
+    assert(filters.length === 1);
+    assert(!/RowKey/.test(filters[0]), 'expected no RowKey range');
+  });
+
+  test("Can't use matchRow: range without rev", async () => {
+    let id = slugid.v4();
+    try {
+      await Item.query({id, text}, {matchRow: 'range'});
+    } catch (err) {
+      debug('expected error: %s', err);
+      return;
+    }
+    assert(false, 'expected an error');
+  });
 });
@@ -0,0 +1,285 @@
+var subject = require("../lib/entity")
+var connectionstring = require("../lib/connectionstring");
+var assert  = require('assert');
+var http    = require('http');
+var crypto  = require('crypto');
+var _       = require('lodash');
+var Promise = require('promise');
+var debug   = require('debug')('test:entity:endpoint');
+
+// Well-known account key of the storage emulator
+var DEVELOPMENT_STORAGE_KEY = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IF' +
+                              'suFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  }
+});
+
+suite('Azure connection strings', function() {
+  test("AccountName and AccountKey", function() {
+    var result = connectionstring.parse(
+      'DefaultEndpointsProtocol=https;AccountName=myaccount;' +
+      'AccountKey=YWJj;EndpointSuffix=core.windows.net'
+    );
+    assert(_.isEqual(result, {
+      accountName:  'myaccount',
+      accountKey:   'YWJj',
+      sas:          undefined,
+      endpoint:     'https://myaccount.table.core.windows.net'
+    }));
+  });
+
+  test("AccountName and AccountKey without endpoint settings", function() {
+    var result = connectionstring.parse('AccountName=myaccount;AccountKey=YWJj');
+    assert(result.accountName === 'myaccount');
+    assert(result.endpoint === undefined);
+  });
+
+  test("EndpointSuffix for sovereign clouds", function() {
+    var result = connectionstring.parse(
+      'AccountName=myaccount;AccountKey=YWJj;' +
+      'EndpointSuffix=core.chinacloudapi.cn;'
+    );
+    assert(result.endpoint === 'https://myaccount.table.core.chinacloudapi.cn');
+  });
+
+  test("TableEndpoint and SharedAccessSignature", function() {
+    var result = connectionstring.parse(
+      'BlobEndpoint=https://myaccount.blob.core.windows.net/;' +
+      'TableEndpoint=https://myaccount.table.core.windows.net/;' +
+      'SharedAccessSignature=sv=2015-04-05&sig=abc%3D'
+    );
+    assert(result.accountName === 'myaccount');
+    assert(result.accountKey === undefined);
+    assert(result.sas === 'sv=2015-04-05&sig=abc%3D');
+    assert(result.endpoint === 'https://myaccount.table.core.windows.net');
+  });
+
+  test("setting names are case-insensitive", function() {
+    var result = connectionstring.parse(
+      'accountname=myaccount;accountkey=YWJj;defaultendpointsprotocol=http'
+    );
+    assert(result.accountName === 'myaccount');
+    assert(result.endpoint === 'http://myaccount.table.core.windows.net');
+  });
+
+  test("UseDevelopmentStorage=true", function() {
+    var result = connectionstring.parse('UseDevelopmentStorage=true');
+    assert(result.accountName === 'devstoreaccount1');
+    assert(result.accountKey === DEVELOPMENT_STORAGE_KEY);
+    assert(result.sas === undefined);
+    assert(result.endpoint === 'http://127.0.0.1:10002/devstoreaccount1');
+  });
+
+  test("UseDevelopmentStorage=true with AccountKey", function() {
+    var result = connectionstring.parse(
+      'UseDevelopmentStorage=true;AccountKey=YWJj'
+    );
+    assert(result.accountName === 'devstoreaccount1');
+    assert(result.accountKey === 'YWJj');
+  });
+
+  test("UseDevelopmentStorage=true with DevelopmentStorageProxyUri", function() {
+    var result = connectionstring.parse(
+      'UseDevelopmentStorage=true;AccountKey=YWJj;' +
+      'DevelopmentStorageProxyUri=http://azurite'
+    );
+    assert(result.endpoint === 'http://azurite:10002/devstoreaccount1');
+  });
+
+  test("invalid connection strings", function() {
+    [
+      'AccountName=myaccount',
+      'AccountKey=YWJj',
+      'AccountName=myaccount;AccountKey=YWJj;SharedAccessSignature=sv=x',
+      'AccountName=myaccount;AccountName=other;AccountKey=YWJj',
+      'AccountName=myaccount;AccountKey',
+      'AccountKey=YWJj;TableEndpoint=ftp://myaccount',
+      'UseDevelopmentStorage=true;AccountName=myaccount',
+      'UseDevelopmentStorage=false;AccountKey=YWJj'
+    ].forEach(function(connectionString) {
+      assert.throws(function() {
+        connectionstring.parse(connectionString);
+      }, assert.AssertionError, "expected error for: " + connectionString);
+    });
+  });
+});
+
+suite('Entity (endpoint)', function() {
+  var server = null;
+  var port = null;
+  var requests = null;
+
+  // Local server answering all requests with ResourceNotFound
+  suiteSetup(function() {
+    server = http.createServer(function(req, res) {
+      var body = '';
+      req.setEncoding('utf8');
+      req.on('data', function(chunk) { body += chunk; });
+      req.on('end', function() {
+        debug("%s %s", req.method, req.url);
+        requests.push({
+          method:   req.method,
+          url:      req.url,
+          headers:  req.headers,
+          body:     body
+        });
+        res.writeHead(404, {'content-type': 'application/json'});
+        res.end(JSON.stringify({'odata.error': {
+          code:     'ResourceNotFound',
+          message:  {value: 'The specified resource does not exist.'}
+        }}));
+      });
+    });
+    return new Promise(function(accept) {
+      server.listen(0, '127.0.0.1', function() {
+        port = server.address().port;
+        accept();
+      });
+    });
+  });
+
+  suiteTeardown(function() {
+    return new Promise(function(accept) {
+      server.close(accept);
+    });
+  });
+
+  setup(function() {
+    requests = [];
+  });
+
+  // Compute the SharedKey signature Azure expects for `request`
+  var sign = function(request, accountName, accountKey) {
+    var stringToSign = [
+      request.method,
+      request.headers['content-md5'] || '',
+      request.headers['content-type'] || '',
+      request.headers['x-ms-date'],
+      '/' + accountName + request.url.split('?')[0]
+    ].join('\n');
+    return crypto.createHmac('sha256', new Buffer(accountKey || 'YWJj', 'base64'))
+      .update(stringToSign, 'utf8').digest('base64');
+  };
+
+  test("connectionString with TableEndpoint", async function() {
+    var Item = ItemV1.setup({
+      table:            'endpointItems',
+      connectionString: 'DefaultEndpointsProtocol=http;AccountName=myaccount;' +
+                        'AccountKey=YWJj;TableEndpoint=http://127.0.0.1:' +
+                        port + '/devstoreaccount1/'
+    });
+    var item = await Item.load({id: 'my-id', name: 'my-name'}, true);
+    assert(item === null);
+    assert(requests.length === 1);
+    var request = requests[0];
+    assert(request.method === 'GET');
+    assert(request.url.indexOf(
+      "/devstoreaccount1/endpointItems(PartitionKey='my-id',RowKey='my-name')"
+    ) === 0, "unexpected url: " + request.url);
+    assert(request.headers.authorization ===
+           'SharedKey myaccount:' + sign(request, 'myaccount'));
+  });
+
+  test("endpoint option with credentials", async function() {
+    var Item = ItemV1.setup({
+      table:        'endpointItems',
+      credentials:  {accountName: 'myaccount', accountKey: 'YWJj'},
+      endpoint:     'http://127.0.0.1:' + port
+    });
+    var item = await Item.load({id: 'my-id', name: 'my-name'}, true);
+    assert(item === null);
+    assert(requests.length === 1);
+    assert(requests[0].url.indexOf('/endpointItems(') === 0);
+    assert(requests[0].headers.authorization ===
+           'SharedKey myaccount:' + sign(requests[0], 'myaccount'));
+  });
+
+  test("batch operations use the endpoint", async function() {
+    var Item = ItemV1.setup({
+      table:        'endpointItems',
+      credentials:  {accountName: 'myaccount', accountKey: 'YWJj'},
+      endpoint:     'http://127.0.0.1:' + port + '/devstoreaccount1'
+    });
+    try {
+      await Item.batch().create({id: 'my-id', name: 'my-name', count: 1})
+        .commit();
+    } catch (err) {
+      assert(requests.length === 1);
+      assert(requests[0].url.indexOf('/devstoreaccount1/$batch') === 0);
+      assert(requests[0].body.indexOf(
+        'POST http://127.0.0.1:' + port + '/devstoreaccount1/endpointItems '
+      ) !== -1, "expected endpoint in batch: " + requests[0].body);
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("public endpoint by default", async function() {
+    var Item = ItemV1.setup({
+      table:            'endpointItems',
+      connectionString: 'AccountName=myaccount;AccountKey=YWJj'
+    });
+    var client = Item.prototype.__client;
+    var request = await client.authorize('GET', '/Tables', {}, {
+      'x-ms-date': new Date().toUTCString()
+    });
+    assert(request.host === 'myaccount.table.core.windows.net');
+    assert(request.path === '/Tables');
+    assert(request.protocol === undefined);
+  });
+
+  test("connectionString UseDevelopmentStorage=true", async function() {
+    var Item = ItemV1.setup({
+      table:            'endpointItems',
+      connectionString: 'UseDevelopmentStorage=true'
+    });
+    var client = Item.prototype.__client;
+    var headers = {'x-ms-date': new Date().toUTCString()};
+    var request = await client.authorize('GET', '/Tables', {}, headers);
+    assert(request.host === '127.0.0.1');
+    assert(request.port === '10002');
+    assert(request.path === '/devstoreaccount1/Tables');
+    assert(request.headers.authorization === 'SharedKey devstoreaccount1:' +
+           sign({method: 'GET', headers: headers, url: request.path},
+                'devstoreaccount1', DEVELOPMENT_STORAGE_KEY));
+  });
+
+  test("ItemV1.setup (invalid endpoint)", function() {
+    assert.throws(function() {
+      ItemV1.setup({
+        table:        'endpointItems',
+        credentials:  {accountName: 'myaccount', accountKey: 'YWJj'},
+        endpoint:     'myaccount.table.core.windows.net'
+      });
+    }, /endpoint/);
+  });
+
+  test("ItemV1.setup (connectionString and credentials)", function() {
+    assert.throws(function() {
+      ItemV1.setup({
+        table:            'endpointItems',
+        credentials:      {accountName: 'myaccount', accountKey: 'YWJj'},
+        connectionString: 'AccountName=myaccount;AccountKey=YWJj'
+      });
+    }, /connectionString/);
+  });
+
+  test("ItemV1.setup (endpoint with inMemory)", function() {
+    assert.throws(function() {
+      ItemV1.setup({
+        account:      'inMemory',
+        table:        'endpointItems',
+        credentials:  null,
+        endpoint:     'http://127.0.0.1:' + port
+      });
+    }, /endpoint/);
+  });
+});
@@ -0,0 +1,166 @@
+var subject = require("../lib/entity")
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var Promise = require('promise');
+var debug   = require('debug')('test:entity:events');
+var helper  = require('./helper');
+
+var Item = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number,
+    tag:            subject.types.String
+  }
+});
+
+helper.contextualSuites("Entity (events)", helper.makeContexts(Item),
+function(context, options) {
+  var Item = options.Item;
+  var events = null;
+
+  setup(function() {
+    events = [];
+    ['created', 'modified', 'removed'].forEach(function(event) {
+      Item.on(event, function() {
+        events.push([event].concat(Array.prototype.slice.call(arguments)));
+      });
+    });
+    return Item.ensureTable();
+  });
+
+  teardown(function() {
+    Item.removeAllListeners();
+  });
+
+  test("Item.create", async function() {
+    var item = await Item.create({
+      id: slugid.v4(), name: 'my-item', count: 1, tag: 'a'
+    });
+    assert(events.length === 1);
+    assert(events[0][0] === 'created');
+    assert(events[0][1] === item);
+  });
+
+  test("Item.create (overwriteIfExists)", async function() {
+    var id = slugid.v4();
+    await Item.create({id: id, name: 'my-item', count: 1, tag: 'a'});
+    var item = await Item.create({
+      id: id, name: 'my-item', count: 2, tag: 'a'
+    }, true);
+    assert(_.map(events, 0).join() === 'created,created');
+    assert(events[1][1] === item);
+  });
+
+  test("Item.create (conflict)", async function() {
+    var id = slugid.v4();
+    await Item.create({id: id, name: 'my-item', count: 1, tag: 'a'});
+    try {
+      await Item.create({id: id, name: 'my-item', count: 2, tag: 'a'});
+    } catch (err) {
+      assert(err.code === 'EntityAlreadyExists');
+      assert(_.map(events, 0).join() === 'created');
+      return;
+    }
+    assert(false, "expected an error");
+  });
+
+  test("item.modify", async function() {
+    var item = await Item.create({
+      id: slugid.v4(), name: 'my-item', count: 1, tag: 'a'
+    });
+    events = [];
+    await item.modify(function() {
+      this.count += 1;
+    });
+    assert(events.length === 1);
+    assert(events[0][0] === 'modified');
+    assert(events[0][1] === item);
+    assert(_.isEqual(events[0][2], {count: {before: 1, after: 2}}));
+  });
+
+  test("item.modify (without changes)", async function() {
+    var item = await Item.create({
+      id: slugid.v4(), name: 'my-item', count: 1, tag: 'a'
+    });
+    events = [];
+    await item.modify(function() {
+      this.tag = 'a';
+    });
+    assert(events.length === 0);
+  });
+
+  test("item.modify (after conflict)", async function() {
+    var id = slugid.v4();
+    var itemA = await Item.create({id: id, name: 'my-item', count: 1, tag: 'a'});
+    var itemB = await Item.load({id: id, name: 'my-item'});
+    await itemA.modify(function() {
+      this.count += 1;
+    });
+    events = [];
+    await itemB.modify(function() {
+      this.count += 1;
+      this.tag = 'b';
+    });
+    assert(events.length === 1);
+    assert(_.isEqual(events[0][2], {
+      count:  {before: 2, after: 3},
+      tag:    {before: 'a', after: 'b'}
+    }));
+  });
+
+  test("item.remove", async function() {
+    var id = slugid.v4();
+    var item = await Item.create({id: id, name: 'my-item', count: 1, tag: 'a'});
+    events = [];
+    await item.remove();
+    assert(events.length === 1);
+    assert(events[0][0] === 'removed');
+    assert(_.isEqual(events[0][1], {id: id, name: 'my-item'}));
+  });
+
+  test("Item.remove", async function() {
+    var id = slugid.v4();
+    await Item.create({id: id, name: 'my-item', count: 1, tag: 'a'});
+    events = [];
+    await Item.remove({id: id, name: 'my-item'});
+    assert(events.length === 1);
+    assert(events[0][0] === 'removed');
+    assert(_.isEqual(events[0][1], {id: id, name: 'my-item'}));
+    await Item.remove({id: id, name: 'my-item'}, true);
+    assert(events.length === 1, "expected no event, when nothing was removed");
+  });
+
+  test("Item.batch", async function() {
+    var id = slugid.v4();
+    var item1 = await Item.create({id: id, name: 'item1', count: 1, tag: 'a'});
+    var item2 = await Item.create({id: id, name: 'item2', count: 1, tag: 'a'});
+    var item3 = await Item.create({id: id, name: 'item3', count: 1, tag: 'a'});
+    events = [];
+    await Item.batch()
+      .create({id: id, name: 'item4', count: 1, tag: 'a'})
+      .replace(item1, {id: id, name: 'item1', count: 5, tag: 'a'})
+      .modify(item2, function() { this.tag = 'b'; })
+      .remove(item3)
+      .commit();
+    assert(_.map(events, 0).join() === 'created,modified,modified,removed');
+    assert(_.isEqual(events[1][2], {count: {before: 1, after: 5}}));
+    assert(_.isEqual(events[2][2], {tag: {before: 'a', after: 'b'}}));
+    assert(_.isEqual(events[3][1], {id: id, name: 'item3'}));
+  });
+
+  test("Listener errors are ignored", async function() {
+    Item.on('created', function() {
+      throw new Error("listener failed");
+    });
+    var item = await Item.create({
+      id: slugid.v4(), name: 'my-item', count: 1, tag: 'a'
+    });
+    assert(item.count === 1);
+    assert(events.length === 1);
+  });
+});
@@ -0,0 +1,331 @@
+var subject = require("../lib/entity")
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var Promise = require('promise');
+var debug   = require('debug')('test:entity:hooks');
+var helper  = require('./helper');
+
+// Hooks called, on the form [name, ...arguments]
+var calls = [];
+
+// Failures injected, by hook name
+var failures = {};
+
+// Hook recording calls, rejecting with failures[name], if given, otherwise
+// resolving with a value, which must be ignored
+var hook = function(name) {
+  return function() {
+    calls.push([name].concat(Array.prototype.slice.call(arguments)));
+    var err = failures[name];
+    if (err) {
+      delete failures[name];
+      return Promise.reject(err);
+    }
+    return Promise.resolve(name);
+  };
+};
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  },
+  hooks: {
+    beforeCreate:   hook('beforeCreate'),
+    afterCreate:    hook('afterCreate'),
+    beforeModify:   hook('beforeModify'),
+    afterModify:    hook('afterModify'),
+    beforeRemove:   hook('beforeRemove'),
+    afterRemove:    hook('afterRemove')
+  }
+});
+
+// Version 2 sets a default for the new property, and inherits other hooks
+var Item = ItemV1.configure({
+  version:          2,
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number,
+    tag:            subject.types.String
+  },
+  migrate: function(item) {
+    item.tag = 'migrated';
+    return item;
+  },
+  hooks: {
+    beforeCreate: function(properties) {
+      calls.push(['beforeCreate', properties]);
+      assert(this.prototype instanceof Item, "expected class as this");
+      if (properties.count < 0) {
+        throw new Error("count must be positive");
+      }
+      properties.tag = properties.tag || 'default';
+    }
+  }
+});
+
+// Names of hooks called
+var names = function() {
+  return _.map(calls, 0);
+};
+
+helper.contextualSuites("Entity (hooks)", helper.makeContexts(Item),
+function(context, options) {
+  var Item = options.Item;
+
+  setup(function() {
+    calls = [];
+    failures = {};
+    return Item.ensureTable();
+  });
+
+  test("Item.create", async function() {
+    var id = slugid.v4();
+    var properties = {id: id, name: 'my-item', count: 1};
+    var item = await Item.create(properties);
+    assert(item.tag === 'default');
+    assert(properties.tag === undefined, "properties given were changed");
+    assert(names().join() === 'beforeCreate,afterCreate');
+    assert(calls[1][1] === item);
+  });
+
+  test("Item.create (beforeCreate fails)", async function() {
+    var id = slugid.v4();
+    try {
+      await Item.create({id: id, name: 'my-item', count: -1});
+    } catch (err) {
+      assert(/count must be positive/.test(err.message));
+      var item = await Item.load({id: id, name: 'my-item'}, true);
+      assert(item === null, "expected item not to be created");
+      assert(names().join() === 'beforeCreate');
+      return;
+    }
+    assert(false, "expected an error");
+  });
+
+  test("Item.create (afterCreate fails)", async function() {
+    var id = slugid.v4();
+    var failure = new Error("afterCreate failed");
+    failures.afterCreate = failure;
+    try {
+      await Item.create({id: id, name: 'my-item', count: 1});
+    } catch (err) {
+      assert(err === failure);
+      var item = await Item.load({id: id, name: 'my-item'});
+      assert(item.count === 1, "expected item to be created");
+      return;
+    }
+    assert(false, "expected an error");
+  });
+
+  test("item.modify", async function() {
+    var id = slugid.v4();
+    var item = await Item.create({id: id, name: 'my-item', count: 1});
+    calls = [];
+    await item.modify(function() {
+      this.count += 1;
+    });
+    assert(names().join() === 'beforeModify,afterModify');
+    assert(calls[0][1] === item);
+    assert(calls[0][1].count === 2);
+    assert(calls[1][1] === item);
+    assert(calls[1][2].count === 1);
+  });
+
+  test("item.modify (without changes)", async function() {
+    var id = slugid.v4();
+    var item = await Item.create({id: id, name: 'my-item', count: 1});
+    calls = [];
+    await item.modify(function() {});
+    assert(names().join() === 'beforeModify');
+  });
+
+  test("item.modify (beforeModify on each attempt)", async function() {
+    var id = slugid.v4();
+    var itemA = await Item.create({id: id, name: 'my-item', count: 1});
+    var itemB = await Item.load({id: id, name: 'my-item'});
+    await itemA.modify(function() {
+      this.count += 1;
+    });
+    calls = [];
+    var counts = [];
+    await itemB.modify(function() {
+      this.count += 10;
+      counts.push(itemB.count);
+    });
+    assert(names().join() === 'beforeModify,beforeModify,afterModify');
+    assert(calls[0][1] === itemB && calls[1][1] === itemB);
+    assert(counts.join() === '11,12');
+    assert(calls[2][2].count === 2);
+    assert(itemB.count === 12);
+  });
+
+  test("item.modify (beforeModify fails)", async function() {
+    var id = slugid.v4();
+    var item = await Item.create({id: id, name: 'my-item', count: 1});
+    failures.beforeModify = new Error("beforeModify failed");
+    try {
+      await item.modify(function() {
+        this.count += 1;
+      });
+    } catch (err) {
+      assert(/beforeModify failed/.test(err.message));
+      assert(item.count === 1);
+      await item.reload();
+      assert(item.count === 1, "expected item not to be modified");
+      return;
+    }
+    assert(false, "expected an error");
+  });
+
+  test("item.remove", async function() {
+    var id = slugid.v4();
+    var item = await Item.create({id: id, name: 'my-item', count: 1});
+    calls = [];
+    var result = await item.remove();
+    assert(result === undefined);
+    assert(names().join() === 'beforeRemove,afterRemove');
+    assert(calls[0][1] === item);
+    assert(_.isEqual(calls[1][1], {id: id, name: 'my-item'}));
+  });
+
+  test("item.remove (beforeRemove fails)", async function() {
+    var id = slugid.v4();
+    var item = await Item.create({id: id, name: 'my-item', count: 1});
+    failures.beforeRemove = new Error("beforeRemove failed");
+    try {
+      await item.remove();
+    } catch (err) {
+      assert(/beforeRemove failed/.test(err.message));
+      await item.reload();
+      return;
+    }
+    assert(false, "expected an error");
+  });
+
+  test("Item.remove", async function() {
+    var id = slugid.v4();
+    await Item.create({id: id, name: 'my-item', count: 1});
+    calls = [];
+    var removed = await Item.remove({id: id, name: 'my-item', count: 1});
+    assert(removed === true);
+    assert(names().join() === 'beforeRemove,afterRemove');
+    assert(calls[0][1] instanceof Item);
+    assert(calls[0][1].count === 1);
+    assert(_.isEqual(calls[1][1], {id: id, name: 'my-item'}));
+  });
+
+  test("Item.remove (beforeRemove fails)", async function() {
+    var id = slugid.v4();
+    await Item.create({id: id, name: 'my-item', count: 1});
+    failures.beforeRemove = new Error("beforeRemove failed");
+    try {
+      await Item.remove({id: id, name: 'my-item'});
+    } catch (err) {
+      assert(/beforeRemove failed/.test(err.message));
+      var item = await Item.load({id: id, name: 'my-item'});
+      assert(item.count === 1, "expected item not to be removed");
+      return;
+    }
+    assert(false, "expected an error");
+  });
+
+  test("Item.remove (ignoreIfNotExists)", async function() {
+    var removed = await Item.remove({id: slugid.v4(), name: 'my-item'}, true);
+    assert(removed === false);
+    assert(names().join() === '');
+  });
+});
+
+suite("Entity (hooks configuration)", function() {
+  test("Hooks can be removed by newer versions", async function() {
+    var ItemV3 = Item.configure({
+      version:          3,
+      properties: {
+        id:             subject.types.String,
+        name:           subject.types.String,
+        count:          subject.types.Number,
+        tag:            subject.types.String
+      },
+      migrate: function(item) {
+        return item;
+      },
+      hooks: {
+        afterCreate:    null
+      }
+    });
+    var Item3 = ItemV3.setup({
+      account:      'inMemory',
+      table:        'hookItems',
+      credentials:  null
+    });
+    await Item3.ensureTable();
+    calls = [];
+    await Item3.create({id: slugid.v4(), name: 'my-item', count: 1});
+    assert(names().join() === 'beforeCreate');
+  });
+
+  test("Item.batch (rejected on classes with hooks)", function() {
+    var Item2 = Item.setup({
+      account:      'inMemory',
+      table:        'hookItems',
+      credentials:  null
+    });
+    assert.throws(function() {
+      Item2.batch();
+    }, /hooks/);
+  });
+
+  test("Item.batch (allowed once all hooks are removed)", async function() {
+    var ItemV3 = Item.configure({
+      version:          3,
+      properties: {
+        id:             subject.types.String,
+        name:           subject.types.String,
+        count:          subject.types.Number,
+        tag:            subject.types.String
+      },
+      migrate: function(item) {
+        return item;
+      },
+      hooks: _.fromPairs(_.map(Item.prototype.__hooks, function(hook, name) {
+        return [name, null];
+      }))
+    });
+    var Item3 = ItemV3.setup({
+      account:      'inMemory',
+      table:        'hookItems',
+      credentials:  null
+    });
+    await Item3.ensureTable();
+    calls = [];
+    var results = await Item3.batch()
+      .create({id: slugid.v4(), name: 'my-item', count: 1, tag: 'batch'})
+      .commit();
+    assert(results[0].count === 1);
+    assert(calls.length === 0);
+  });
+
+  test("ItemV1.configure (unknown hook)", function() {
+    assert.throws(function() {
+      subject.configure({
+        version:          1,
+        partitionKey:     subject.keys.StringKey('id'),
+        rowKey:           subject.keys.StringKey('name'),
+        properties: {
+          id:             subject.types.String,
+          name:           subject.types.String
+        },
+        hooks: {
+          beforeLoad:     function() {}
+        }
+      });
+    }, /beforeLoad/);
+  });
+});
@@ -0,0 +1,273 @@
+var subject = require("../lib/entity")
+var assert  = require('assert');
+var debug   = require('debug')('test:entity:inmemorystore');
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  }
+});
+
+suite('Entity (InMemoryStore)', function() {
+  var store = null;
+  var Item = null;
+
+  var setupItem = function(store) {
+    return ItemV1.setup({
+      account:      'inMemory',
+      table:        'storeItems',
+      credentials:  null,
+      store:        store
+    });
+  };
+
+  setup(async function() {
+    store = new subject.InMemoryStore();
+    Item = setupItem(store);
+    await Item.ensureTable();
+    await Item.create({id: 'my-id', name: 'my-name', count: 1});
+  });
+
+  test("stores are isolated", async function() {
+    var Item2 = setupItem(new subject.InMemoryStore());
+    await Item2.ensureTable();
+    assert(await Item2.load({id: 'my-id', name: 'my-name'}, true) === null);
+    await Item2.create({id: 'my-id', name: 'my-name', count: 2});
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    assert(item.count === 1);
+  });
+
+  test("stores are isolated from the default store", async function() {
+    var Item2 = setupItem(undefined);
+    await Item2.ensureTable();
+    await Item2.remove({id: 'my-id', name: 'my-name'}, true);
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    assert(item.count === 1);
+  });
+
+  test("classes setup with the same store share tables", async function() {
+    var Item2 = setupItem(store);
+    var item = await Item2.load({id: 'my-id', name: 'my-name'});
+    assert(item.count === 1);
+  });
+
+  test("store.reset()", async function() {
+    store.reset();
+    try {
+      await Item.load({id: 'my-id', name: 'my-name'});
+    } catch (err) {
+      assert(err.code === 'ResourceNotFound');
+      await Item.ensureTable();
+      var data = await Item.scan({}, {});
+      assert(data.entries.length === 0);
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("store.snapshot() and store.restore()", async function() {
+    var snapshot = store.snapshot();
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    await item.modify(function() { this.count = 2; });
+    await Item.create({id: 'my-id', name: 'other-name', count: 3});
+
+    store.restore(snapshot);
+    var data = await Item.scan({}, {});
+    debug("entries: %j", data.entries);
+    assert(data.entries.length === 1);
+    assert(data.entries[0].count === 1);
+
+    // The snapshot isn't changed by modifications after restore
+    await data.entries[0].modify(function() { this.count = 4; });
+    store.restore(snapshot);
+    item = await Item.load({id: 'my-id', name: 'my-name'});
+    assert(item.count === 1);
+  });
+
+  test("store.restore() after create with overwriteIfExists", async function() {
+    await Item.create({id: 'my-id', name: 'my-name', count: 2}, true);
+    store.restore(store.snapshot());
+    var item1 = await Item.create({id: 'my-id', name: 'other-name', count: 1});
+    await item1.remove();
+    var item2 = await Item.create({id: 'my-id', name: 'other-name', count: 1});
+    assert(item1._etag !== item2._etag, "expected a new etag");
+  });
+
+  test("ItemV1.setup (invalid store)", function() {
+    assert.throws(function() {
+      setupItem({});
+    }, /InMemoryStore/);
+  });
+
+  test("ItemV1.setup (store with Azure credentials)", function() {
+    assert.throws(function() {
+      ItemV1.setup({
+        table:        'storeItems',
+        credentials:  {accountName: 'x', accountKey: 'YWJj'},
+        store:        store
+      });
+    }, /store/);
+  });
+});
+
+suite('Entity (InMemoryStore fault injection)', function() {
+  var store = null;
+  var Item = null;
+
+  setup(async function() {
+    store = new subject.InMemoryStore();
+    Item = ItemV1.setup({
+      account:      'inMemory',
+      table:        'faultItems',
+      credentials:  null,
+      store:        store,
+      retry:        {delayFactor: 1}
+    });
+    await Item.ensureTable();
+    await Item.create({id: 'my-id', name: 'my-name', count: 1});
+    await Item.create({id: 'my-id', name: 'other-name', count: 1});
+  });
+
+  test("fail updateEntity with 412, modify retries", async function() {
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    var fault = store.injectFault({
+      method:   'updateEntity',
+      code:     'UpdateConditionNotSatisfied',
+      times:    2
+    });
+    var calls = 0;
+    await item.modify(function() {
+      calls += 1;
+      this.count += 1;
+    });
+    assert(calls === 3);
+    assert(fault.count === 2);
+    assert(item.count === 2);
+  });
+
+  test("fail updateEntity with 412, modify gives up", async function() {
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    store.injectFault({
+      method:   'updateEntity',
+      code:     'UpdateConditionNotSatisfied'
+    });
+    try {
+      await item.modify(function() { this.count += 1; }, {maxAttempts: 3});
+    } catch (err) {
+      assert(err.code === 'EntityWriteCongestionError');
+      assert(err.modifiedEntityAttempts.length === 2);
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("fail a specific entity with ServerBusy", async function() {
+    var fault = store.injectFault({
+      partitionKey: 'my-id',
+      rowKey:       'my-name',
+      code:         'ServerBusy',
+      times:        1
+    });
+    var other = await Item.load({id: 'my-id', name: 'other-name'});
+    assert(other.count === 1);
+    assert(fault.count === 0);
+    // Retried as ServerBusy is a transient error
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    assert(item.count === 1);
+    assert(fault.count === 1);
+  });
+
+  test("fail with error code and status code", async function() {
+    store.injectFault({method: 'getEntity', code: 'ServerBusy'});
+    try {
+      await Item.load({id: 'my-id', name: 'my-name'});
+    } catch (err) {
+      assert(err.code === 'ServerBusy');
+      assert(err.statusCode === 503);
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("add latency to queryEntities", async function() {
+    store.injectFault({method: 'queryEntities', delay: 200});
+    try {
+      await Item.scan({}, {timeout: 20});
+    } catch (err) {
+      assert(err.code === 'TimeoutError');
+      store.clearFaults();
+      var data = await Item.scan({}, {timeout: 200});
+      assert(data.entries.length === 2);
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("fail queryEntities, scan iterator retries the page", async function() {
+    var iterator = Item.scan({}, {limit: 1, iterator: true});
+    // Fail the first page, then the second page, once each
+    var failNextPage = async function() {
+      store.injectFault({
+        method: 'queryEntities',
+        code:   'ResourceNotFound',
+        times:  1
+      });
+      try {
+        await iterator.next();
+      } catch (err) {
+        assert(err.code === 'ResourceNotFound');
+        return;
+      }
+      assert(false, 'expected an error');
+    };
+    await failNextPage();
+    var first = await iterator.next();
+    await failNextPage();
+    var second = await iterator.next();
+    assert(first.value.name === 'my-name');
+    assert(second.value.name === 'other-name');
+    assert((await iterator.next()).done);
+  });
+
+  test("store.reset() removes faults", async function() {
+    store.injectFault({code: 'ServerBusy'});
+    store.reset();
+    await Item.ensureTable();
+  });
+
+  test("inject faults into the default store", async function() {
+    var Item2 = ItemV1.setup({
+      account:      'inMemory',
+      table:        'faultItems',
+      credentials:  null
+    });
+    await Item2.ensureTable();
+    var defaultStore = subject.InMemoryStore.defaultStore;
+    assert(defaultStore instanceof subject.InMemoryStore);
+    var fault = defaultStore.injectFault({
+      method: 'getEntity',
+      code:   'ServerBusy'
+    });
+    try {
+      await Item2.load({id: 'my-id', name: 'my-name'}, true);
+    } catch (err) {
+      assert(err.code === 'ServerBusy');
+      assert(fault.count === 1);
+      return;
+    } finally {
+      defaultStore.clearFaults();
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("store.injectFault (invalid options)", function() {
+    assert.throws(function() {
+      store.injectFault({method: 'getEntity'});
+    }, /code or a delay/);
+  });
+});
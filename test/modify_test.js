@@ -18,6 +18,29 @@ var Item = subject.configure({
   }
 });
 
+// Create item, and return two copies of it, where the first one was modified
+// so that modifying the second one will conflict
+var createConflict = function(Item) {
+  var id = slugid.v4();
+  return Item.create({
+    id:     id,
+    name:   'my-test-item',
+    count:  1,
+    time:   new Date(),
+  }).then(function(itemA) {
+    return Item.load({
+      id:     id,
+      name:   'my-test-item',
+    }).then(function(itemB) {
+      return itemA.modify(function() {
+        this.count += 1;
+      }).then(function() {
+        return [itemA, itemB];
+      });
+    });
+  });
+};
+
 helper.contextualSuites("Entity (modify)", helper.makeContexts(Item),
 function(context, options) {
   var Item = options.Item;
@@ -202,4 +225,105 @@ function(context, options) {
       assert(item.count === 6);
     });
   });
+
+  test("Item.modify (maxAttempts: 1)", function() {
+    return createConflict(Item).then(function(items) {
+      return items[1].modify(function() {
+        this.count += 1;
+      }, {maxAttempts: 1});
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'EntityWriteCongestionError');
+    });
+  });
+
+  test("Item.modify (backoff function)", function() {
+    var conflicts = [];
+    return createConflict(Item).then(function(items) {
+      return items[1].modify(function() {
+        this.count += 1;
+      }, {
+        backoff: function(conflict) {
+          conflicts.push(conflict);
+          return 10;
+        }
+      });
+    }).then(function(item) {
+      assert(item.count === 3);
+      assert.deepEqual(conflicts, [1]);
+    });
+  });
+
+  test("Item.modify (backoff object)", function() {
+    return createConflict(Item).then(function(items) {
+      return items[1].modify(function() {
+        this.count += 1;
+      }, {
+        backoff: {delayFactor: 5, maxDelay: 20}
+      });
+    }).then(function(item) {
+      assert(item.count === 3);
+    });
+  });
+
+  test("Item.modify (onConflict aborts)", function() {
+    var itemB;
+    return createConflict(Item).then(function(items) {
+      itemB = items[1];
+      return itemB.modify(function() {
+        this.count += 1;
+      }, {
+        onConflict: function(current, attempted) {
+          assert(current.count === 2);
+          assert(attempted.count === 2);
+          return false;
+        }
+      });
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'UpdateConditionNotSatisfied');
+      assert(itemB.count === 2);
+    });
+  });
+
+  test("Item.modify (onConflict retries)", function() {
+    var calls = 0;
+    return createConflict(Item).then(function(items) {
+      return items[1].modify(function() {
+        this.count += 1;
+      }, {
+        onConflict: function(current, attempted) {
+          calls += 1;
+          return Promise.resolve(true);
+        }
+      });
+    }).then(function(item) {
+      assert(calls === 1);
+      assert(item.count === 3);
+    });
+  });
+});
+
+helper.contextualSuites("Entity (modify options)",
+                        helper.makeContexts(Item, {modify: {maxAttempts: 1}}),
+function(context, options) {
+  var Item = options.Item;
+
+  setup(function() {
+    return Item.ensureTable();
+  });
+
+  test("Item.modify (maxAttempts: 1 from setup)", function() {
+    return createConflict(Item).then(function(items) {
+      return items[1].modify(function() {
+        this.count += 1;
+      });
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'EntityWriteCongestionError');
+    });
+  });
 });
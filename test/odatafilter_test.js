@@ -0,0 +1,158 @@
+var subject = require("../lib/entity")
+var odata   = require("../lib/odatafilter");
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var debug   = require('debug')('test:entity:odatafilter');
+
+suite("OData $filter", function() {
+  var entity = {
+    PartitionKey:         'my-id',
+    RowKey:               "it's",
+    count:                42,
+    ratio:                0.5,
+    big:                  '4294967296',
+    'big@odata.type':     'Edm.Int64',
+    active:               true,
+    time:                 '2017-01-01T00:00:00.000Z',
+    'time@odata.type':    'Edm.DateTime',
+    uuid:                 '8F3ADE1F-D449-4359-A07A-644E56AE8E58',
+    'uuid@odata.type':    'Edm.Guid'
+  };
+
+  var matches = function(filter) {
+    return odata.compile(filter)(entity);
+  };
+
+  test("strings", function() {
+    assert(matches("PartitionKey eq 'my-id'"));
+    assert(matches("RowKey eq 'it''s'"));
+    assert(!matches("PartitionKey ne 'my-id'"));
+    assert(matches("PartitionKey ge 'my' and PartitionKey lt 'my~'"));
+    assert(!matches("PartitionKey gt 'my-id'"));
+  });
+
+  test("numbers", function() {
+    assert(matches("count eq 42"));
+    assert(matches("count le 42.0"));
+    assert(matches("ratio gt 0.25"));
+    assert(matches("ratio lt 1e1"));
+    assert(matches("big gt 4294967295L"));
+    assert(matches("count gt -1"));
+  });
+
+  test("booleans", function() {
+    assert(matches("active eq true"));
+    assert(!matches("active eq false"));
+    assert(matches("active ne false"));
+  });
+
+  test("datetime and guid", function() {
+    assert(matches("time eq datetime'2017-01-01T00:00:00.000Z'"));
+    assert(matches("time gt datetime'2016-12-31T23:59:59Z'"));
+    assert(matches("uuid eq guid'8f3ade1f-d449-4359-a07a-644e56ae8e58'"));
+  });
+
+  test("and, or, not and parentheses", function() {
+    assert(matches("count eq 1 or count eq 42"));
+    assert(!matches("count eq 1 or count eq 2 and active eq true"));
+    assert(matches("(count eq 1 or count eq 42) and active eq true"));
+    assert(matches("not (count eq 1)"));
+    assert(!matches("not(count eq 42 and active eq true)"));
+    assert(matches("not not count eq 42"));
+  });
+
+  test("missing properties and mismatched types don't match", function() {
+    assert(!matches("missing eq 'x'"));
+    assert(!matches("missing ne 'x'"));
+    assert(!matches("count eq '42'"));
+    assert(!matches("count ne '42'"));
+    assert(matches("not (missing eq 'x')"));
+  });
+
+  test("invalid filters", function() {
+    [
+      "count eq",
+      "count is 42",
+      "(count eq 42",
+      "count eq 42)",
+      "count eq 42 and",
+      "count eq \"42\"",
+      "PartitionKey eq 'unterminated"
+    ].forEach(function(filter) {
+      assert.throws(function() {
+        odata.compile(filter);
+      }, function(err) {
+        debug("error for %s: %s", filter, err.message);
+        return err.code === 'InvalidInput' && err.statusCode === 400;
+      }, "expected error for: " + filter);
+    });
+  });
+});
+
+suite("Entity (query with in-memory $filter)", function() {
+  var Item = subject.configure({
+    version:          1,
+    partitionKey:     subject.keys.StringKey('id'),
+    rowKey:           subject.keys.StringKey('name'),
+    properties: {
+      id:             subject.types.String,
+      name:           subject.types.String,
+      count:          subject.types.Number,
+      uuid:           subject.types.UUID,
+      slug:           subject.types.SlugId
+    }
+  }).setup({
+    account:      'inMemory',
+    table:        'odataItems',
+    credentials:  null,
+    store:        new subject.InMemoryStore()
+  });
+
+  var id    = slugid.v4();
+  var slug1 = slugid.v4();
+  var slug2 = slugid.v4();
+  suiteSetup(async function() {
+    await Item.ensureTable();
+    await Item.create({
+      id: id, name: 'item1', count: 1, slug: slug1,
+      uuid: '8f3ade1f-d449-4359-a07a-644e56ae8e58'
+    });
+    await Item.create({
+      id: id, name: 'item2', count: 4294967296, slug: slug2,
+      uuid: '2d2de7a5-4c37-4e3e-a4f2-44f1cf1dd0a3'
+    });
+  });
+
+  test("Filter without compare methods on operators and types",
+       async function() {
+    assert(subject.op.equal(1).compare === undefined);
+    assert(new subject.types.Number('count').compare === undefined);
+    var data = await Item.query({id: id, count: subject.op.lessThan(2)});
+    assert(data.entries.length === 1);
+    assert(data.entries[0].name === 'item1');
+  });
+
+  test("Filter by slugid", async function() {
+    var data = await Item.query({id: id, slug: slug2});
+    assert(data.entries.length === 1);
+    assert(data.entries[0].name === 'item2');
+  });
+
+  test("Filter by uuid (any case)", async function() {
+    var data = await Item.query({
+      id:   id,
+      uuid: '8F3ADE1F-D449-4359-A07A-644E56AE8E58'
+    });
+    assert(data.entries.length === 1);
+    assert(data.entries[0].name === 'item1');
+  });
+
+  test("Filter by count > 2^31 (Edm.Int64)", async function() {
+    var data = await Item.query({
+      id:     id,
+      count:  subject.op.greaterThan(2147483648)
+    });
+    assert(_.map(data.entries, 'name').join() === 'item2');
+  });
+});
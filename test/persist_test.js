@@ -0,0 +1,141 @@
+var assert  = require('assert');
+var slugid  = require('slugid');
+var fs      = require('fs');
+var os      = require('os');
+var path    = require('path');
+var _       = require('lodash');
+var debug   = require('debug')('test:entity:persist');
+
+suite('Entity (inMemory with persistTo)', function() {
+  var file = null;
+
+  // Load entity.js and inmemory.js again, as if the process was restarted,
+  // and return an Item class setup to persist to `file`. The modules already
+  // loaded are restored afterwards, as other suites use them.
+  var restart = function() {
+    var modules = [
+      require.resolve('../lib/entity'),
+      require.resolve('../lib/inmemory')
+    ];
+    var cached = _.pick(require.cache, modules);
+    modules.forEach(function(module) {
+      delete require.cache[module];
+    });
+    var subject = require('../lib/entity');
+    var Item = subject.configure({
+      version:          1,
+      partitionKey:     subject.keys.StringKey('id'),
+      rowKey:           subject.keys.StringKey('name'),
+      properties: {
+        id:             subject.types.String,
+        name:           subject.types.String,
+        count:          subject.types.Number,
+        data:           subject.types.JSON
+      }
+    }).setup({
+      account:      'inMemory',
+      table:        'persistItems',
+      credentials:  null,
+      persistTo:    file
+    });
+    _.assign(require.cache, cached);
+    return Item;
+  };
+
+  setup(function() {
+    file = path.join(os.tmpdir(), 'azure-entities-' + slugid.v4() + '.json');
+  });
+
+  teardown(function() {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test("entities survive restart", async function() {
+    var Item = restart();
+    await Item.ensureTable();
+    await Item.create({id: 'a', name: 'one', count: 1, data: {x: [1, 2]}});
+    var item = await Item.create({id: 'a', name: 'two', count: 2, data: {}});
+    await item.modify(function() { this.count = 3; });
+    await Item.create({id: 'a', name: 'three', count: 3, data: {}});
+    await Item.remove({id: 'a', name: 'three'});
+    await Item.batch().create({id: 'b', name: 'one', count: 4, data: 0})
+      .commit();
+
+    Item = restart();
+    await Item.ensureTable();
+    var one = await Item.load({id: 'a', name: 'one'});
+    assert(one.count === 1);
+    assert(_.isEqual(one.data, {x: [1, 2]}));
+    var two = await Item.load({id: 'a', name: 'two'});
+    assert(two.count === 3);
+    assert(two._etag === item._etag, "expected etag to be persisted");
+    assert(await Item.load({id: 'a', name: 'three'}, true) === null);
+    var data = await Item.scan({}, {});
+    assert(data.entries.length === 3);
+  });
+
+  test("optimistic concurrency works after restart", async function() {
+    var Item = restart();
+    await Item.ensureTable();
+    var item = await Item.create({id: 'a', name: 'one', count: 1, data: {}});
+
+    Item = restart();
+    var item1 = await Item.load({id: 'a', name: 'one'});
+    var item2 = await Item.load({id: 'a', name: 'one'});
+    assert(item1._etag === item._etag, "expected etag to be persisted");
+    await item2.modify(function() { this.count += 1; });
+    assert(item2._etag !== item._etag, "expected a new etag");
+    await item1.modify(function() { this.count += 1; });
+    assert(item1.count === 3);
+  });
+
+  test("etags are unique after restart with replaced entities", async function() {
+    var Item = restart();
+    await Item.ensureTable();
+    await Item.create({id: 'a', name: 'one', count: 1, data: {}}, true);
+
+    Item = restart();
+    var item1 = await Item.create({id: 'a', name: 'two', count: 1, data: {}});
+    await item1.remove();
+    var item2 = await Item.create({id: 'a', name: 'two', count: 1, data: {}});
+    assert(item1._etag !== item2._etag, "expected a new etag");
+    var snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    _.forIn(snapshot.tables.persistItems, function(entity) {
+      assert(typeof(entity.Timestamp) === 'number', "expected a timestamp");
+    });
+  });
+
+  test("snapshot is written to persistTo", async function() {
+    var Item = restart();
+    await Item.ensureTable();
+    await Item.create({id: 'a', name: 'one', count: 1, data: {}});
+    var snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    debug("snapshot: %j", snapshot);
+    assert(_.keys(snapshot.tables.persistItems).length === 1);
+    assert(!fs.existsSync(file + '.tmp'), "expected temporary file renamed");
+    await Item.removeTable();
+    snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert(!snapshot.tables.persistItems);
+  });
+
+  test("persistTo isn't allowed with Azure credentials", function() {
+    var subject = require('../lib/entity');
+    assert.throws(function() {
+      subject.configure({
+        version:          1,
+        partitionKey:     subject.keys.StringKey('id'),
+        rowKey:           subject.keys.StringKey('name'),
+        properties: {
+          id:             subject.types.String,
+          name:           subject.types.String
+        }
+      }).setup({
+        table:        'persistItems',
+        credentials:  {accountName: 'x', accountKey: 'YWJj'},
+        persistTo:    file
+      });
+    }, /persistTo/);
+  });
+});
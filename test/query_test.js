@@ -182,6 +182,135 @@ helper.contextualSuites("Entity (query)", [
     });
   });
 
+  test("Query a partition (with concurrency 1 and limit 2)", function() {
+    var sum = 0;
+    var running = 0;
+    return Item.query({id: id}, {
+      limit:        2,
+      concurrency:  1,
+      handler:      function(item) {
+        running += 1;
+        assert(running === 1, "Expected at most one handler call at a time");
+        return new Promise(function(accept) {
+          setTimeout(function() {
+            running -= 1;
+            sum += item.count;
+            accept();
+          }, 50);
+        });
+      }
+    }).then(function() {
+      assert(sum === 6);
+    });
+  });
+
+  test("Query a partition (with onError: 'abort')", function() {
+    var calls = 0;
+    return Item.query({id: id}, {
+      concurrency:  1,
+      handler:      function(item) {
+        calls += 1;
+        throw new Error("handler failed");
+      }
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.message === "handler failed");
+      assert(calls === 1, "Expected no more calls after the error");
+    });
+  });
+
+  test("Query a partition (with onError: 'continue')", function() {
+    var sum = 0;
+    return Item.query({id: id}, {
+      limit:        2,
+      onError:      'continue',
+      handler:      function(item) {
+        if (item.count === 1) {
+          throw new Error("handler failed");
+        }
+        sum += item.count;
+      }
+    }).then(function() {
+      assert(sum === 5);
+    });
+  });
+
+  test("Query a partition (with onError: 'collect')", function() {
+    var sum = 0;
+    return Item.query({id: id}, {
+      limit:        2,
+      concurrency:  2,
+      onError:      'collect',
+      handler:      function(item) {
+        if (item.count !== 2) {
+          throw new Error("handler failed");
+        }
+        sum += item.count;
+      }
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'ScanHandlerErrors');
+      assert(err.errors.length === 2);
+      err.errors.forEach(function(entry) {
+        assert(entry.item.count !== 2);
+        assert(entry.error.message === "handler failed");
+      });
+      assert(sum === 2);
+    });
+  });
+
+  test("Query a partition (with iterator and limit 2)", function() {
+    var iterator = Item.query({id: id}, {
+      limit:      2,
+      iterator:   true
+    });
+    var names = [];
+    var consume = function() {
+      return iterator.next().then(function(result) {
+        if (result.done) {
+          return;
+        }
+        names.push(result.value.name);
+        return consume();
+      });
+    };
+    return consume().then(function() {
+      assert.deepEqual(names, ['item1', 'item2', 'item3']);
+      assert(iterator.continuation === null);
+    });
+  });
+
+  test("Query a partition (with iterator, stop and resume)", function() {
+    var iterator = Item.query({id: id}, {
+      limit:      2,
+      iterator:   true
+    });
+    return iterator.next().then(function(result) {
+      assert(result.value.name === 'item1');
+      // Page isn't consumed, so we resume from the current page
+      assert(iterator.continuation === null);
+      return iterator.next();
+    }).then(function(result) {
+      assert(result.value.name === 'item2');
+      // Page is consumed, so we resume from the next page
+      assert(iterator.continuation);
+      return iterator.return();
+    }).then(function(result) {
+      assert(result.done);
+      return iterator.next();
+    }).then(function(result) {
+      assert(result.done, "Expected no more results after return()");
+      return Item.query({id: id}, {
+        iterator:     true,
+        continuation: iterator.continuation
+      }).next();
+    }).then(function(result) {
+      assert(result.value.name === 'item3');
+    });
+  });
+
   test("Filter by tag", function() {
     var sum = 0;
     return Item.query({
@@ -289,6 +418,134 @@ helper.contextualSuites("Entity (query)", [
     });
   });
 
+  test("Filter by tag starts with 'tag'", function() {
+    return Item.query({
+      id:       id,
+      tag:      subject.op.startsWith('tag')
+    }).then(function(data) {
+      assert(data.entries.length === 3);
+    });
+  });
+
+  test("Filter by name starts with 'item1' (row-key)", function() {
+    return Item.query({
+      id:       id,
+      name:     subject.op.startsWith('item1')
+    }).then(function(data) {
+      assert(data.entries.length === 1);
+      assert(data.entries[0].name === 'item1');
+    });
+  });
+
+  test("Filter by name between 'item2' and 'item3' (row-key)", function() {
+    return Item.query({
+      id:       id,
+      name:     subject.op.between('item2', 'item3')
+    }).then(function(data) {
+      var names = data.entries.map(function(item) { return item.name; });
+      assert.deepEqual(names.sort(), ['item2', 'item3']);
+    });
+  });
+
+  test("Scan with id starts with id (partition-key)", function() {
+    return Item.scan({
+      id:       subject.op.startsWith(id)
+    }).then(function(data) {
+      assert(data.entries.length === 3);
+    });
+  });
+
+  test("Can't use startsWith for count", function() {
+    return Promise.resolve().then(function() {
+      return Item.query({
+        id:       id,
+        count:    subject.op.startsWith('1')
+      });
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(/only supported for String properties/.test(err.message));
+    });
+  });
+
+  test("Filter by name in [item1, item3]", function() {
+    return Item.query({
+      id:       id,
+      name:     subject.op.in(['item1', 'item3', 'item4'])
+    }).then(function(data) {
+      var names = data.entries.map(function(item) { return item.name; });
+      assert.deepEqual(names.sort(), ['item1', 'item3']);
+    });
+  });
+
+  test("Filter by name in (too many values)", function() {
+    var names = _.range(16).map(function(i) { return 'item' + i; });
+    assert.throws(function() {
+      subject.op.in(names);
+    }, /at most 15 values/);
+    assert(subject.op.in(names.slice(0, 15)).operand.length === 15);
+  });
+
+  test("Filter by count < 2 or count > 2", function() {
+    return Item.query({
+      id:       id,
+      count:    subject.op.or(subject.op.lessThan(2), subject.op.greaterThan(2))
+    }).then(function(data) {
+      var counts = data.entries.map(function(item) { return item.count; });
+      assert.deepEqual(counts.sort(), [1, 3]);
+    });
+  });
+
+  test("Filter by not (tag in [tag2])", function() {
+    return Item.query({
+      id:       id,
+      tag:      subject.op.not(subject.op.in(['tag2']))
+    }).then(function(data) {
+      var names = data.entries.map(function(item) { return item.name; });
+      assert.deepEqual(names.sort(), ['item1', 'item3']);
+    });
+  });
+
+  test("Filter by (tag == tag2) or (count > 2 and active == true)", function() {
+    return Item.query(subject.op.and({id: id}, subject.op.or(
+      {tag: 'tag2'},
+      {count: subject.op.greaterThan(2), active: true}
+    ))).then(function(data) {
+      var names = data.entries.map(function(item) { return item.name; });
+      assert.deepEqual(names.sort(), ['item2', 'item3']);
+    });
+  });
+
+  test("Filter by not ((count == 1) or (time > Date(100)))", function() {
+    return Item.query(subject.op.and({id: id}, subject.op.not(subject.op.or(
+      {count: 1},
+      {time: subject.op.greaterThan(new Date(100))}
+    )))).then(function(data) {
+      assert(data.entries.length === 1);
+      assert(data.entries[0].name === 'item2');
+    });
+  });
+
+  test("Can't query with composite conditions without partition-key", function() {
+    return Promise.resolve().then(function() {
+      return Item.query(subject.op.or({id: id}, {tag: 'tag1'}));
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %j", err);
+    });
+  });
+
+  test("Can't use comparison operators for conditions objects", function() {
+    return Promise.resolve().then(function() {
+      return Item.query(subject.op.and({id: id}, subject.op.lessThan(3)));
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(/must be given for a property/.test(err.message));
+    });
+  });
+
   test("Query for specific row (matchRow: exact)", function() {
     return Item.query({
       id:     id,
@@ -0,0 +1,260 @@
+var subject = require("../lib/entity")
+var inmemory = require("../lib/inmemory");
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var Promise = require('promise');
+var debug   = require('debug')('test:entity:retry');
+var base    = require('taskcluster-base');
+
+var sleep = function(delay) {
+  return new Promise(function(accept) {
+    setTimeout(accept, delay);
+  });
+};
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  }
+});
+
+suite('Entity (retry)', function() {
+  var getEntity = inmemory.InMemoryWrapper.prototype.getEntity;
+  var updateEntity = inmemory.InMemoryWrapper.prototype.updateEntity;
+  var insertEntity = inmemory.InMemoryWrapper.prototype.insertEntity;
+  var monitor = null;
+  var failures = 0;
+  var attempts = 0;
+
+  // Make getEntity fail with `code` for the first `failures` attempts
+  var failWith = function(code) {
+    inmemory.InMemoryWrapper.prototype.getEntity = function() {
+      attempts += 1;
+      if (attempts <= failures) {
+        var err = new Error("Injected error");
+        err.code = code;
+        return Promise.reject(err);
+      }
+      return getEntity.apply(this, arguments);
+    };
+  };
+
+  // Make `method` fail with `code` after it was applied, the first `failures`
+  // times, as when a request times out after reaching the server
+  var failAfterWrite = function(method, code) {
+    var write = inmemory.InMemoryWrapper.prototype[method];
+    inmemory.InMemoryWrapper.prototype[method] = function() {
+      attempts += 1;
+      return write.apply(this, arguments).then(function(result) {
+        if (attempts <= failures) {
+          var err = new Error("Injected error");
+          err.code = code;
+          throw err;
+        }
+        return result;
+      });
+    };
+  };
+
+  setup(async function() {
+    attempts = 0;
+    monitor = await base.monitor({
+      project: 'azure-entities',
+      credentials: {},
+      mock: true,
+    });
+  });
+
+  teardown(function() {
+    inmemory.InMemoryWrapper.prototype.getEntity = getEntity;
+    inmemory.InMemoryWrapper.prototype.updateEntity = updateEntity;
+    inmemory.InMemoryWrapper.prototype.insertEntity = insertEntity;
+  });
+
+  var setupItem = async function(retry) {
+    var Item = ItemV1.setup({
+      account:      'inMemory',
+      table:        'retryItems',
+      credentials:  null,
+      monitor:      monitor,
+      retry:        retry
+    });
+    await Item.ensureTable();
+    await Item.create({id: 'my-id', name: 'my-name', count: 1}, true);
+    return Item;
+  };
+
+  test("Item.load retries transient errors", async function() {
+    failures = 2;
+    failWith('ServerBusy');
+    var Item = await setupItem({delayFactor: 1});
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    assert(item.count === 1);
+    assert(attempts === 3);
+    assert(monitor.counts['azure-entities.getEntity.retry'] === 2);
+    assert(monitor.counts['azure-entities.getEntity.success'] === 1);
+  });
+
+  test("Item.load gives up after maxAttempts", async function() {
+    failures = 5;
+    failWith('OperationTimedOut');
+    var Item = await setupItem({delayFactor: 1, maxAttempts: 3});
+    try {
+      await Item.load({id: 'my-id', name: 'my-name'});
+    } catch (err) {
+      assert(err.code === 'OperationTimedOut');
+      assert(attempts === 3);
+      assert(monitor.counts['azure-entities.getEntity.retry'] === 2);
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("Item.load doesn't retry other errors", async function() {
+    failures = 1;
+    failWith('ResourceNotFound');
+    var Item = await setupItem({delayFactor: 1});
+    var item = await Item.load({id: 'my-id', name: 'my-name'}, true);
+    assert(item === null);
+    assert(attempts === 1);
+    assert(!monitor.counts['azure-entities.getEntity.retry']);
+  });
+
+  test("Item.load doesn't retry without retry option", async function() {
+    failures = 1;
+    failWith('ServerBusy');
+    var Item = await setupItem(undefined);
+    try {
+      await Item.load({id: 'my-id', name: 'my-name'});
+    } catch (err) {
+      assert(err.code === 'ServerBusy');
+      assert(attempts === 1);
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("retryableCodes can be configured", async function() {
+    failures = 1;
+    failWith('MyTransientError');
+    var Item = await setupItem({
+      delayFactor:    1,
+      retryableCodes: ['MyTransientError']
+    });
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    assert(item.count === 1);
+    assert(attempts === 2);
+  });
+
+  test("item.modify doesn't retry writes that may have been applied",
+       async function() {
+    failures = 0;
+    failAfterWrite('updateEntity', 'ETIMEDOUT');
+    var Item = await setupItem({delayFactor: 1});
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    failures = 1;
+    attempts = 0;
+    var calls = 0;
+    try {
+      await item.modify(function() {
+        calls += 1;
+        this.count += 1;
+      });
+    } catch (err) {
+      assert(err.code === 'ETIMEDOUT');
+      assert(calls === 1, "expected the modifier to be called once");
+      assert(attempts === 1);
+      assert(!monitor.counts['azure-entities.updateEntity.retry']);
+      item = await Item.load({id: 'my-id', name: 'my-name'});
+      assert(item.count === 2, "expected the write to be applied once");
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("Item.create doesn't retry writes that may have been applied",
+       async function() {
+    failures = 1;
+    failAfterWrite('insertEntity', 'ECONNRESET');
+    var Item = await setupItem({delayFactor: 1});
+    try {
+      await Item.create({id: 'my-id', name: slugid.v4(), count: 1});
+    } catch (err) {
+      assert(err.code === 'ECONNRESET');
+      assert(attempts === 1);
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("Item.create retries writes failing with ServerBusy", async function() {
+    inmemory.InMemoryWrapper.prototype.insertEntity = function() {
+      attempts += 1;
+      if (attempts === 1) {
+        var err = new Error("Injected error");
+        err.code = 'ServerBusy';
+        return Promise.reject(err);
+      }
+      return insertEntity.apply(this, arguments);
+    };
+    var Item = await setupItem({delayFactor: 1});
+    var item = await Item.create({id: 'my-id', name: slugid.v4(), count: 1});
+    assert(item.count === 1);
+    assert(attempts === 2);
+    assert(monitor.counts['azure-entities.insertEntity.retry'] === 1);
+  });
+
+  test("Item.create stops retrying once timed out", async function() {
+    inmemory.InMemoryWrapper.prototype.insertEntity = function() {
+      attempts += 1;
+      var err = new Error("Injected error");
+      err.code = 'ServerBusy';
+      return Promise.reject(err);
+    };
+    // Retries after 100 ms, 200 ms, etc. (+/- 25%)
+    var Item = await setupItem({delayFactor: 50});
+    try {
+      await Item.create({id: 'my-id', name: slugid.v4(), count: 1}, {
+        timeout:  20
+      });
+    } catch (err) {
+      assert(err.code === 'TimeoutError');
+      await sleep(300);
+      assert(attempts === 1, "expected no more attempts");
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("Item.load stops retrying once timed out", async function() {
+    failures = 5;
+    failWith('ServerBusy');
+    var Item = await setupItem({delayFactor: 50});
+    try {
+      await Item.load({id: 'my-id', name: 'my-name'}, {timeout: 20});
+    } catch (err) {
+      assert(err.code === 'TimeoutError');
+      await sleep(300);
+      assert(attempts === 1, "expected no more attempts");
+      return;
+    }
+    assert(false, 'expected an error');
+  });
+
+  test("ItemV1.setup (invalid retry.maxAttempts)", function() {
+    assert.throws(function() {
+      ItemV1.setup({
+        account:      'inMemory',
+        table:        'retryItems',
+        credentials:  null,
+        retry:        {maxAttempts: 0}
+      });
+    }, /maxAttempts/);
+  });
+});
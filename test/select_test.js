@@ -0,0 +1,229 @@
+var subject = require("../lib/entity")
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var Promise = require('promise');
+var crypto  = require('crypto');
+var debug   = require('debug')('test:entity:select');
+var helper  = require('./helper');
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number,
+    data:           subject.types.Text
+  }
+});
+
+var ItemV2 = ItemV1.configure({
+  version:          2,
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number,
+    data:           subject.types.Text,
+    blob:           subject.types.EncryptedBlob
+  },
+  migrate: function(item) {
+    item.blob = new Buffer([]);
+    return item;
+  }
+});
+
+var SignedItem = subject.configure({
+  version:          1,
+  signEntities:     true,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  }
+});
+
+helper.contextualSuites("Entity (select)", [
+  {
+    context: "Azure",
+    options: {
+      credentials:  helper.cfg.azure,
+      table:        helper.cfg.tableName + 'Select',
+    },
+  }, {
+    context: "In-Memory",
+    options: {
+      account:      "inMemory",
+      table:        "selectItems",
+      credentials:  null,
+    }
+  },
+], function(context, options) {
+  var Item1 = ItemV1.setup(_.defaults({}, options));
+  var Item = ItemV2.setup(_.defaults({
+    cryptoKey:    'CNcj2aOozdo7Pn+HEkAIixwninIwKnbYc6JPS9mNxZk='
+  }, options));
+
+  // Construct a large string (128k), spanning multiple columns
+  var largeString = crypto.randomBytes(96 * 1024).toString('base64');
+
+  var id = slugid.v4();
+  setup(function() {
+    return Item.ensureTable().then(function() {
+      return Promise.all([
+        Item.create({
+          id:     id,
+          name:   'item1',
+          count:  1,
+          data:   largeString,
+          blob:   new Buffer([1, 2, 3])
+        }, true),
+        Item1.create({
+          id:     id,
+          name:   'item2',
+          count:  2,
+          data:   'old version'
+        }, true)
+      ]);
+    });
+  });
+
+  test("Item.load with select", function() {
+    return Item.load({id: id, name: 'item1'}, {
+      select: ['count', 'data']
+    }).then(function(item) {
+      assert(item.count === 1);
+      assert(item.data === largeString);
+      assert(item.blob === undefined);
+      assert(item.id === undefined);
+    });
+  });
+
+  test("Item.load with select (encrypted property)", function() {
+    return Item.load({id: id, name: 'item1'}, {
+      select: ['blob']
+    }).then(function(item) {
+      assert(item.blob.equals(new Buffer([1, 2, 3])));
+      assert(item.data === undefined);
+    });
+  });
+
+  test("Item.load with select (ignoreIfNotExists)", function() {
+    return Item.load({id: id, name: 'missing'}, {
+      select:             ['count'],
+      ignoreIfNotExists:  true
+    }).then(function(item) {
+      assert(item === null);
+    });
+  });
+
+  test("Item.load with select (migrates old versions)", function() {
+    return Item.load({id: id, name: 'item2'}, {
+      select: ['count', 'blob']
+    }).then(function(item) {
+      assert(item.count === 2);
+      assert(item.blob.length === 0);
+      assert(item.data === undefined);
+    });
+  });
+
+  test("Item.query with select", function() {
+    return Item.query({id: id}, {
+      select: ['name', 'count']
+    }).then(function(data) {
+      assert(data.entries.length === 2);
+      data.entries.forEach(function(item) {
+        assert(item.data === undefined);
+        assert(item.count === (item.name === 'item1' ? 1 : 2));
+      });
+    });
+  });
+
+  test("Item.query with select (handler)", function() {
+    var counts = [];
+    return Item.query({id: id}, {
+      select:   ['count'],
+      handler:  function(item) {
+        assert(item.name === undefined);
+        counts.push(item.count);
+      }
+    }).then(function() {
+      assert.deepEqual(counts.sort(), [1, 2]);
+    });
+  });
+
+  test("Item.modify fails for partial entities", function() {
+    return Item.load({id: id, name: 'item1'}, {
+      select: ['count']
+    }).then(function(item) {
+      return item.modify(function() {
+        this.count += 1;
+      });
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(/partial entity/.test(err.message));
+    });
+  });
+
+  test("Item.reload keeps partial entities partial", function() {
+    var item;
+    return Item.load({id: id, name: 'item1'}, {
+      select: ['count']
+    }).then(function(item_) {
+      item = item_;
+      return item.reload();
+    }).then(function() {
+      assert(item.count === 1);
+      assert(item.data === undefined);
+    });
+  });
+
+  test("Item.scan with select (undefined property)", function() {
+    assert.throws(function() {
+      Item.scan({}, {select: ['missing']});
+    }, /missing/);
+  });
+
+  test("Item.load with select (signed entities)", function() {
+    var Signed = SignedItem.setup(_.defaults({
+      signingKey:   'no-way-you-can-guess-this'
+    }, options));
+    assert.throws(function() {
+      Signed.load({id: id, name: 'item1'}, {select: ['count']});
+    }, /signEntities/);
+  });
+});
+
+suite("Entity (select, deleted during query)", function() {
+  test("Item.query with select (skips deleted old versions)", async function() {
+    var store = new subject.InMemoryStore();
+    var options = {
+      account:      'inMemory',
+      table:        'selectItems',
+      credentials:  null,
+      store:        store
+    };
+    var Item1 = ItemV1.setup(options);
+    var Item = ItemV2.setup(_.defaults({
+      cryptoKey:    'CNcj2aOozdo7Pn+HEkAIixwninIwKnbYc6JPS9mNxZk='
+    }, options));
+    await Item.ensureTable();
+    await Item1.create({id: 'my-id', name: 'item1', count: 1, data: 'old'});
+    await Item1.create({id: 'my-id', name: 'item2', count: 2, data: 'old'});
+    // Fail loading item1 in full, as if deleted after the query
+    store.injectFault({
+      method:       'getEntity',
+      partitionKey: 'my-id',
+      rowKey:       'item1',
+      code:         'ResourceNotFound'
+    });
+    var data = await Item.query({id: 'my-id'}, {select: ['count', 'blob']});
+    assert(data.entries.length === 1);
+    assert(data.entries[0].count === 2);
+    assert(data.entries[0].blob.length === 0);
+  });
+});
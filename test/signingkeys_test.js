@@ -0,0 +1,127 @@
+var subject = require("../lib/entity")
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var Promise = require('promise');
+var debug   = require('debug')('test:entity:signingKeys');
+var helper  = require('./helper');
+
+var ItemV1 = subject.configure({
+  version:          1,
+  signEntities:     true,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  }
+});
+
+helper.contextualSuites("Entity (signingKeys)", [
+  {
+    context: "Azure",
+    options: {
+      credentials:  helper.cfg.azure,
+      table:        helper.cfg.tableName + 'SigningKeys',
+    },
+  }, {
+    context: "In-Memory",
+    options: {
+      account:      "inMemory",
+      table:        "signingKeysItems",
+      credentials:  null,
+    }
+  },
+], function(context, options) {
+  var OldItem = ItemV1.setup(_.defaults({
+    signingKey:   'old-secret'
+  }, options));
+  var Item = ItemV1.setup(_.defaults({
+    signingKeys:  ['new-secret', 'old-secret']
+  }, options));
+  var NewItem = ItemV1.setup(_.defaults({
+    signingKeys:  ['new-secret']
+  }, options));
+
+  setup(function() {
+    return Item.ensureTable();
+  });
+
+  test("ItemV1.setup (signingKey and signingKeys)", function() {
+    assert.throws(function() {
+      ItemV1.setup(_.defaults({
+        signingKey:   'old-secret',
+        signingKeys:  ['new-secret']
+      }, options));
+    }, /both/);
+  });
+
+  test("ItemV1.setup (empty signingKeys)", function() {
+    assert.throws(function() {
+      ItemV1.setup(_.defaults({
+        signingKeys:  []
+      }, options));
+    }, /non-empty array/);
+  });
+
+  test("Sign with primary key, accept secondary keys", function() {
+    var id = slugid.v4();
+    return Promise.all([
+      OldItem.create({id: id, name: 'old', count: 1}),
+      Item.create({id: id, name: 'new', count: 2})
+    ]).then(function() {
+      return Item.query({id: id});
+    }).then(function(data) {
+      assert(data.entries.length === 2);
+      return NewItem.load({id: id, name: 'new'});
+    }).then(function(item) {
+      assert(item.count === 2);
+      return NewItem.load({id: id, name: 'old'});
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(/Signature validation failed/.test(err.message));
+    });
+  });
+
+  test("Item.modify signs with primary key", function() {
+    var id = slugid.v4();
+    return OldItem.create({
+      id: id, name: 'old', count: 1
+    }).then(function() {
+      return Item.load({id: id, name: 'old'});
+    }).then(function(item) {
+      return item.modify(function() {
+        this.count += 1;
+      });
+    }).then(function() {
+      return NewItem.load({id: id, name: 'old'});
+    }).then(function(item) {
+      assert(item.count === 2);
+    });
+  });
+
+  test("Item.resignAll", function() {
+    var id = slugid.v4();
+    return Promise.all([
+      OldItem.create({id: id, name: 'old1', count: 1}),
+      OldItem.create({id: id, name: 'old2', count: 2}),
+      Item.create({id: id, name: 'new', count: 3})
+    ]).then(function() {
+      return Item.resignAll({concurrency: 2});
+    }).then(function(progress) {
+      assert(progress.scanned >= 3);
+      assert(progress.resigned >= 2);
+      assert(!progress.continuation);
+      return NewItem.query({id: id});
+    }).then(function(data) {
+      var counts = data.entries.map(function(item) { return item.count; });
+      assert.deepEqual(counts.sort(), [1, 2, 3]);
+      // Nothing left to re-sign
+      return Item.resignAll();
+    }).then(function(progress) {
+      assert(progress.resigned === 0);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+var subject     = require("../lib/entity")
+var conformance = require("../lib/conformance");
+var assert      = require('assert');
+var slugid      = require('slugid');
+var path        = require('path');
+var os          = require('os');
+var fs          = require('fs');
+var _           = require('lodash');
+var Promise     = require('promise');
+var debug       = require('debug')('test:entity:sqlite');
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number,
+    time:           subject.types.Date,
+    tag:            subject.types.SlugId
+  }
+});
+
+// sqlite3 is an optional peer dependency, skip the tests if it's missing
+var hasSQLite = true;
+try {
+  require('sqlite3');
+} catch (err) {
+  hasSQLite = false;
+}
+
+(hasSQLite ? suite : suite.skip)("Entity (SQLite)", function() {
+  var file = path.join(os.tmpdir(), 'azure-entities-' + slugid.v4() + '.sqlite');
+  var backends = [];
+
+  // Create a backend for `table` in `file`, closed when the suite is done
+  var createBackend = function(table) {
+    var backend = new subject.SQLiteBackend(table, {file: file});
+    backends.push(backend);
+    return backend;
+  };
+
+  suiteTeardown(function() {
+    return Promise.all(backends.map(function(backend) {
+      return backend.close();
+    })).then(function() {
+      fs.unlinkSync(file);
+    });
+  });
+
+  conformance.suite('SQLite', createBackend);
+
+  suite("Entity with SQLite backend", function() {
+    var Item = null;
+    var tag = slugid.v4();
+
+    suiteSetup(async function() {
+      Item = ItemV1.setup({
+        table:    'sqliteItems',
+        backend:  createBackend('sqliteItems')
+      });
+      await Item.ensureTable();
+      var time = new Date('2016-01-01T00:00:00.000Z');
+      await Promise.all(_.range(5).map(function(i) {
+        return Item.create({
+          id:     'my-id',
+          name:   'item-' + i,
+          count:  i,
+          time:   new Date(time.getTime() + i * 1000),
+          tag:    i % 2 ? tag : slugid.v4()
+        });
+      }));
+    });
+
+    test("Item.query with filters from types", async function() {
+      var data = await Item.query({
+        id:     'my-id',
+        count:  subject.op.ge(1),
+        time:   subject.op.lessThan(new Date('2016-01-01T00:00:04.000Z'))
+      });
+      assert(_.map(data.entries, 'name').join() === 'item-1,item-2,item-3');
+      data = await Item.query({id: 'my-id', tag: tag});
+      assert(_.map(data.entries, 'name').join() === 'item-1,item-3');
+    });
+
+    test("Item.query with continuation", async function() {
+      var names = [];
+      var continuation = undefined;
+      do {
+        var data = await Item.query({id: 'my-id'}, {
+          limit:        2,
+          continuation: continuation
+        });
+        assert(data.entries.length <= 2);
+        names = names.concat(_.map(data.entries, 'name'));
+        continuation = data.continuation;
+      } while (continuation);
+      assert(names.join() === 'item-0,item-1,item-2,item-3,item-4');
+    });
+
+    test("item.modify with concurrent modification", async function() {
+      var item1 = await Item.load({id: 'my-id', name: 'item-0'});
+      var item2 = await Item.load({id: 'my-id', name: 'item-0'});
+      await item1.modify(function() { this.count += 1; });
+      await item2.modify(function() { this.count += 10; });
+      var item = await Item.load({id: 'my-id', name: 'item-0'});
+      assert(item.count === 11);
+    });
+
+    test("Entities persist when the file is reopened", async function() {
+      await Promise.all(backends.map(function(backend) {
+        return backend.close();
+      }));
+      backends = [];
+      var Item2 = ItemV1.setup({
+        table:    'sqliteItems',
+        backend:  createBackend('sqliteItems')
+      });
+      var item = await Item2.load({id: 'my-id', name: 'item-2'});
+      assert(item.count === 2);
+      assert(item.time.getTime() ===
+             new Date('2016-01-01T00:00:02.000Z').getTime());
+    });
+  });
+
+  test("SQLiteBackend (without file)", function() {
+    assert.throws(function() {
+      new subject.SQLiteBackend('sqliteItems', {});
+    }, /file/);
+  });
+});
@@ -0,0 +1,235 @@
+var subject = require("../lib/entity")
+var inmemory = require("../lib/inmemory");
+var assert  = require('assert');
+var _       = require('lodash');
+var Promise = require('promise');
+var debug   = require('debug')('test:entity:timeout');
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  }
+});
+
+// Minimal AbortController for node versions that don't have one
+var makeAbortController = function() {
+  if (typeof(AbortController) === 'function') {
+    return new AbortController();
+  }
+  var listeners = [];
+  var signal = {
+    aborted:              false,
+    addEventListener:     function(type, f) { listeners.push(f); },
+    removeEventListener:  function(type, f) { _.pull(listeners, f); }
+  };
+  return {
+    signal: signal,
+    abort:  function() {
+      signal.aborted = true;
+      listeners.slice().forEach(function(f) { f(); });
+    }
+  };
+};
+
+var sleep = function(delay) {
+  return new Promise(function(accept) {
+    setTimeout(accept, delay);
+  });
+};
+
+// Assert that promise is rejected with an error with the given code
+var assertRejects = async function(promise, code) {
+  try {
+    await promise;
+  } catch (err) {
+    assert(err.code === code, "expected " + code + " got " + err.code);
+    return;
+  }
+  assert(false, 'expected an error');
+};
+
+suite('Entity (timeout and signal)', function() {
+  var methods = ['getEntity', 'queryEntities', 'updateEntity'];
+  var original = _.pick(inmemory.InMemoryWrapper.prototype, methods);
+  var calls = null;
+  var delays = null;
+  var conflicts = false;
+  var Item = null;
+
+  // Make `method` take `delay` ms
+  var slowDown = function(method, delay) {
+    delays[method] = delay;
+  };
+
+  setup(async function() {
+    calls = {getEntity: 0, queryEntities: 0, updateEntity: 0};
+    delays = {getEntity: 0, queryEntities: 0, updateEntity: 0};
+    conflicts = false;
+    // Count calls and delay methods, before they are bound by setup
+    methods.forEach(function(method) {
+      inmemory.InMemoryWrapper.prototype[method] = function() {
+        var self = this;
+        var args = arguments;
+        calls[method] += 1;
+        return sleep(delays[method]).then(function() {
+          if (method === 'updateEntity' && conflicts) {
+            var err = new Error("Injected conflict");
+            err.code = 'UpdateConditionNotSatisfied';
+            throw err;
+          }
+          return original[method].apply(self, args);
+        });
+      };
+    });
+    Item = ItemV1.setup({
+      account:      'inMemory',
+      table:        'timeoutItems',
+      credentials:  null
+    });
+    await Item.ensureTable();
+    await Item.scan({}, {handler: function(item) { return item.remove(); }});
+    await Item.create({id: 'my-id', name: 'my-name', count: 1});
+    calls = {getEntity: 0, queryEntities: 0, updateEntity: 0};
+  });
+
+  teardown(function() {
+    _.assign(inmemory.InMemoryWrapper.prototype, original);
+  });
+
+  test("Item.load with timeout", async function() {
+    slowDown('getEntity', 10);
+    var item = await Item.load({id: 'my-id', name: 'my-name'}, {
+      timeout: 500
+    });
+    assert(item.count === 1);
+  });
+
+  test("Item.load times out", async function() {
+    slowDown('getEntity', 200);
+    await assertRejects(Item.load({id: 'my-id', name: 'my-name'}, {
+      timeout: 20
+    }), 'TimeoutError');
+  });
+
+  test("Item.load aborted", async function() {
+    slowDown('getEntity', 200);
+    var controller = makeAbortController();
+    var loaded = Item.load({id: 'my-id', name: 'my-name'}, {
+      signal: controller.signal
+    });
+    controller.abort();
+    await assertRejects(loaded, 'AbortError');
+  });
+
+  test("Item.load with aborted signal makes no requests", async function() {
+    slowDown('getEntity', 0);
+    var controller = makeAbortController();
+    controller.abort();
+    await assertRejects(Item.load({id: 'my-id', name: 'my-name'}, {
+      signal: controller.signal
+    }), 'AbortError');
+    assert(calls.getEntity === 0);
+  });
+
+  test("Item.load (invalid timeout)", function() {
+    assert.throws(function() {
+      Item.load({id: 'my-id', name: 'my-name'}, {timeout: -1});
+    }, /timeout/);
+  });
+
+  test("Item.create with options", async function() {
+    var item = await Item.create({id: 'my-id', name: 'my-name', count: 2}, {
+      overwriteIfExists:  true,
+      timeout:            500
+    });
+    assert(item.count === 2);
+    await assertRejects(Item.create({id: 'my-id', name: 'my-name', count: 3}, {
+      overwriteIfExists:  false
+    }), 'EntityAlreadyExists');
+  });
+
+  test("Item.remove with options", async function() {
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    await item.modify(function() { this.count += 1; });
+    var controller = makeAbortController();
+    await item.remove({ignoreChanges: true, signal: controller.signal});
+    var removed = await Item.remove({id: 'my-id', name: 'my-name'}, {
+      ignoreIfNotExists:  true,
+      timeout:            500
+    });
+    assert(removed === false);
+  });
+
+  test("Item.modify times out", async function() {
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    slowDown('updateEntity', 200);
+    await assertRejects(item.modify(function() {
+      this.count += 1;
+    }, {timeout: 20}), 'TimeoutError');
+  });
+
+  test("Item.modify stops retrying when aborted", async function() {
+    var item = await Item.load({id: 'my-id', name: 'my-name'});
+    conflicts = true;
+    var controller = makeAbortController();
+    var modified = item.modify(function() {
+      this.count += 1;
+    }, {signal: controller.signal, backoff: function() { return 50; }});
+    await sleep(10);
+    controller.abort();
+    await assertRejects(modified, 'AbortError');
+    await sleep(100);
+    assert(calls.updateEntity === 1, "expected no more attempts");
+  });
+
+  test("Item.scan times out", async function() {
+    slowDown('queryEntities', 200);
+    await assertRejects(Item.scan({}, {timeout: 20}), 'TimeoutError');
+  });
+
+  test("Item.scan with handler stops fetching pages when aborted",
+  async function() {
+    await Promise.all(['a', 'b', 'c', 'd'].map(function(name) {
+      return Item.create({id: 'my-id', name: name, count: 1});
+    }));
+    slowDown('queryEntities', 10);
+    var controller = makeAbortController();
+    var handled = 0;
+    var scanned = Item.scan({}, {
+      limit:    1,
+      signal:   controller.signal,
+      handler:  function(item) {
+        handled += 1;
+        controller.abort();
+      }
+    });
+    await assertRejects(scanned, 'AbortError');
+    await sleep(100);
+    debug("queryEntities called %s times", calls.queryEntities);
+    assert(handled === 1, "expected only one call to the handler");
+    assert(calls.queryEntities === 2, "expected only one prefetched page");
+  });
+
+  test("Item.scan with iterator and timeout", async function() {
+    slowDown('queryEntities', 10);
+    var iterator = Item.scan({}, {iterator: true, timeout: 500});
+    var result = await iterator.next();
+    assert(result.value.count === 1);
+  });
+
+  test("ItemV1.setup (invalid timeout)", function() {
+    assert.throws(function() {
+      ItemV1.setup({
+        account:      'inMemory',
+        table:        'timeoutItems',
+        credentials:  null,
+        timeout:      0
+      });
+    }, /timeout/);
+  });
+});
@@ -0,0 +1,111 @@
+var subject = require("../lib/entity")
+var assert  = require('assert');
+var slugid  = require('slugid');
+var _       = require('lodash');
+var Promise = require('promise');
+var debug   = require('debug')('test:entity:upgrade');
+var helper  = require('./helper');
+
+var ItemV1 = subject.configure({
+  version:          1,
+  partitionKey:     subject.keys.StringKey('id'),
+  rowKey:           subject.keys.StringKey('name'),
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    count:          subject.types.Number
+  }
+});
+
+var ItemV2 = ItemV1.configure({
+  version:          2,
+  properties: {
+    id:             subject.types.String,
+    name:           subject.types.String,
+    total:          subject.types.Number
+  },
+  migrate: function(item) {
+    return {
+      id:           item.id,
+      name:         item.name,
+      total:        item.count
+    };
+  }
+});
+
+helper.contextualSuites("Entity (upgradeAll)", [
+  {
+    context: "Azure",
+    options: {
+      credentials:  helper.cfg.azure,
+      table:        helper.cfg.tableName + 'Upgrade',
+    },
+  }, {
+    context: "In-Memory",
+    options: {
+      account:      "inMemory",
+      table:        "upgradeItems",
+      credentials:  null,
+    }
+  },
+], function(context, options) {
+  var Item1 = ItemV1.setup(_.defaults({}, options));
+  var Item2 = ItemV2.setup(_.defaults({}, options));
+
+  setup(function() {
+    return Item1.ensureTable();
+  });
+
+  test("Item.upgradeAll", function() {
+    var id = slugid.v4();
+    var progressCalls = 0;
+    return Promise.all([
+      Item1.create({id: id, name: 'item1', count: 1}),
+      Item1.create({id: id, name: 'item2', count: 2}),
+      Item2.create({id: id, name: 'item3', total: 3})
+    ]).then(function() {
+      // Filtering on the new property only finds upgraded entities
+      return Item2.query({id: id, total: subject.op.greaterThan(0)});
+    }).then(function(data) {
+      assert(data.entries.length === 1);
+      return Item2.upgradeAll({
+        concurrency:  1,
+        onProgress:   function(progress) {
+          progressCalls += 1;
+          assert(progress.scanned >= 2);
+        }
+      });
+    }).then(function(progress) {
+      assert(progressCalls >= 1);
+      assert(progress.upgraded >= 2);
+      assert(!progress.continuation);
+      return Item2.query({id: id, total: subject.op.greaterThan(0)});
+    }).then(function(data) {
+      assert(data.entries.length === 3);
+      data.entries.forEach(function(item) {
+        assert(item._version === 2);
+      });
+    }).then(function() {
+      // Nothing left to upgrade
+      return Item2.upgradeAll();
+    }).then(function(progress) {
+      assert(progress.scanned === 0);
+      assert(progress.upgraded === 0);
+    });
+  });
+
+  test("Item.upgradeAll doesn't touch up-to-date entities", function() {
+    var id = slugid.v4();
+    var etag;
+    return Item2.create({
+      id: id, name: 'item1', total: 1
+    }).then(function(item) {
+      etag = item._etag;
+      return Item2.upgradeAll();
+    }).then(function() {
+      return Item2.load({id: id, name: 'item1'});
+    }).then(function(item) {
+      assert(item._etag === etag);
+    });
+  });
+});